@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { REASON_CODES } from '../lib/assignment-confidence.js';
 
 // Initialize Supabase client for Vercel
 export function getSupabaseClient() {
@@ -56,4 +57,123 @@ export function parseQueryParams(url) {
     params[key] = value;
   }
   return params;
-}
\ No newline at end of file
+}
+
+// Split a comma-separated list of assignment reason codes, keeping the unknown ones apart
+export function parseReasonCodes(value) {
+  const codes = value.split(',').map(code => code.trim()).filter(Boolean);
+  return {
+    reasons: codes.filter(code => REASON_CODES.includes(code)),
+    unknown: codes.filter(code => !REASON_CODES.includes(code))
+  };
+}
+
+// Analytics columns that can be summed across block faces
+const SUMMED_ANALYTICS_FIELDS = [
+  'total_parcels',
+  'residential_parcels',
+  'commercial_parcels',
+  'vacant_parcels',
+  'total_buildings',
+  'occupied_buildings',
+  'vacant_buildings',
+  'condemned_buildings',
+  'recent_sales_count',
+  'tax_delinquent_count',
+  'owner_occupied_count',
+  'investor_owned_count',
+  'city_owned_count',
+  'land_bank_owned_count',
+  'total_assessed_value',
+  'blight_tickets_count',
+  'building_permits_count',
+  'demolitions_count',
+  'complaints_311_count'
+];
+
+// Averaged analytics columns and the count they are weighted by
+const AVERAGED_ANALYTICS_FIELDS = {
+  avg_assessed_value: 'total_parcels',
+  avg_taxable_value: 'total_parcels',
+  avg_lot_size_sqft: 'total_parcels',
+  avg_building_size_sqft: 'total_parcels',
+  recent_sales_avg_price: 'recent_sales_count'
+};
+
+// Find the face rows (odd/even) that make up a whole block
+export async function fetchBlockFaces(supabase, wholeBlockId) {
+  const { data, error } = await supabase
+    .from('blocks')
+    .select('*')
+    .eq('whole_block_id', wholeBlockId)
+    .order('block_side');
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Combine per-face analytics rows into whole-block analytics
+// Medians cannot be recombined from face medians and are left out
+export function rollUpAnalytics(rows) {
+  const present = rows.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const rolled = {};
+
+  for (const field of SUMMED_ANALYTICS_FIELDS) {
+    rolled[field] = present.reduce((sum, row) => sum + (Number(row[field]) || 0), 0);
+  }
+
+  for (const [field, weightField] of Object.entries(AVERAGED_ANALYTICS_FIELDS)) {
+    const weighted = present.filter(row => row[field] !== null && row[field] !== undefined);
+    const totalWeight = weighted.reduce((sum, row) => sum + (Number(row[weightField]) || 0), 0);
+
+    rolled[field] = totalWeight > 0
+      ? weighted.reduce((sum, row) => sum + Number(row[field]) * (Number(row[weightField]) || 0), 0) / totalWeight
+      : null;
+  }
+
+  const saleDates = present.map(row => row.last_sale_date).filter(Boolean).sort();
+  rolled.last_sale_date = saleDates.length > 0 ? saleDates[saleDates.length - 1] : null;
+
+  rolled.tax_delinquent_percentage = rolled.total_parcels > 0
+    ? (rolled.tax_delinquent_count / rolled.total_parcels) * 100
+    : null;
+
+  rolled.analytics_date = present
+    .map(row => row.analytics_date)
+    .filter(Boolean)
+    .sort()[0] || null;
+
+  return rolled;
+}
+
+// Resolve a numeric block ID (street_1200_1299) to the segment block it
+// mostly falls on. IDs without a crosswalk entry resolve to themselves.
+export async function resolveCrosswalkBlockId(supabase, blockId) {
+  const { data, error } = await supabase
+    .from('block_crosswalk')
+    .select('segment_block_id, parcel_count, share')
+    .eq('numeric_block_id', blockId)
+    .order('share', { ascending: false });
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return { blockId, resolvedFrom: null, segments: [] };
+  }
+
+  return { blockId: data[0].segment_block_id, resolvedFrom: blockId, segments: data };
+}
+
+// Find the numeric blocks that fall on a segment block
+export async function fetchNumericBlocks(supabase, segmentBlockId) {
+  const { data, error } = await supabase
+    .from('block_crosswalk')
+    .select('numeric_block_id, parcel_count, share')
+    .eq('segment_block_id', segmentBlockId)
+    .order('numeric_block_id');
+
+  if (error) throw error;
+  return data || [];
+}
@@ -1,8 +1,26 @@
-import { getSupabaseClient, apiResponse, errorResponse, handleOptions } from '../_utils.js';
+import {
+  getSupabaseClient,
+  apiResponse,
+  errorResponse,
+  handleOptions,
+  parseQueryParams,
+  fetchBlockFaces,
+  rollUpAnalytics,
+  resolveCrosswalkBlockId,
+  fetchNumericBlocks
+} from '../_utils.js';
 
 /**
  * GET /api/blocks/[blockId]
  * Get a specific block by ID with its analytics
+ *
+ * The ID may be a segment block (street_fromcross_tocross) or a numeric
+ * block (street_1200_1299); numeric IDs found in the block crosswalk
+ * resolve to the segment block most of their parcels fall on.
+ *
+ * Query params:
+ * - rollup: "true" to combine the odd/even faces of a block into the whole block
+ * - crosswalk: "false" to look the ID up as given, without crosswalk resolution
  */
 export default async function handler(request) {
   if (request.method === 'OPTIONS') {
@@ -15,52 +33,111 @@ export default async function handler(request) {
 
   try {
     const supabase = getSupabaseClient();
-    
+    const params = parseQueryParams(request.url);
+
     // Extract blockId from URL
     const url = new URL(request.url);
     const pathParts = url.pathname.split('/');
-    const blockId = decodeURIComponent(pathParts[pathParts.length - 1]);
-    
+    const requestedBlockId = decodeURIComponent(pathParts[pathParts.length - 1]);
+
+    const resolved = params.crosswalk === 'false'
+      ? { blockId: requestedBlockId, resolvedFrom: null, segments: [] }
+      : await resolveCrosswalkBlockId(supabase, requestedBlockId);
+    const blockId = resolved.blockId;
+
     // Fetch block details
     const { data: block, error: blockError } = await supabase
       .from('blocks')
       .select('*')
       .eq('block_id', blockId)
       .single();
-    
-    if (blockError) {
-      if (blockError.code === 'PGRST116') {
-        return errorResponse('Block not found', 404);
-      }
+
+    if (blockError && blockError.code !== 'PGRST116') {
       throw blockError;
     }
-    
+
+    if (params.rollup === 'true') {
+      // A face resolves to its whole block; a whole block ID may only exist as faces
+      const wholeBlockId = block?.whole_block_id || blockId;
+      const faces = await fetchBlockFaces(supabase, wholeBlockId);
+
+      if (faces.length > 0) {
+        return apiResponse({
+          block: await rollUpBlock(supabase, wholeBlockId, faces)
+        });
+      }
+    }
+
+    if (!block) {
+      return errorResponse('Block not found', 404);
+    }
+
     // Fetch latest analytics
     const { data: analytics, error: analyticsError } = await supabase
       .from('current_block_analytics')
       .select('*')
       .eq('block_id', block.id)
       .single();
-    
+
     if (analyticsError && analyticsError.code !== 'PGRST116') {
       throw analyticsError;
     }
-    
+
     // Fetch parcels count
     const { count: parcelCount } = await supabase
       .from('block_parcels')
       .select('*', { count: 'exact', head: true })
       .eq('block_id', block.id);
-    
+
+    // Numeric blocks that share this segment, or the segments the requested numeric block spans
+    const crosswalk = resolved.resolvedFrom
+      ? { resolved_from: resolved.resolvedFrom, segments: resolved.segments }
+      : { numeric_blocks: await fetchNumericBlocks(supabase, block.block_id) };
+
     return apiResponse({
       block: {
         ...block,
         analytics: analytics || null,
-        parcel_count: parcelCount || 0
+        parcel_count: parcelCount || 0,
+        crosswalk
       }
     });
   } catch (error) {
     console.error('Error fetching block:', error);
     return errorResponse(error.message);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Build a whole-block response from its face rows
+ */
+async function rollUpBlock(supabase, wholeBlockId, faces) {
+  const faceIds = faces.map(face => face.id);
+
+  const { data: analyticsRows, error: analyticsError } = await supabase
+    .from('current_block_analytics')
+    .select('*')
+    .in('block_id', faceIds);
+
+  if (analyticsError) throw analyticsError;
+
+  const { count: parcelCount } = await supabase
+    .from('block_parcels')
+    .select('*', { count: 'exact', head: true })
+    .in('block_id', faceIds);
+
+  return {
+    block_id: wholeBlockId,
+    street_name: faces[0].street_name,
+    from_cross_street: faces[0].from_cross_street,
+    to_cross_street: faces[0].to_cross_street,
+    block_side: null,
+    faces: faces.map(face => ({
+      id: face.id,
+      block_id: face.block_id,
+      block_side: face.block_side
+    })),
+    analytics: rollUpAnalytics(analyticsRows || []),
+    parcel_count: parcelCount || 0
+  };
+}
@@ -0,0 +1,101 @@
+import {
+  getSupabaseClient,
+  apiResponse,
+  errorResponse,
+  handleOptions,
+  parseQueryParams
+} from '../../_utils.js';
+
+/**
+ * GET /api/blocks/[blockId]/neighbors
+ * Get the blocks touching a segment block, each with its current block_summary row
+ *
+ * A face ID (street_fromcross_tocross_left) resolves to its whole block.
+ * Neighbours stored as faces come back with their face rows instead of a
+ * whole-block summary.
+ *
+ * Query params:
+ * - relation: Comma-separated relations to keep (same_street, intersection, rear)
+ */
+export default async function handler(request) {
+  if (request.method === 'OPTIONS') {
+    return handleOptions();
+  }
+
+  if (request.method !== 'GET') {
+    return errorResponse('Method not allowed', 405);
+  }
+
+  try {
+    const supabase = getSupabaseClient();
+    const params = parseQueryParams(request.url);
+
+    // Extract blockId from URL
+    const url = new URL(request.url);
+    const pathParts = url.pathname.split('/');
+    const requestedBlockId = decodeURIComponent(pathParts[pathParts.length - 2]);
+
+    const { data: block, error: blockError } = await supabase
+      .from('blocks')
+      .select('block_id, whole_block_id')
+      .eq('block_id', requestedBlockId)
+      .single();
+
+    if (blockError && blockError.code !== 'PGRST116') {
+      throw blockError;
+    }
+
+    // Adjacency is stored between whole segment blocks
+    const blockId = block?.whole_block_id || requestedBlockId;
+
+    let query = supabase
+      .from('block_adjacency')
+      .select('neighbor_block_id, relation, side, shared_length_m')
+      .eq('block_id', blockId)
+      .order('relation');
+
+    if (params.relation) {
+      const relations = params.relation.split(',').map(r => r.trim()).filter(Boolean);
+      query = query.in('relation', relations);
+    }
+
+    const { data: adjacency, error: adjacencyError } = await query;
+
+    if (adjacencyError) throw adjacencyError;
+
+    if (!block && adjacency.length === 0) {
+      return errorResponse('Block not found', 404);
+    }
+
+    // Current summaries of the neighbours, as whole blocks or as faces
+    const neighborIds = [...new Set(adjacency.map(row => row.neighbor_block_id))];
+    let summaries = [];
+
+    if (neighborIds.length > 0) {
+      const idList = neighborIds.join(',');
+      const { data, error } = await supabase
+        .from('block_summary')
+        .select('*')
+        .or(`block_id.in.(${idList}),whole_block_id.in.(${idList})`);
+
+      if (error) throw error;
+      summaries = data || [];
+    }
+
+    return apiResponse({
+      block_id: blockId,
+      neighbors: adjacency.map(row => ({
+        block_id: row.neighbor_block_id,
+        relation: row.relation,
+        side: row.side,
+        shared_length_m: row.shared_length_m,
+        summary: summaries.find(s => s.block_id === row.neighbor_block_id) || null,
+        faces: summaries.filter(s => s.whole_block_id === row.neighbor_block_id)
+      })),
+      total: adjacency.length
+    });
+  } catch (error) {
+    console.error('Error fetching block neighbors:', error);
+    return errorResponse(error.message);
+  }
+}
@@ -1,8 +1,23 @@
-import { getSupabaseClient, apiResponse, errorResponse, handleOptions, parseQueryParams } from '../../_utils.js';
+import {
+  getSupabaseClient,
+  apiResponse,
+  errorResponse,
+  handleOptions,
+  parseQueryParams,
+  parseReasonCodes,
+  fetchBlockFaces
+} from '../../_utils.js';
 
 /**
  * GET /api/blocks/[blockId]/parcels
  * Get all parcels in a specific block
+ *
+ * Query params:
+ * - rollup: "true" to return the parcels of both faces of the whole block
+ * - minConfidence: Only parcels assigned with at least this confidence (0-1)
+ * - excludeReasons: Comma-separated reason codes; parcels carrying any of them are left out
+ * - limit: Number of results (default 100)
+ * - offset: Pagination offset
  */
 export default async function handler(request) {
   if (request.method === 'OPTIONS') {
@@ -25,22 +40,52 @@ export default async function handler(request) {
     // First get the block
     const { data: block, error: blockError } = await supabase
       .from('blocks')
-      .select('id')
+      .select('id, whole_block_id')
       .eq('block_id', blockId)
       .single();
     
-    if (blockError) {
-      if (blockError.code === 'PGRST116') {
-        return errorResponse('Block not found', 404);
-      }
+    if (blockError && blockError.code !== 'PGRST116') {
       throw blockError;
     }
     
+    // When rolling up, collect the parcels of every face of the whole block
+    let blockUuids = block ? [block.id] : [];
+    let responseBlockId = blockId;
+    
+    if (params.rollup === 'true') {
+      const wholeBlockId = block?.whole_block_id || blockId;
+      const faces = await fetchBlockFaces(supabase, wholeBlockId);
+      
+      if (faces.length > 0) {
+        blockUuids = faces.map(face => face.id);
+        responseBlockId = wholeBlockId;
+      }
+    }
+    
+    if (blockUuids.length === 0) {
+      return errorResponse('Block not found', 404);
+    }
+    
     // Fetch parcels
     let query = supabase
       .from('block_parcels')
       .select('*')
-      .eq('block_id', block.id);
+      .in('block_id', blockUuids);
+    
+    // Filter out shaky assignments
+    if (params.minConfidence) {
+      query = query.gte('assignment_confidence', parseFloat(params.minConfidence));
+    }
+    if (params.excludeReasons) {
+      const { reasons, unknown } = parseReasonCodes(params.excludeReasons);
+      if (unknown.length > 0) {
+        return errorResponse(`Unknown reason codes: ${unknown.join(', ')}`, 400);
+      }
+      // Parcels stored before reasons were recorded have none and are kept
+      if (reasons.length > 0) {
+        query = query.or(`assignment_reasons.is.null,not.assignment_reasons.ov.{${reasons.join(',')}}`);
+      }
+    }
     
     // Apply pagination
     const limit = parseInt(params.limit) || 100;
@@ -52,12 +97,16 @@ export default async function handler(request) {
     if (error) throw error;
     
     return apiResponse({
-      block_id: blockId,
+      block_id: responseBlockId,
       parcels: parcels.map(p => ({
         parcel_id: p.parcel_id,
         address: p.address,
         ...p.property_data,
-        geometry: p.geometry
+        geometry: p.geometry,
+        block_side: p.block_side,
+        frontage_length: p.frontage_length,
+        assignment_confidence: p.assignment_confidence,
+        assignment_reasons: p.assignment_reasons || []
       })),
       total: count,
       limit,
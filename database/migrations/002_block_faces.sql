@@ -0,0 +1,30 @@
+-- Migration 002: Block faces
+-- Blocks can be split into their odd and even sides ("faces").
+-- Face rows point back to the whole block they belong to so the
+-- API can roll them up again.
+
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS block_side VARCHAR(10);
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS whole_block_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_blocks_whole_block_id ON blocks (whole_block_id);
+
+-- Expose the face columns through the summary view
+CREATE OR REPLACE VIEW block_summary AS
+SELECT 
+    b.id,
+    b.block_id,
+    b.street_name,
+    b.from_cross_street,
+    b.to_cross_street,
+    ba.total_parcels,
+    ba.vacant_parcels,
+    ba.vacant_buildings,
+    ROUND((ba.vacant_parcels::FLOAT / NULLIF(ba.total_parcels, 0) * 100)::NUMERIC, 2) as vacancy_rate,
+    ba.avg_assessed_value,
+    ba.recent_sales_count,
+    ba.tax_delinquent_percentage,
+    ba.analytics_date,
+    b.block_side,
+    b.whole_block_id
+FROM blocks b
+LEFT JOIN current_block_analytics ba ON b.id = ba.block_id;
@@ -0,0 +1,23 @@
+-- Migration 003: Block crosswalk
+-- Maps numeric blocks built from addresses (woodward_1200_1299) to the
+-- segment blocks built from street geometry (woodward_ave_warren_canfield).
+-- A numeric block can straddle more than one segment; share is the
+-- fraction of its parcels that fall on each one.
+
+CREATE TABLE IF NOT EXISTS block_crosswalk (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    numeric_block_id VARCHAR(255) NOT NULL,
+    segment_block_id VARCHAR(255) NOT NULL,
+    parcel_count INTEGER DEFAULT 0,
+    share NUMERIC(5, 4), -- Fraction of the numeric block's parcels on this segment
+    avg_distance_m NUMERIC(8, 2), -- Average parcel distance from the segment
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(numeric_block_id, segment_block_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_crosswalk_numeric ON block_crosswalk (numeric_block_id);
+CREATE INDEX IF NOT EXISTS idx_block_crosswalk_segment ON block_crosswalk (segment_block_id);
+
+CREATE TRIGGER update_block_crosswalk_updated_at BEFORE UPDATE ON block_crosswalk
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
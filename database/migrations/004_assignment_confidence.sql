@@ -0,0 +1,10 @@
+-- Migration 004: Assignment confidence
+-- Every parcel-to-block assignment records how much it can be trusted
+-- and the reason codes that lowered its confidence
+-- (see lib/assignment-confidence.js for the codes).
+
+ALTER TABLE block_parcels ADD COLUMN IF NOT EXISTS assignment_confidence NUMERIC(3, 2);
+ALTER TABLE block_parcels ADD COLUMN IF NOT EXISTS assignment_reasons TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_block_parcels_assignment_confidence ON block_parcels (assignment_confidence);
+CREATE INDEX IF NOT EXISTS idx_block_parcels_assignment_reasons ON block_parcels USING GIN (assignment_reasons);
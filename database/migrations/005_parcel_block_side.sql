@@ -0,0 +1,9 @@
+-- Migration 005: Parcel block side
+-- Segment blocks are split into left and right faces (looking along the
+-- street line) and every parcel records the face it was assigned to.
+-- Face rows in blocks use block_side 'left'/'right' next to the
+-- 'odd'/'even' faces of numeric blocks.
+
+ALTER TABLE block_parcels ADD COLUMN IF NOT EXISTS block_side VARCHAR(10);
+
+CREATE INDEX IF NOT EXISTS idx_block_parcels_block_side ON block_parcels (block_side);
@@ -0,0 +1,23 @@
+-- Migration 006: Block adjacency
+-- Which segment blocks touch each other, derived from the street network:
+-- the next block along the same street, the blocks of other streets meeting
+-- at the same intersection, and the blocks behind each other that share a
+-- rear lot line. Every pair is stored in both directions.
+
+CREATE TABLE IF NOT EXISTS block_adjacency (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    block_id VARCHAR(255) NOT NULL, -- Format: streetname_fromcross_tocross
+    neighbor_block_id VARCHAR(255) NOT NULL,
+    relation VARCHAR(20) NOT NULL, -- 'same_street', 'intersection' or 'rear'
+    side VARCHAR(10), -- Side of block_id the rear neighbour lies on ('left'/'right')
+    shared_length_m NUMERIC(8, 2), -- Approximate length of a shared rear lot line
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(block_id, neighbor_block_id, relation)
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_adjacency_block ON block_adjacency (block_id);
+CREATE INDEX IF NOT EXISTS idx_block_adjacency_neighbor ON block_adjacency (neighbor_block_id);
+
+CREATE TRIGGER update_block_adjacency_updated_at BEFORE UPDATE ON block_adjacency
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
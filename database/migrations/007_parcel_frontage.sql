@@ -0,0 +1,5 @@
+-- Migration 007: Parcel frontage
+-- Parcels assigned by frontage record how many meters of their boundary
+-- face the block's street line. Parcels assigned by centroid leave it empty.
+
+ALTER TABLE block_parcels ADD COLUMN IF NOT EXISTS frontage_length NUMERIC(8, 2);
@@ -0,0 +1,8 @@
+-- Migration 008: Block street class
+-- Segment blocks record the class of their street ('local', 'arterial',
+-- ...) as decided by the street class policy in data/street-classes.json.
+-- Numeric blocks built from addresses leave it empty.
+
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS street_class VARCHAR(30);
+
+CREATE INDEX IF NOT EXISTS idx_blocks_street_class ON blocks (street_class);
@@ -0,0 +1,75 @@
+-- Migration 009: Point dataset counts
+-- Block analytics count the records of the point datasets declared in
+-- data/datasets.json (blight tickets, building permits, demolitions and
+-- 311 complaints) that fall in each block. A dataset added to the config
+-- needs its count column added here the same way. The records counted in
+-- each block are stored too, so incremental runs only recompute the blocks
+-- around records that are new, moved or gone; the first incremental run
+-- after this migration still recomputes every block with records in it.
+
+ALTER TABLE block_analytics ADD COLUMN IF NOT EXISTS blight_tickets_count INTEGER DEFAULT 0;
+ALTER TABLE block_analytics ADD COLUMN IF NOT EXISTS building_permits_count INTEGER DEFAULT 0;
+ALTER TABLE block_analytics ADD COLUMN IF NOT EXISTS demolitions_count INTEGER DEFAULT 0;
+ALTER TABLE block_analytics ADD COLUMN IF NOT EXISTS complaints_311_count INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS block_dataset_records (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    block_id UUID REFERENCES blocks(id) ON DELETE CASCADE,
+    dataset VARCHAR(100) NOT NULL,
+    record_id VARCHAR(255) NOT NULL,
+    record_date TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(block_id, dataset, record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_dataset_records_block_id ON block_dataset_records (block_id);
+CREATE INDEX IF NOT EXISTS idx_block_dataset_records_record ON block_dataset_records (dataset, record_id);
+
+-- current_block_analytics fixed its column list (SELECT *) when it was
+-- created, so it and the views built on it are recreated to see the counts
+DROP VIEW IF EXISTS distressed_blocks CASCADE;
+DROP VIEW IF EXISTS high_activity_blocks CASCADE;
+DROP VIEW IF EXISTS block_summary CASCADE;
+DROP VIEW IF EXISTS current_block_analytics CASCADE;
+
+CREATE VIEW current_block_analytics AS
+SELECT DISTINCT ON (block_id) *
+FROM block_analytics
+ORDER BY block_id, analytics_date DESC;
+
+CREATE VIEW block_summary AS
+SELECT
+    b.id,
+    b.block_id,
+    b.street_name,
+    b.from_cross_street,
+    b.to_cross_street,
+    ba.total_parcels,
+    ba.vacant_parcels,
+    ba.vacant_buildings,
+    ROUND((ba.vacant_parcels::FLOAT / NULLIF(ba.total_parcels, 0) * 100)::NUMERIC, 2) as vacancy_rate,
+    ba.avg_assessed_value,
+    ba.recent_sales_count,
+    ba.tax_delinquent_percentage,
+    ba.analytics_date,
+    b.block_side,
+    b.whole_block_id,
+    ba.blight_tickets_count,
+    ba.building_permits_count,
+    ba.demolitions_count,
+    ba.complaints_311_count
+FROM blocks b
+LEFT JOIN current_block_analytics ba ON b.id = ba.block_id;
+
+CREATE VIEW high_activity_blocks AS
+SELECT *
+FROM block_summary
+WHERE recent_sales_count > 5
+ORDER BY recent_sales_count DESC;
+
+CREATE VIEW distressed_blocks AS
+SELECT *
+FROM block_summary
+WHERE vacancy_rate > 30
+   OR tax_delinquent_percentage > 25
+ORDER BY vacancy_rate DESC;
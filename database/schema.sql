@@ -14,6 +14,9 @@ CREATE TABLE IF NOT EXISTS blocks (
     to_cross_street VARCHAR(255) NOT NULL,
     block_bounds GEOMETRY(Polygon, 4326), -- Spatial bounds of the block
     center_point GEOMETRY(Point, 4326), -- Center point for mapping
+    block_side VARCHAR(10), -- Block face ('odd'/'even' or 'left'/'right'), NULL for whole blocks
+    whole_block_id VARCHAR(255), -- Whole block a face belongs to
+    street_class VARCHAR(30), -- Class of the street from the street class policy, NULL for numeric blocks
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -22,6 +25,8 @@ CREATE TABLE IF NOT EXISTS blocks (
 CREATE INDEX idx_blocks_bounds ON blocks USING GIST (block_bounds);
 CREATE INDEX idx_blocks_center ON blocks USING GIST (center_point);
 CREATE INDEX idx_blocks_street_name ON blocks (street_name);
+CREATE INDEX idx_blocks_whole_block_id ON blocks (whole_block_id);
+CREATE INDEX idx_blocks_street_class ON blocks (street_class);
 
 -- Block parcels: Links parcels to blocks
 CREATE TABLE IF NOT EXISTS block_parcels (
@@ -31,6 +36,10 @@ CREATE TABLE IF NOT EXISTS block_parcels (
     address VARCHAR(500),
     property_data JSONB, -- Store full parcel data as JSONB
     geometry GEOMETRY(Geometry, 4326), -- Parcel geometry
+    block_side VARCHAR(10), -- Face of the block the parcel sits on ('left' or 'right')
+    frontage_length NUMERIC(8, 2), -- Meters of boundary facing the block's street, when assigned by frontage
+    assignment_confidence NUMERIC(3, 2), -- 0-1 trust in the block assignment
+    assignment_reasons TEXT[], -- Reason codes that lowered the confidence
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(block_id, parcel_id)
 );
@@ -39,6 +48,24 @@ CREATE INDEX idx_block_parcels_block_id ON block_parcels (block_id);
 CREATE INDEX idx_block_parcels_parcel_id ON block_parcels (parcel_id);
 CREATE INDEX idx_block_parcels_geometry ON block_parcels USING GIST (geometry);
 CREATE INDEX idx_block_parcels_property_data ON block_parcels USING GIN (property_data);
+CREATE INDEX idx_block_parcels_block_side ON block_parcels (block_side);
+CREATE INDEX idx_block_parcels_assignment_confidence ON block_parcels (assignment_confidence);
+CREATE INDEX idx_block_parcels_assignment_reasons ON block_parcels USING GIN (assignment_reasons);
+
+-- Block dataset records: The dataset records counted in each block, so
+-- incremental runs can tell which records are new, moved or gone
+CREATE TABLE IF NOT EXISTS block_dataset_records (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    block_id UUID REFERENCES blocks(id) ON DELETE CASCADE,
+    dataset VARCHAR(100) NOT NULL, -- Dataset name in data/datasets.json
+    record_id VARCHAR(255) NOT NULL, -- Value of the dataset's idField
+    record_date TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(block_id, dataset, record_id)
+);
+
+CREATE INDEX idx_block_dataset_records_block_id ON block_dataset_records (block_id);
+CREATE INDEX idx_block_dataset_records_record ON block_dataset_records (dataset, record_id);
 
 -- Block analytics: Computed analytics for each block
 CREATE TABLE IF NOT EXISTS block_analytics (
@@ -84,6 +111,12 @@ CREATE TABLE IF NOT EXISTS block_analytics (
     city_owned_count INTEGER DEFAULT 0,
     land_bank_owned_count INTEGER DEFAULT 0,
     
+    -- Point datasets (data/datasets.json), over each dataset's look-back window
+    blight_tickets_count INTEGER DEFAULT 0,
+    building_permits_count INTEGER DEFAULT 0,
+    demolitions_count INTEGER DEFAULT 0,
+    complaints_311_count INTEGER DEFAULT 0,
+    
     -- Metadata
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -95,6 +128,38 @@ CREATE INDEX idx_block_analytics_block_id ON block_analytics (block_id);
 CREATE INDEX idx_block_analytics_date ON block_analytics (analytics_date);
 CREATE INDEX idx_block_analytics_vacant_rate ON block_analytics ((vacant_parcels::FLOAT / NULLIF(total_parcels, 0)));
 
+-- Block crosswalk: Maps numeric (address range) blocks to segment (cross street) blocks
+CREATE TABLE IF NOT EXISTS block_crosswalk (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    numeric_block_id VARCHAR(255) NOT NULL, -- Format: streetname_fromnumber_tonumber
+    segment_block_id VARCHAR(255) NOT NULL, -- Format: streetname_fromcross_tocross
+    parcel_count INTEGER DEFAULT 0,
+    share NUMERIC(5, 4), -- Fraction of the numeric block's parcels on this segment
+    avg_distance_m NUMERIC(8, 2), -- Average parcel distance from the segment
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(numeric_block_id, segment_block_id)
+);
+
+CREATE INDEX idx_block_crosswalk_numeric ON block_crosswalk (numeric_block_id);
+CREATE INDEX idx_block_crosswalk_segment ON block_crosswalk (segment_block_id);
+
+-- Block adjacency: Segment blocks that touch, stored in both directions
+CREATE TABLE IF NOT EXISTS block_adjacency (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    block_id VARCHAR(255) NOT NULL, -- Format: streetname_fromcross_tocross
+    neighbor_block_id VARCHAR(255) NOT NULL,
+    relation VARCHAR(20) NOT NULL, -- 'same_street', 'intersection' or 'rear'
+    side VARCHAR(10), -- Side of block_id the rear neighbour lies on ('left'/'right')
+    shared_length_m NUMERIC(8, 2), -- Approximate length of a shared rear lot line
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(block_id, neighbor_block_id, relation)
+);
+
+CREATE INDEX idx_block_adjacency_block ON block_adjacency (block_id);
+CREATE INDEX idx_block_adjacency_neighbor ON block_adjacency (neighbor_block_id);
+
 -- Analytics runs: Track processing history
 CREATE TABLE IF NOT EXISTS analytics_runs (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -136,7 +201,13 @@ SELECT
     ba.avg_assessed_value,
     ba.recent_sales_count,
     ba.tax_delinquent_percentage,
-    ba.analytics_date
+    ba.analytics_date,
+    b.block_side,
+    b.whole_block_id,
+    ba.blight_tickets_count,
+    ba.building_permits_count,
+    ba.demolitions_count,
+    ba.complaints_311_count
 FROM blocks b
 LEFT JOIN current_block_analytics ba ON b.id = ba.block_id;
 
@@ -170,4 +241,10 @@ CREATE TRIGGER update_blocks_updated_at BEFORE UPDATE ON blocks
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_block_analytics_updated_at BEFORE UPDATE ON block_analytics
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_block_crosswalk_updated_at BEFORE UPDATE ON block_crosswalk
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_block_adjacency_updated_at BEFORE UPDATE ON block_adjacency
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
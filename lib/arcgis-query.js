@@ -0,0 +1,165 @@
+/**
+ * ArcGIS Query Builder
+ *
+ * Builds the where clauses of ArcGIS feature service queries (standardized
+ * SQL) from values instead of string templates, so a street like O'Hara St
+ * or an ID with a quote in it cannot break a query. Clauses are plain strings
+ * and combine with and/or/not:
+ *
+ *   and(contains('street_name', "O'Hara"), gte('last_edited_date', new Date('2024-01-01')))
+ *
+ * Values are escaped by type: strings are quoted with embedded quotes doubled,
+ * numbers must be finite, booleans become 1/0, Dates become TIMESTAMP literals
+ * (UTC) and null becomes NULL. Field names must be plain identifiers.
+ */
+
+// Matches every feature; the default where clause of the API client
+export const ALL = '1=1';
+
+// Matches nothing; what an IN over an empty list comes down to
+export const NONE = '1=0';
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+
+/**
+ * Checked field name
+ */
+export function field(name) {
+  if (typeof name !== 'string' || !FIELD_NAME.test(name)) {
+    throw new Error(`Invalid field name: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * TIMESTAMP literal of a date, in UTC
+ */
+export function timestamp(date) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return `TIMESTAMP '${value.toISOString().slice(0, 19).replace('T', ' ')}'`;
+}
+
+/**
+ * SQL literal of a value
+ */
+export function literal(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (value instanceof Date) return timestamp(value);
+  if (typeof value === 'boolean') return value ? '1' : '0';
+
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Invalid number in query: ${value}`);
+    }
+    return String(value);
+  }
+
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function compare(operator) {
+  return (name, value) => `${field(name)} ${operator} ${literal(value)}`;
+}
+
+export const eq = compare('=');
+export const ne = compare('<>');
+export const gt = compare('>');
+export const gte = compare('>=');
+export const lt = compare('<');
+export const lte = compare('<=');
+
+export function isNull(name) {
+  return `${field(name)} IS NULL`;
+}
+
+export function notNull(name) {
+  return `${field(name)} IS NOT NULL`;
+}
+
+/**
+ * field IN (...), duplicates dropped; an empty list matches nothing
+ */
+export function inList(name, values) {
+  const unique = [...new Set(values)];
+  if (unique.length === 0) return NONE;
+  return `${field(name)} IN (${unique.map(literal).join(', ')})`;
+}
+
+export function between(name, low, high) {
+  return `${field(name)} BETWEEN ${literal(low)} AND ${literal(high)}`;
+}
+
+/**
+ * field LIKE pattern, with the pattern's % and _ wildcards kept
+ * @param {Object} options - caseInsensitive: compare uppercased (default false)
+ */
+export function like(name, pattern, options = {}) {
+  const { caseInsensitive = false, escape = null } = options;
+  const target = caseInsensitive ? `UPPER(${field(name)})` : field(name);
+  const value = caseInsensitive ? String(pattern).toUpperCase() : String(pattern);
+  return `${target} LIKE ${literal(value)}${escape ? ` ESCAPE ${literal(escape)}` : ''}`;
+}
+
+/**
+ * field contains text, the text matched literally (its % and _ are not wildcards)
+ * @param {Object} options - caseInsensitive (default true)
+ */
+export function contains(name, text, options = {}) {
+  const { caseInsensitive = true } = options;
+  const value = String(text);
+
+  if (!/[%_\\]/.test(value)) {
+    return like(name, `%${value}%`, { caseInsensitive });
+  }
+
+  const escaped = value.replace(/[%_\\]/g, char => `\\${char}`);
+  return like(name, `%${escaped}%`, { caseInsensitive, escape: '\\' });
+}
+
+// Clauses that match everything (for AND) or nothing (for OR) are left out
+function combine(operator, empty) {
+  return (...clauses) => {
+    const parts = clauses.flat().filter(clause => clause && clause !== empty);
+    if (parts.length === 0) return empty;
+    if (parts.length === 1) return parts[0];
+    return parts.map(part => `(${part})`).join(` ${operator} `);
+  };
+}
+
+export const and = combine('AND', ALL);
+export const or = combine('OR', NONE);
+
+export function not(clause) {
+  return `NOT (${clause})`;
+}
+
+/**
+ * The builders under short names: where.eq, where.in, where.and, ...
+ */
+export const where = {
+  ALL,
+  NONE,
+  field,
+  literal,
+  timestamp,
+  eq,
+  ne,
+  gt,
+  gte,
+  lt,
+  lte,
+  isNull,
+  notNull,
+  in: inList,
+  between,
+  like,
+  contains,
+  and,
+  or,
+  not
+};
+
+export default where;
@@ -0,0 +1,69 @@
+/**
+ * Assignment confidence
+ *
+ * Reason codes shared by the address parser, the numeric block assigner
+ * (block-detector-v2) and the spatial block assigner (block-detector).
+ * Every code lowers confidence by its penalty; codes with no penalty are
+ * recorded for context only.
+ */
+
+export const REASON_PENALTIES = {
+  // Address parsing
+  no_street_type: 0.15,
+  number_suffix: 0.05,
+  fractional_number: 0.05,
+  short_street_name: 0.2,
+  long_street_name: 0.1,
+  zero_house_number: 0.3,
+  invalid_range: 0.2,
+  range_address: 0,
+  alias_applied: 0,
+  unit_stripped: 0,
+
+  // Numeric block assignment
+  unparseable_address: 1,
+  range_split: 0.1,
+  natural_boundary: 0,
+  coordinate_outlier: 0.3,
+  street_corrected: 0.1,
+  unknown_street: 0.15,
+
+  // Spatial block assignment
+  multiple_buffers: 0.25,
+  far_from_segment: 0.2,
+  outside_buffer: 0.4,
+  corner_lot: 0,
+  address_street_mismatch: 0.15,
+  no_frontage: 0.2
+};
+
+export const REASON_CODES = Object.keys(REASON_PENALTIES);
+
+/**
+ * Turn a list of reason codes into a confidence between 0 and 1
+ * @param {Array<string>} reasons - Reason codes; duplicates count once
+ * @returns {Object} { confidence, reasons }
+ */
+export function scoreReasons(reasons = []) {
+  const unique = [...new Set(reasons)];
+  const penalty = unique.reduce((sum, reason) => sum + (REASON_PENALTIES[reason] || 0), 0);
+
+  return {
+    confidence: Math.max(0, Math.round((1 - penalty) * 100) / 100),
+    reasons: unique
+  };
+}
+
+/**
+ * Add reason codes to an existing assignment and rescore it
+ */
+export function addReasons(assignment, ...reasons) {
+  return scoreReasons([...(assignment?.reasons || []), ...reasons]);
+}
+
+export default {
+  REASON_PENALTIES,
+  REASON_CODES,
+  scoreReasons,
+  addReasons
+};
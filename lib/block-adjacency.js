@@ -0,0 +1,194 @@
+import * as turf from '@turf/turf';
+import { createLogger } from './logger.js';
+import { FACE_SIDES, sideOfLine, expandedBBox } from './block-faces.js';
+import { SpatialIndex } from './spatial-index.js';
+
+const logger = createLogger('block-adjacency');
+
+export const ADJACENCY_RELATIONS = ['same_street', 'intersection', 'rear'];
+
+// Crossings closer than this to a ray's origin are the street the ray starts on
+const RAY_ORIGIN_TOLERANCE = 1;
+
+/**
+ * Block Adjacency
+ *
+ * Derives which blocks of the street network (from buildStreetTopology) touch:
+ * - same_street: the next block along the same street, meeting at a node
+ * - intersection: blocks of other streets meeting at the same node
+ * - rear: blocks back to back, sharing the rear lot line where their faces meet
+ *
+ * Rear neighbours are found by casting rays from both sides of each block
+ * segment; a block that is the first street line hit by enough of the rays
+ * lies behind it. Every pair is returned in both directions, so a block's
+ * neighbours can be looked up by its own ID alone.
+ */
+
+/**
+ * Blocks meeting at the nodes of the street network
+ */
+function nodeAdjacency(edges) {
+  const edgesByNode = new Map();
+
+  for (const edge of edges) {
+    for (const nodeId of new Set([edge.fromNode, edge.toNode])) {
+      if (!edgesByNode.has(nodeId)) edgesByNode.set(nodeId, []);
+      edgesByNode.get(nodeId).push(edge);
+    }
+  }
+
+  const rows = [];
+
+  for (const nodeEdges of edgesByNode.values()) {
+    for (const edge of nodeEdges) {
+      for (const other of nodeEdges) {
+        if (other.blockId === edge.blockId) continue;
+
+        rows.push({
+          block_id: edge.blockId,
+          neighbor_block_id: other.blockId,
+          relation: other.streetKey === edge.streetKey ? 'same_street' : 'intersection',
+          side: null,
+          shared_length_m: null
+        });
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * First block line a ray crosses
+ * @returns {Object|null} { edge, distance }
+ */
+function firstHit(origin, bearing, length, candidates) {
+  const end = turf.destination(origin, length, bearing, { units: 'meters' });
+  const ray = turf.lineString([turf.getCoord(origin), turf.getCoord(end)]);
+  let nearest = null;
+
+  for (const candidate of candidates) {
+    for (const hit of turf.lineIntersect(ray, candidate.line).features) {
+      const distance = turf.distance(origin, hit, { units: 'meters' });
+      if (distance > RAY_ORIGIN_TOLERANCE && (!nearest || distance < nearest.distance)) {
+        nearest = { edge: candidate.edge, distance };
+      }
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Blocks behind each block, on either side
+ * @param {Array} edges - Street network edges
+ * @param {Set} touching - "blockId|neighborBlockId" pairs already meeting at a node
+ */
+function rearAdjacency(edges, touching, options) {
+  const { depth = 50, spacing = 20, minShare = 0.3, endMargin = 15 } = options;
+  const reach = depth * 2;
+
+  const lines = edges.map(edge => ({ edge, line: turf.feature(edge.segment.geometry) }));
+  const lineIndex = new SpatialIndex(lines, { getBBox: entry => turf.bbox(entry.line) });
+  const rows = [];
+
+  for (const { edge, line } of lines) {
+    if (line.geometry.type !== 'LineString') continue;
+
+    const length = turf.length(line, { units: 'meters' });
+    const candidates = lineIndex.search(expandedBBox(line, reach * 1.1))
+      .filter(candidate => candidate.edge !== edge);
+    if (candidates.length === 0) continue;
+
+    // Sample points away from the ends, where the cross streets are
+    const samples = [];
+    for (let distance = endMargin; distance <= length - endMargin; distance += spacing) {
+      samples.push(distance);
+    }
+    if (samples.length === 0) samples.push(length / 2);
+
+    const hits = new Map();
+
+    for (const distance of samples) {
+      const point = turf.along(line, distance, { units: 'meters' });
+      const before = turf.along(line, Math.max(0, distance - 1), { units: 'meters' });
+      const after = turf.along(line, Math.min(length, distance + 1), { units: 'meters' });
+      const streetBearing = turf.bearing(before, after);
+
+      for (const side of FACE_SIDES) {
+        const hit = firstHit(point, streetBearing + (side === 'left' ? -90 : 90), reach, candidates);
+        if (!hit || touching.has(`${edge.blockId}|${hit.edge.blockId}`)) continue;
+
+        const key = `${side}|${hit.edge.blockId}`;
+        if (!hits.has(key)) hits.set(key, { neighbour: hit.edge, side, count: 0 });
+        hits.get(key).count++;
+      }
+    }
+
+    for (const { neighbour, side, count } of hits.values()) {
+      const share = count / samples.length;
+      if (share < minShare) continue;
+
+      rows.push({
+        block_id: edge.blockId,
+        neighbor_block_id: neighbour.blockId,
+        relation: 'rear',
+        side,
+        shared_length_m: Math.round(length * share * 100) / 100
+      });
+    }
+  }
+
+  // A short block can sit behind a long one without seeing it; mirror such pairs
+  const found = new Set(rows.map(row => `${row.block_id}|${row.neighbor_block_id}`));
+  const segments = new Map(edges.map(edge => [edge.blockId, edge.segment]));
+
+  for (const row of [...rows]) {
+    if (found.has(`${row.neighbor_block_id}|${row.block_id}`)) continue;
+
+    const neighbour = segments.get(row.neighbor_block_id);
+    if (neighbour.geometry.type !== 'LineString') continue;
+
+    rows.push({
+      block_id: row.neighbor_block_id,
+      neighbor_block_id: row.block_id,
+      relation: 'rear',
+      side: sideOfLine(turf.center(turf.feature(segments.get(row.block_id).geometry)), neighbour.geometry),
+      shared_length_m: row.shared_length_m
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Derive block adjacency from the street network
+ * @param {Object} topology - From buildStreetTopology
+ * @param {Object} options - depth: face depth in meters (default 50; rays reach twice as far),
+ *   spacing between rays (m, default 20), minShare: share of a block's rays that must hit a
+ *   block to make it a rear neighbour (default 0.3), endMargin: ray-free stretch at each end (m, default 15)
+ * @returns {Array} Rows: { block_id, neighbor_block_id, relation, side, shared_length_m }
+ */
+export function deriveBlockAdjacency(topology, options = {}) {
+  const nodeRows = nodeAdjacency(topology.edges);
+  const touching = new Set(nodeRows.map(row => `${row.block_id}|${row.neighbor_block_id}`));
+  const rearRows = rearAdjacency(topology.edges, touching, options);
+
+  const rows = new Map();
+  for (const row of [...nodeRows, ...rearRows]) {
+    const key = `${row.block_id}|${row.neighbor_block_id}|${row.relation}`;
+    if (!rows.has(key)) rows.set(key, row);
+  }
+
+  const counts = Object.fromEntries(ADJACENCY_RELATIONS.map(relation =>
+    [relation, [...rows.values()].filter(row => row.relation === relation).length]
+  ));
+  logger.info(`Derived ${rows.size} block adjacencies`, counts);
+
+  return [...rows.values()];
+}
+
+export default {
+  ADJACENCY_RELATIONS,
+  deriveBlockAdjacency
+};
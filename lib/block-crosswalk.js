@@ -0,0 +1,187 @@
+import * as turf from '@turf/turf';
+import { createLogger } from './logger.js';
+import { normalizeStreetName } from './block-detector.js';
+import { STREET_TYPES, DIRECTIONALS } from './street-aliases.js';
+
+const logger = createLogger('block-crosswalk');
+
+/**
+ * Block Crosswalk
+ *
+ * Reconciles the two block identities used in the project:
+ * - numeric blocks from block-detector-v2 (woodward_1200_1299), built from addresses
+ * - segment blocks from block-detector (woodward_ave_warren_canfield), built from street geometry
+ *
+ * Each parcel with coordinates votes for the segment it sits on, and the
+ * votes are tallied per numeric block.
+ */
+
+/**
+ * Reduce a normalized street name to its core for comparison
+ * Drops a leading directional and a trailing street type:
+ * - e_jefferson_ave -> jefferson
+ * - woodward -> woodward
+ */
+export function streetCoreKey(streetName) {
+  const words = normalizeStreetName(streetName).split('_').filter(Boolean);
+
+  if (words.length > 1 && DIRECTIONALS[words[0].toUpperCase()]) {
+    words.shift();
+  }
+  if (words.length > 1 && STREET_TYPES[words[words.length - 1].toUpperCase()]) {
+    words.pop();
+  }
+
+  return words.join('_');
+}
+
+/**
+ * Distance in meters from a point to a segment geometry
+ * Lines are measured directly; polygons (block bounds) count as 0 inside
+ */
+export function distanceToSegment(point, geometry) {
+  if (!geometry) return Infinity;
+
+  switch (geometry.type) {
+    case 'LineString':
+      return turf.pointToLineDistance(point, turf.feature(geometry), { units: 'meters' });
+    case 'MultiLineString':
+      return Math.min(...geometry.coordinates.map(coords =>
+        turf.pointToLineDistance(point, turf.lineString(coords), { units: 'meters' })
+      ));
+    case 'Polygon':
+    case 'MultiPolygon': {
+      const polygon = turf.feature(geometry);
+      if (turf.booleanPointInPolygon(point, polygon)) return 0;
+
+      const outline = turf.polygonToLine(polygon);
+      const lines = outline.type === 'FeatureCollection' ? outline.features : [outline];
+      return Math.min(...lines.flatMap(line =>
+        turf.flatten(line).features.map(part =>
+          turf.pointToLineDistance(point, part, { units: 'meters' })
+        )
+      ));
+    }
+    default:
+      return Infinity;
+  }
+}
+
+/**
+ * Build the crosswalk between numeric blocks and segment blocks
+ * @param {Array} parcels - Assigned parcels from assignBlockIds (block_id, lat, lng)
+ * @param {Array} segments - Segment blocks ({ blockId, streetName, geometry }) as produced
+ *   by detectBlocks, or stored blocks with their block_bounds polygon as geometry
+ * @param {Object} options - maxDistance (meters) a parcel may sit from its segment,
+ *   requireStreetMatch to only consider segments on the parcel's own street
+ * @returns {Object} { crosswalk: [...rows], unmatched: [...numeric blocks] }
+ */
+export function buildBlockCrosswalk(parcels, segments, options = {}) {
+  const {
+    maxDistance = 60,
+    requireStreetMatch = true
+  } = options;
+
+  // Index segments by street core so each parcel only measures its own street
+  const segmentsByStreet = new Map();
+  for (const segment of segments) {
+    const key = streetCoreKey(segment.streetName);
+    if (!segmentsByStreet.has(key)) {
+      segmentsByStreet.set(key, []);
+    }
+    segmentsByStreet.get(key).push(segment);
+  }
+
+  const tallies = new Map();
+  const parcelTotals = new Map();
+
+  for (const parcel of parcels) {
+    if (!parcel.block_id || !parcel.lat || !parcel.lng) continue;
+
+    const numericBlockId = parcel.block_id;
+    parcelTotals.set(numericBlockId, (parcelTotals.get(numericBlockId) || 0) + 1);
+
+    const streetKey = parcel.parsed ? streetCoreKey(parcel.parsed.streetName) : null;
+    const candidates = requireStreetMatch
+      ? segmentsByStreet.get(streetKey) || []
+      : segments;
+
+    const point = turf.point([parcel.lng, parcel.lat]);
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const segment of candidates) {
+      try {
+        const distance = distanceToSegment(point, segment.geometry);
+        if (distance < nearestDistance) {
+          nearest = segment;
+          nearestDistance = distance;
+        }
+      } catch (error) {
+        logger.warn('Error measuring distance to segment', {
+          blockId: segment.blockId,
+          error: error.message
+        });
+      }
+    }
+
+    if (!nearest || nearestDistance > maxDistance) continue;
+
+    const key = `${numericBlockId}|${nearest.blockId}`;
+    if (!tallies.has(key)) {
+      tallies.set(key, {
+        numeric_block_id: numericBlockId,
+        segment_block_id: nearest.blockId,
+        parcel_count: 0,
+        totalDistance: 0
+      });
+    }
+
+    const tally = tallies.get(key);
+    tally.parcel_count++;
+    tally.totalDistance += nearestDistance;
+  }
+
+  const crosswalk = [...tallies.values()].map(({ totalDistance, ...row }) => ({
+    ...row,
+    share: row.parcel_count / parcelTotals.get(row.numeric_block_id),
+    avg_distance_m: Math.round((totalDistance / row.parcel_count) * 100) / 100
+  }));
+
+  const matchedBlocks = new Set(crosswalk.map(row => row.numeric_block_id));
+  const unmatched = [...parcelTotals]
+    .filter(([blockId]) => !matchedBlocks.has(blockId))
+    .map(([blockId, count]) => ({ numeric_block_id: blockId, parcel_count: count }));
+
+  logger.info(`Crosswalk built: ${matchedBlocks.size} numeric blocks mapped, ${unmatched.length} unmatched`);
+
+  return {
+    crosswalk: crosswalk.sort((a, b) =>
+      a.numeric_block_id.localeCompare(b.numeric_block_id) || b.share - a.share
+    ),
+    unmatched
+  };
+}
+
+/**
+ * Pick the primary segment for each numeric block (the one most of its parcels fall on)
+ */
+export function primarySegments(crosswalk) {
+  const primary = new Map();
+
+  for (const row of crosswalk) {
+    const current = primary.get(row.numeric_block_id);
+    if (!current || row.share > current.share) {
+      primary.set(row.numeric_block_id, row);
+    }
+  }
+
+  return primary;
+}
+
+export default {
+  streetCoreKey,
+  distanceToSegment,
+  buildBlockCrosswalk,
+  primarySegments
+};
@@ -1,61 +1,220 @@
+import * as turf from '@turf/turf';
 import { createLogger } from './logger.js';
+import { STREET_TYPES, DIRECTIONALS, canonicalizeStreetName, cleanStreetName, levenshtein } from './street-aliases.js';
+import { scoreReasons, addReasons } from './assignment-confidence.js';
+import { getNumberingProfiles, resolveBlockRange } from './numbering-profiles.js';
+import { streetCoversNumber } from './street-gazetteer.js';
 
 const logger = createLogger('block-detector-v2');
 
+// Unit designators; everything from one of these onwards is the unit
+const UNIT_DESIGNATORS = {
+  '#': '#',
+  APT: 'APT', APARTMENT: 'APT',
+  UNIT: 'UNIT',
+  STE: 'STE', SUITE: 'STE',
+  BLDG: 'BLDG', BUILDING: 'BLDG',
+  FL: 'FL', FLOOR: 'FL',
+  RM: 'RM', ROOM: 'RM',
+  LOT: 'LOT',
+  SPC: 'SPC', SPACE: 'SPC',
+  DEPT: 'DEPT',
+  TRLR: 'TRLR',
+  REAR: 'REAR',
+  FRNT: 'FRNT', FRONT: 'FRNT',
+  LOWR: 'LOWR', LOWER: 'LOWR',
+  UPPR: 'UPPR', UPPER: 'UPPR',
+  BSMT: 'BSMT'
+};
+
+// Designators naming a part of the building, which need no ID; as words they
+// also occur in street names ("W Front St")
+const POSITIONAL_UNITS = new Set(['REAR', 'FRNT', 'LOWR', 'UPPR', 'BSMT']);
+
+// Unit ID after a positional designator: 2, 2B, B
+const UNIT_ID_TOKEN = /^(?:[A-Z]?\d+[A-Z]?|[A-Z])$/;
+
+// House number token: 1234, 1234A, 1234-1236, 1234-36
+const HOUSE_NUMBER_TOKEN = /^(\d+)([A-Z])?(?:-(\d+)[A-Z]?)?$/;
+const FRACTION_TOKEN = /^\d+\/\d+$/;
+
+// Ranges wider than this are treated as data errors rather than one building
+const MAX_RANGE_SPAN = 400;
+
+/**
+ * Resolve the end of a house number range
+ * Abbreviated ends take their leading digits from the start ("1234-36" -> 1236).
+ * Returns null when the range is backwards or implausibly wide.
+ */
+function resolveRangeEnd(from, toToken) {
+  let to = parseInt(toToken);
+  
+  if (to < from && toToken.length < String(from).length) {
+    const prefix = String(from).slice(0, String(from).length - toToken.length);
+    to = parseInt(prefix + toToken);
+  }
+  
+  if (to < from || to - from > MAX_RANGE_SPAN) {
+    return null;
+  }
+  
+  return to;
+}
+
+/**
+ * Split an address string into upper-case tokens
+ * Commas and periods are dropped and "#4" becomes "#", "4"
+ */
+function tokenizeAddress(address) {
+  return address
+    .toUpperCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/#/g, ' # ')
+    .trim()
+    .split(/\s+/)
+    .filter(token => token.length > 0);
+}
+
+/**
+ * Whether the street token at index starts the unit
+ * The street needs at least one token before it, a designator followed by a
+ * street type is part of the name ("100 Building Ln"), and the positional
+ * ones only start a unit at the end or before an ID ("100 Main St Upper 2").
+ */
+function isUnitStart(streetTokens, index) {
+  const type = UNIT_DESIGNATORS[streetTokens[index]];
+  if (index === 0 || !type) return false;
+
+  const rest = streetTokens.slice(index + 1);
+  if (rest.some(token => STREET_TYPES[token])) return false;
+  if (POSITIONAL_UNITS.has(type)) return rest.length === 0 || UNIT_ID_TOKEN.test(rest[0]);
+
+  return true;
+}
+
 /**
  * Parse a Detroit address into components
  * Handles various formats like:
  * - "1234 Woodward Ave"
  * - "15000 7 Mile Rd"
  * - "500 E Jefferson Ave"
- * - "1234-1236 Main St" (multi-unit)
+ * - "1234-1236 Main St" (multi-unit, kept as houseNumberFrom/houseNumberTo)
+ * - "1234A Main St" (number suffix)
+ * - "1234 1/2 Elmwood" (fractional number)
+ * - "1500 Woodward Ave Apt 4" (unit designator)
+ * - "2000 Grand Blvd W" (post-directional)
+ *
+ * Returns the house number, number suffix, fraction, pre/post directional,
+ * street name, street type and unit as separate fields, together with the
+ * reason codes for every irregularity the parser had to accept and the 0-1
+ * confidence they add up to (see assignment-confidence.js).
+ * Street names are canonicalized through the street alias table.
  */
 export function parseAddress(address) {
   if (!address || typeof address !== 'string') {
     return null;
   }
 
-  // Clean and normalize address
-  const cleaned = address.trim().toUpperCase();
+  const tokens = tokenizeAddress(address);
+  const numberMatch = tokens.length > 0 ? tokens[0].match(HOUSE_NUMBER_TOKEN) : null;
+  
+  if (!numberMatch) {
+    logger.debug(`Could not parse address: ${address}`);
+    return null;
+  }
+
+  const houseNumber = parseInt(numberMatch[1]);
+  const numberSuffix = numberMatch[2] || null;
   
-  // Regular expression to parse address components
-  // Captures: number, directional prefix, street name, street type
-  const addressRegex = /^(\d+)(?:-\d+)?\s+(?:(N|S|E|W|NORTH|SOUTH|EAST|WEST)\s+)?(.+?)\s+(ST|STREET|AVE|AVENUE|RD|ROAD|BLVD|BOULEVARD|DR|DRIVE|LN|LANE|CT|COURT|PL|PLACE|WAY|PKWY|PARKWAY|HWY|HIGHWAY|CIR|CIRCLE|TER|TERRACE)\.?$/i;
+  // Ranges keep both ends; houseNumber stays the primary (first) number
+  const houseNumberTo = numberMatch[3] ? resolveRangeEnd(houseNumber, numberMatch[3]) : houseNumber;
+  const invalidRange = houseNumberTo === null;
+  let position = 1;
   
-  const match = cleaned.match(addressRegex);
+  // Fractional house numbers: "1234 1/2 Elmwood"
+  let fraction = null;
+  if (tokens[position] && FRACTION_TOKEN.test(tokens[position])) {
+    fraction = tokens[position];
+    position++;
+  }
   
-  if (!match) {
-    // Try simpler pattern for numbered streets like "7 Mile Rd"
-    const numberedStreetRegex = /^(\d+)\s+(.+)$/;
-    const simpleMatch = cleaned.match(numberedStreetRegex);
-    
-    if (simpleMatch) {
-      return {
-        houseNumber: parseInt(simpleMatch[1]),
-        streetName: normalizeStreetName(simpleMatch[2]),
-        fullStreet: simpleMatch[2],
-        directional: null,
-        streetType: null
-      };
-    }
-    
+  // Unit designator (see isUnitStart)
+  let streetTokens = tokens.slice(position);
+  let unit = null;
+  const unitIndex = streetTokens.findIndex((token, i) => isUnitStart(streetTokens, i));
+  
+  if (unitIndex !== -1) {
+    const unitTokens = streetTokens.slice(unitIndex + 1);
+    unit = {
+      type: UNIT_DESIGNATORS[streetTokens[unitIndex]],
+      id: unitTokens.length > 0 ? unitTokens.join(' ') : null
+    };
+    streetTokens = streetTokens.slice(0, unitIndex);
+  }
+  
+  // Peel directionals and the street type off the ends, always leaving a name
+  let postDirectional = null;
+  if (streetTokens.length > 1 && DIRECTIONALS[streetTokens[streetTokens.length - 1]]) {
+    postDirectional = DIRECTIONALS[streetTokens.pop()];
+  }
+  
+  let streetType = null;
+  if (streetTokens.length > 1 && STREET_TYPES[streetTokens[streetTokens.length - 1]]) {
+    streetType = STREET_TYPES[streetTokens.pop()];
+  }
+  
+  let preDirectional = null;
+  if (streetTokens.length > 1 && DIRECTIONALS[streetTokens[0]]) {
+    preDirectional = DIRECTIONALS[streetTokens.shift()];
+  }
+  
+  if (streetTokens.length === 0) {
     logger.debug(`Could not parse address: ${address}`);
     return null;
   }
-
-  const [, houseNumber, directional, streetName, streetType] = match;
+  
+  // Map alias spellings (MLK, Seven Mile, Saint Aubin) to the canonical street
+  const writtenName = streetTokens.join(' ');
+  const baseName = canonicalizeStreetName(writtenName);
+  const directional = preDirectional || postDirectional;
+  const aliasedFrom = baseName !== cleanStreetName(writtenName) ? writtenName : null;
+  const isRange = !invalidRange && houseNumberTo !== houseNumber;
+  
+  const reasons = [];
+  if (!streetType) reasons.push('no_street_type');
+  if (numberSuffix) reasons.push('number_suffix');
+  if (fraction) reasons.push('fractional_number');
+  if (baseName.length < 2) reasons.push('short_street_name');
+  if (streetTokens.length > 4) reasons.push('long_street_name');
+  if (houseNumber === 0) reasons.push('zero_house_number');
+  if (invalidRange) reasons.push('invalid_range');
+  if (isRange) reasons.push('range_address');
+  if (aliasedFrom) reasons.push('alias_applied');
+  if (unit) reasons.push('unit_stripped');
   
   return {
-    houseNumber: parseInt(houseNumber),
-    directional: directional ? directional.substring(0, 1) : null,
-    streetName: normalizeStreetName((directional || '') + ' ' + streetName),
-    streetType: streetType,
-    fullStreet: (directional ? directional + ' ' : '') + streetName + ' ' + streetType
+    houseNumber,
+    houseNumberFrom: houseNumber,
+    houseNumberTo: invalidRange ? houseNumber : houseNumberTo,
+    isRange,
+    numberSuffix,
+    fraction,
+    preDirectional,
+    postDirectional,
+    directional,
+    baseName,
+    aliasedFrom,
+    streetName: normalizeStreetName((directional ? directional + ' ' : '') + baseName),
+    streetType,
+    unit,
+    fullStreet: [preDirectional, baseName, streetType, postDirectional].filter(Boolean).join(' '),
+    ...scoreReasons(reasons)
   };
 }
 
 /**
  * Normalize street name for consistent block IDs
+ * - Map aliases to the canonical street name
  * - Remove extra spaces
  * - Convert to lowercase
  * - Replace spaces with underscores
@@ -64,34 +223,86 @@ export function parseAddress(address) {
 export function normalizeStreetName(name) {
   if (!name) return '';
   
-  return name
+  return canonicalizeStreetName(name)
     .toLowerCase()
     .trim()
     .replace(/\s+/g, '_')  // Replace spaces with underscores
     .replace(/[^a-z0-9_]/g, ''); // Remove special characters
 }
 
+/**
+ * Determine which face of the block a house number sits on
+ * Detroit puts odd and even numbers on opposite sides of the street
+ */
+export function getBlockSide(houseNumber) {
+  if (!Number.isInteger(houseNumber)) {
+    return null;
+  }
+
+  return houseNumber % 2 === 0 ? 'even' : 'odd';
+}
+
 /**
  * Generate block ID from parsed address
- * Uses 100-number blocks for residential areas
+ * Uses 100-number blocks unless numbering profiles give the street
+ * its own block size or breakpoints (see numbering-profiles.js). Like
+ * assignBlockIds, options.profiles defaults to the active profiles (null
+ * for a plain grid) and blockSize overrides their default block size.
  * 
  * Examples:
  * - 1234 Woodward -> woodward_1200_1299
  * - 15050 7 Mile -> 7_mile_15000_15099
  * - 525 E Jefferson -> e_jefferson_500_599
+ * - 1234 Woodward (blockFaces) -> woodward_1200_1299_even
  */
-export function generateBlockIdFromAddress(parsedAddress, blockSize = 100) {
+export function generateBlockIdFromAddress(parsedAddress, blockSize = null, options = {}) {
   if (!parsedAddress || !parsedAddress.houseNumber) {
     return null;
   }
 
+  const { blockFaces = false, profiles = getNumberingProfiles() } = options;
   const { houseNumber, streetName } = parsedAddress;
   
   // Calculate block range
-  const blockStart = Math.floor(houseNumber / blockSize) * blockSize;
-  const blockEnd = blockStart + blockSize - 1;
+  const { from, to } = resolveBlockRange(houseNumber, streetName, profiles, blockSize);
+  const blockId = `${streetName}_${from}_${to}`;
   
-  return `${streetName}_${blockStart}_${blockEnd}`;
+  return blockFaces ? `${blockId}_${getBlockSide(houseNumber)}` : blockId;
+}
+
+/**
+ * Strip the face suffix from a block ID
+ * - woodward_1200_1299_odd -> woodward_1200_1299
+ * - woodward_1200_1299 -> woodward_1200_1299
+ */
+export function toWholeBlockId(blockId) {
+  if (!blockId) return blockId;
+  
+  return blockId.replace(/_(odd|even)$/, '');
+}
+
+/**
+ * Split a numeric block ID back into its components
+ * Returns null for IDs that are not in street_from_to[_side] form
+ */
+export function parseBlockId(blockId) {
+  if (!blockId) return null;
+  
+  const match = blockId.match(/^(.+)_(\d+)_(\d+)(?:_(odd|even))?$/);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const [, streetName, fromNumber, toNumber, side] = match;
+  
+  return {
+    streetName,
+    fromNumber: parseInt(fromNumber),
+    toNumber: parseInt(toNumber),
+    side: side || null,
+    wholeBlockId: `${streetName}_${fromNumber}_${toNumber}`
+  };
 }
 
 /**
@@ -103,11 +314,11 @@ export function detectBlockBoundaries(addresses, gapThreshold = 50) {
     return [];
   }
 
-  // Sort by house number
+  // Sort by house number (reusing an existing parse when the caller has one)
   const sorted = addresses
     .map(addr => ({
       ...addr,
-      parsed: parseAddress(addr.address)
+      parsed: addr.parsed || parseAddress(addr.address)
     }))
     .filter(addr => addr.parsed && addr.parsed.houseNumber)
     .sort((a, b) => a.parsed.houseNumber - b.parsed.houseNumber);
@@ -151,45 +362,293 @@ export function detectBlockBoundaries(addresses, gapThreshold = 50) {
   return boundaries;
 }
 
+// How ranged addresses such as "1298-1302 Main St" are placed in blocks
+export const RANGE_POLICIES = ['primary', 'midpoint', 'split'];
+
+/**
+ * Count the numbers of a range sequence that fall between lo and hi
+ */
+function countRangeNumbers(lo, hi, from, step) {
+  const first = lo + (((from - lo) % step) + step) % step;
+  return first > hi ? 0 : Math.floor((hi - first) / step) + 1;
+}
+
+/**
+ * Resolve the house number(s) a parsed address is assigned from
+ * - primary: the first number of the range
+ * - midpoint: the middle number of the range (on the same side of the street)
+ * - split: one entry per block the range touches, weighted by the share of
+ *   the range's numbers that fall in that block
+ * Ranges step by 2 when both ends share a side of the street, otherwise by 1.
+ * Blocks follow the street's numbering profile (the active profiles by
+ * default, null for a plain grid).
+ * @returns {Array<{houseNumber: number, lastNumber: number, weight: number}>}
+ */
+export function resolveRangeNumbers(parsed, rangePolicy = 'primary', blockSize = null, profiles = getNumberingProfiles()) {
+  const from = parsed.houseNumberFrom ?? parsed.houseNumber;
+  const to = parsed.houseNumberTo ?? from;
+  
+  if (to === from || rangePolicy === 'primary') {
+    return [{ houseNumber: from, lastNumber: from, weight: 1 }];
+  }
+  
+  const step = (to - from) % 2 === 0 ? 2 : 1;
+  const total = Math.floor((to - from) / step) + 1;
+  
+  if (rangePolicy === 'midpoint') {
+    const midpoint = from + Math.floor((total - 1) / 2) * step;
+    return [{ houseNumber: midpoint, lastNumber: midpoint, weight: 1 }];
+  }
+  
+  const entries = [];
+  for (
+    let block = resolveBlockRange(from, parsed.streetName, profiles, blockSize);
+    block.from <= to;
+    block = resolveBlockRange(block.to + 1, parsed.streetName, profiles, blockSize)
+  ) {
+    const lo = Math.max(from, block.from);
+    const hi = Math.min(to, block.to);
+    const count = countRangeNumbers(lo, hi, from, step);
+    
+    if (count > 0) {
+      const first = lo + (((from - lo) % step) + step) % step;
+      entries.push({
+        houseNumber: first,
+        lastNumber: first + (count - 1) * step,
+        weight: count / total
+      });
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Whether every word of a name is the same as, or an abbreviation (prefix)
+ * of, the matching word of a candidate: "JOS CAMPAU" -> "JOSEPH CAMPAU"
+ */
+function isAbbreviationOf(name, candidate) {
+  const words = name.split(' ');
+  const candidateWords = candidate.split(' ');
+  if (words.length !== candidateWords.length) return false;
+
+  return words.every((word, i) => word === candidateWords[i] ||
+    (word.length >= 2 && candidateWords[i].startsWith(word)));
+}
+
+/**
+ * Known streets a street name could be a misspelling or abbreviation of
+ */
+function findStreetCandidates(name, gazetteer, maxDistance) {
+  const candidates = [];
+
+  for (const entry of gazetteer.streets.values()) {
+    if (isAbbreviationOf(name, entry.name)) {
+      candidates.push({ entry, method: 'abbreviation', distance: levenshtein(name, entry.name), rank: 0 });
+      continue;
+    }
+
+    const limit = Math.min(name.length, entry.name.length) < 6 ? 1 : maxDistance;
+    if (Math.abs(name.length - entry.name.length) > limit) continue;
+
+    const distance = levenshtein(name, entry.name);
+    if (distance <= limit) {
+      candidates.push({ entry, method: 'edit_distance', distance, rank: distance });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Match a parsed street name against the street gazetteer
+ * An exact match wins; otherwise the closest known street is picked from
+ * word abbreviations ("JOS CAMPAU") and misspellings within maxDistance edits
+ * ("WOODWRD"; names under 6 characters allow 1). Candidates whose known
+ * address ranges exclude the house number are ruled out, and a tie between
+ * equally close candidates is left unresolved.
+ * @param {Object} parsed - Result of parseAddress
+ * @param {Object} gazetteer - From street-gazetteer.js
+ * @param {Object} options - maxDistance (default 2), cache: Map reused across calls
+ * @returns {Object|null} { baseName, method: exact|abbreviation|edit_distance, distance }, null when nothing matches
+ */
+export function matchStreetName(parsed, gazetteer, options = {}) {
+  const { maxDistance = 2, cache = null } = options;
+  const name = parsed.baseName;
+
+  if (gazetteer.streets.has(name)) {
+    return { baseName: name, method: 'exact', distance: 0 };
+  }
+
+  let candidates = cache?.get(name);
+  if (!candidates) {
+    candidates = findStreetCandidates(name, gazetteer, maxDistance);
+    cache?.set(name, candidates);
+  }
+
+  // Streets known to cover the house number beat streets without range data
+  const score = candidate => candidate.rank * 2 + (candidate.entry.ranges.length > 0 ? 0 : 1);
+  const valid = candidates
+    .filter(candidate => streetCoversNumber(candidate.entry, parsed.houseNumber))
+    .sort((a, b) => score(a) - score(b));
+
+  if (valid.length === 0) return null;
+
+  if (valid.length > 1 && score(valid[0]) === score(valid[1])) {
+    logger.debug(`Ambiguous street ${name}: ${valid.map(c => c.entry.name).join(', ')}`);
+    return null;
+  }
+
+  const [best] = valid;
+  return { baseName: best.entry.name, method: best.method, distance: best.distance };
+}
+
+/**
+ * Rewrite a parsed address onto a corrected street name
+ * The reason code street_corrected is added and the original name kept as correctedFrom.
+ */
+export function correctStreetName(parsed, baseName) {
+  const { preDirectional, postDirectional, directional, streetType } = parsed;
+
+  return {
+    ...parsed,
+    baseName,
+    correctedFrom: parsed.baseName,
+    streetName: normalizeStreetName((directional ? directional + ' ' : '') + baseName),
+    fullStreet: [preDirectional, baseName, streetType, postDirectional].filter(Boolean).join(' '),
+    ...addReasons(parsed, 'street_corrected')
+  };
+}
+
+/**
+ * Add a parcel to the running statistics for its block
+ */
+function recordBlockStats(blockStats, blockId, parsed, side, weight = 1, lastNumber = parsed.houseNumber) {
+  if (!blockStats.has(blockId)) {
+    blockStats.set(blockId, {
+      count: 0,
+      weightedCount: 0,
+      minNumber: Infinity,
+      maxNumber: -Infinity,
+      streetName: parsed.fullStreet,
+      side,
+      wholeBlockId: toWholeBlockId(blockId)
+    });
+  }
+  
+  const stats = blockStats.get(blockId);
+  stats.count++;
+  stats.weightedCount += weight;
+  stats.minNumber = Math.min(stats.minNumber, parsed.houseNumber);
+  stats.maxNumber = Math.max(stats.maxNumber, lastNumber);
+}
+
 /**
  * Process a list of parcels and assign block IDs
  * Groups parcels by street and assigns consistent block IDs
+ * 
+ * With blockFaces enabled each block is split into its odd and even
+ * sides, e.g. woodward_1200_1299_odd and woodward_1200_1299_even
+ * 
+ * rangePolicy decides where ranged addresses go (see resolveRangeNumbers).
+ * Every result records the policy as range_policy and its share of the
+ * parcel as block_weight; under 'split' a range crossing a hundred boundary
+ * yields one result per block. On each result parsed.houseNumber is the
+ * number the block was assigned from, while houseNumberFrom/houseNumberTo
+ * keep the original range.
+ * 
+ * Every result carries assignment: { confidence, reasons } built from the
+ * parse reasons plus assignment reasons such as range_split and
+ * coordinate_outlier (a parcel more than outlierDistance meters from the
+ * median position of its block).
+ * 
+ * Block ranges follow numberingProfiles (the active profiles by default,
+ * null for a plain grid); blockSize overrides the profiles' default block
+ * size for streets without a profile of their own.
+ * 
+ * With a street gazetteer (see street-gazetteer.js) street names that are
+ * not in it are snapped to the closest known street (see matchStreetName)
+ * and marked street_corrected, or marked unknown_street when nothing
+ * matches. The corrections made are listed in corrections.
  */
 export function assignBlockIds(parcels, options = {}) {
   const {
-    blockSize = 100,
+    numberingProfiles = getNumberingProfiles(),
     useNaturalBoundaries = false,
-    gapThreshold = 50
+    gapThreshold = 50,
+    blockFaces = false,
+    rangePolicy = 'primary',
+    outlierDistance = 250,
+    gazetteer = null,
+    maxStreetDistance = 2
   } = options;
+  
+  if (!RANGE_POLICIES.includes(rangePolicy)) {
+    throw new Error(`Unknown range policy: ${rangePolicy}`);
+  }
+  
+  const blockSize = options.blockSize || numberingProfiles?.defaultBlockSize || 100;
 
   const results = [];
   const blockStats = new Map();
+  const assignedParcels = new Set();
+  const corrections = new Map();
+  const streetCandidates = new Map();
+  let splitParcels = 0;
+  let unknownStreets = 0;
   
   // Group parcels by street
   const streetGroups = new Map();
   
-  for (const parcel of parcels) {
-    const parsed = parseAddress(parcel.address);
+  for (const [parcelIndex, parcel] of parcels.entries()) {
+    let parsed = parseAddress(parcel.address);
     
     if (!parsed) {
       results.push({
         ...parcel,
         block_id: null,
-        parse_error: true
+        parse_error: true,
+        assignment: scoreReasons(['unparseable_address'])
       });
       continue;
     }
 
+    if (gazetteer) {
+      const match = matchStreetName(parsed, gazetteer, { maxDistance: maxStreetDistance, cache: streetCandidates });
+
+      if (!match) {
+        parsed = { ...parsed, ...addReasons(parsed, 'unknown_street') };
+        unknownStreets++;
+      } else if (match.method !== 'exact') {
+        const key = `${parsed.baseName}|${match.baseName}`;
+        if (!corrections.has(key)) {
+          corrections.set(key, { from: parsed.baseName, to: match.baseName, method: match.method, distance: match.distance, count: 0 });
+        }
+        corrections.get(key).count++;
+        parsed = correctStreetName(parsed, match.baseName);
+      }
+    }
+
     const streetKey = parsed.streetName;
     
     if (!streetGroups.has(streetKey)) {
       streetGroups.set(streetKey, []);
     }
     
-    streetGroups.get(streetKey).push({
-      ...parcel,
-      parsed
-    });
+    const entries = resolveRangeNumbers(parsed, rangePolicy, blockSize, numberingProfiles);
+    const assignment = entries.length > 1 ? addReasons(parsed, 'range_split') : scoreReasons(parsed.reasons);
+    if (entries.length > 1) splitParcels++;
+    
+    for (const entry of entries) {
+      streetGroups.get(streetKey).push({
+        parcel,
+        parcelIndex,
+        rangeEntry: entry,
+        assignment,
+        address: parcel.address,
+        parsed: entry.houseNumber === parsed.houseNumber ? parsed : { ...parsed, houseNumber: entry.houseNumber }
+      });
+    }
   }
 
   // Process each street
@@ -200,93 +659,345 @@ export function assignBlockIds(parcels, options = {}) {
       
       for (const boundary of boundaries) {
         // Create block ID for this boundary
-        const blockStart = Math.floor(boundary.start / blockSize) * blockSize;
-        const blockEnd = blockStart + blockSize - 1;
-        const blockId = `${streetName}_${blockStart}_${blockEnd}`;
+        const { from, to } = resolveBlockRange(boundary.start, streetName, numberingProfiles, blockSize);
+        const wholeBlockId = `${streetName}_${from}_${to}`;
         
         // Assign to all addresses in this boundary
-        for (const addr of boundary.addresses) {
+        for (const { parcel, parcelIndex, rangeEntry, assignment, parsed } of boundary.addresses) {
+          const side = blockFaces ? getBlockSide(parsed.houseNumber) : null;
+          const blockId = side ? `${wholeBlockId}_${side}` : wholeBlockId;
+          
           results.push({
-            ...addr,
+            ...parcel,
+            parsed,
             block_id: blockId,
-            block_method: 'natural_boundary'
+            block_side: side,
+            block_method: 'natural_boundary',
+            range_policy: rangePolicy,
+            block_weight: rangeEntry.weight,
+            assignment: addReasons(assignment, 'natural_boundary')
           });
           
-          // Update stats
-          if (!blockStats.has(blockId)) {
-            blockStats.set(blockId, {
-              count: 0,
-              minNumber: Infinity,
-              maxNumber: -Infinity,
-              streetName: addr.parsed.fullStreet
-            });
-          }
-          
-          const stats = blockStats.get(blockId);
-          stats.count++;
-          stats.minNumber = Math.min(stats.minNumber, addr.parsed.houseNumber);
-          stats.maxNumber = Math.max(stats.maxNumber, addr.parsed.houseNumber);
+          recordBlockStats(blockStats, blockId, parsed, side, rangeEntry.weight, rangeEntry.lastNumber);
+          assignedParcels.add(parcelIndex);
         }
       }
     } else {
       // Use fixed block sizes
-      for (const parcel of streetParcels) {
-        const blockId = generateBlockIdFromAddress(parcel.parsed, blockSize);
+      for (const { parcel, parcelIndex, rangeEntry, assignment, parsed } of streetParcels) {
+        const blockId = generateBlockIdFromAddress(parsed, blockSize, { blockFaces, profiles: numberingProfiles });
+        const side = blockFaces ? getBlockSide(parsed.houseNumber) : null;
         
         results.push({
           ...parcel,
+          parsed,
           block_id: blockId,
-          block_method: 'fixed_size'
+          block_side: side,
+          block_method: 'fixed_size',
+          range_policy: rangePolicy,
+          block_weight: rangeEntry.weight,
+          assignment
         });
         
-        // Update stats
-        if (!blockStats.has(blockId)) {
-          blockStats.set(blockId, {
-            count: 0,
-            minNumber: Infinity,
-            maxNumber: -Infinity,
-            streetName: parcel.parsed.fullStreet
-          });
+        if (blockId) {
+          recordBlockStats(blockStats, blockId, parsed, side, rangeEntry.weight, rangeEntry.lastNumber);
+          assignedParcels.add(parcelIndex);
         }
-        
-        const stats = blockStats.get(blockId);
-        stats.count++;
-        stats.minNumber = Math.min(stats.minNumber, parcel.parsed.houseNumber);
-        stats.maxNumber = Math.max(stats.maxNumber, parcel.parsed.houseNumber);
       }
     }
   }
 
+  const outliers = flagCoordinateOutliers(results, outlierDistance);
+  const assigned = results.filter(r => r.block_id);
+
   return {
     parcels: results,
     blockStats: Object.fromEntries(blockStats),
+    corrections: [...corrections.values()].sort((a, b) => b.count - a.count),
     summary: {
       totalParcels: parcels.length,
-      successfullyAssigned: results.filter(r => r.block_id).length,
+      successfullyAssigned: assignedParcels.size,
       parseErrors: results.filter(r => r.parse_error).length,
+      splitParcels,
+      correctedStreets: [...corrections.values()].reduce((sum, c) => sum + c.count, 0),
+      unknownStreets,
+      coordinateOutliers: outliers,
+      averageConfidence: assigned.length > 0
+        ? Math.round(assigned.reduce((sum, r) => sum + r.assignment.confidence, 0) / assigned.length * 100) / 100
+        : null,
       uniqueBlocks: blockStats.size,
       uniqueStreets: streetGroups.size
     }
   };
 }
 
+/**
+ * Median of a list of numbers
+ */
+function medianOf(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Mark results that sit far from the other parcels of their block
+ * Blocks need at least 3 located parcels for a meaningful median position.
+ * @returns {number} Number of results flagged
+ */
+function flagCoordinateOutliers(results, outlierDistance) {
+  const located = new Map();
+  
+  for (const result of results) {
+    if (!result.block_id || !result.lat || !result.lng) continue;
+    
+    if (!located.has(result.block_id)) {
+      located.set(result.block_id, []);
+    }
+    located.get(result.block_id).push(result);
+  }
+  
+  let flagged = 0;
+  
+  for (const members of located.values()) {
+    if (members.length < 3) continue;
+    
+    const center = turf.point([
+      medianOf(members.map(m => m.lng)),
+      medianOf(members.map(m => m.lat))
+    ]);
+    
+    for (const member of members) {
+      const distance = turf.distance(center, turf.point([member.lng, member.lat]), { units: 'meters' });
+      
+      if (distance > outlierDistance) {
+        member.assignment = addReasons(member.assignment, 'coordinate_outlier');
+        flagged++;
+      }
+    }
+  }
+  
+  return flagged;
+}
+
+/**
+ * Roll block-face assignments back up into whole blocks
+ * Merges the odd and even face statistics of each block and
+ * rewrites parcel block IDs to the whole-block form
+ */
+export function rollUpBlockFaces(assignments) {
+  const blockStats = new Map();
+  
+  for (const [blockId, stats] of Object.entries(assignments.blockStats)) {
+    const wholeBlockId = stats.wholeBlockId || toWholeBlockId(blockId);
+    
+    if (!blockStats.has(wholeBlockId)) {
+      blockStats.set(wholeBlockId, {
+        count: 0,
+        weightedCount: 0,
+        minNumber: Infinity,
+        maxNumber: -Infinity,
+        streetName: stats.streetName,
+        side: null,
+        wholeBlockId,
+        faces: []
+      });
+    }
+    
+    const whole = blockStats.get(wholeBlockId);
+    whole.count += stats.count;
+    whole.weightedCount += stats.weightedCount ?? stats.count;
+    whole.minNumber = Math.min(whole.minNumber, stats.minNumber);
+    whole.maxNumber = Math.max(whole.maxNumber, stats.maxNumber);
+    
+    if (stats.side) {
+      whole.faces.push(blockId);
+    }
+  }
+  
+  const parcels = assignments.parcels.map(parcel => ({
+    ...parcel,
+    block_id: toWholeBlockId(parcel.block_id),
+    block_face_id: parcel.block_side ? parcel.block_id : null,
+    block_side: null
+  }));
+  
+  return {
+    parcels,
+    blockStats: Object.fromEntries(blockStats),
+    summary: {
+      ...assignments.summary,
+      uniqueBlocks: blockStats.size
+    }
+  };
+}
+
+/**
+ * Group located parcels by block, one point per parcel
+ */
+function groupBlockPoints(parcels = []) {
+  const groups = new Map();
+  
+  for (const parcel of parcels) {
+    if (!parcel.block_id || !parcel.lat || !parcel.lng) continue;
+    
+    if (!groups.has(parcel.block_id)) {
+      groups.set(parcel.block_id, new Map());
+    }
+    
+    const points = groups.get(parcel.block_id);
+    const key = parcel.parcel_id ?? `${parcel.lng},${parcel.lat}`;
+    if (!points.has(key)) {
+      points.set(key, { parcelId: parcel.parcel_id ?? null, address: parcel.address, lng: parcel.lng, lat: parcel.lat });
+    }
+  }
+  
+  return groups;
+}
+
+/**
+ * Single-link clustering: points closer than maxGap meters end up together
+ */
+function clusterPoints(points, maxGap) {
+  const clusterOf = points.map((_, i) => i);
+  const find = i => (clusterOf[i] === i ? i : (clusterOf[i] = find(clusterOf[i])));
+  
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      if (find(i) === find(j)) continue;
+      
+      const distance = turf.distance([points[i].lng, points[i].lat], [points[j].lng, points[j].lat], { units: 'meters' });
+      if (distance <= maxGap) {
+        clusterOf[find(i)] = find(j);
+      }
+    }
+  }
+  
+  const clusters = new Map();
+  points.forEach((point, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(point);
+  });
+  
+  return [...clusters.values()].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Check the parcel coordinates of each block
+ * - split_block: the parcels form separate groups, i.e. the block ID covers two different streets
+ * - spatial_outlier: a parcel sits more than outlierDistance meters from its block's median position
+ * - block_span: the remaining parcels stretch further than a block plausibly can
+ */
+function validateBlockGeometry(blockId, points, stats, options) {
+  const { outlierDistance, maxBlockSpan, clusterGap, minClusterSize } = options;
+  const side = stats?.side || null;
+  const issues = [];
+  
+  const clusters = clusterPoints(points, clusterGap).filter(cluster => cluster.length >= minClusterSize);
+  
+  if (clusters.length > 1) {
+    const centers = clusters.map(cluster => [
+      medianOf(cluster.map(p => p.lng)),
+      medianOf(cluster.map(p => p.lat))
+    ]);
+    const separation = turf.distance(centers[0], centers[1], { units: 'meters' });
+    
+    issues.push({
+      type: 'split_block',
+      blockId,
+      side,
+      message: `Block ${blockId} has parcels in ${clusters.length} separate groups ${Math.round(separation)}m apart, likely on different streets`,
+      severity: 'error',
+      clusterSizes: clusters.map(cluster => cluster.length),
+      geometry: { type: 'MultiPoint', coordinates: centers }
+    });
+    
+    // A median position between two groups says nothing about single parcels
+    return issues;
+  }
+  
+  const center = [medianOf(points.map(p => p.lng)), medianOf(points.map(p => p.lat))];
+  const inliers = [];
+  
+  for (const point of points) {
+    const distance = turf.distance(center, [point.lng, point.lat], { units: 'meters' });
+    
+    if (distance > outlierDistance) {
+      issues.push({
+        type: 'spatial_outlier',
+        blockId,
+        side,
+        parcelId: point.parcelId,
+        distance: Math.round(distance),
+        message: `Parcel ${point.parcelId ?? point.address} is ${Math.round(distance)}m from the rest of block ${blockId}`,
+        severity: 'warning',
+        geometry: { type: 'Point', coordinates: [point.lng, point.lat] }
+      });
+    } else {
+      inliers.push(point);
+    }
+  }
+  
+  if (inliers.length > 1) {
+    const southWest = [Math.min(...inliers.map(p => p.lng)), Math.min(...inliers.map(p => p.lat))];
+    const northEast = [Math.max(...inliers.map(p => p.lng)), Math.max(...inliers.map(p => p.lat))];
+    const span = turf.distance(southWest, northEast, { units: 'meters' });
+    
+    if (span > maxBlockSpan) {
+      issues.push({
+        type: 'block_span',
+        blockId,
+        side,
+        span: Math.round(span),
+        message: `Block ${blockId} spans ${Math.round(span)}m, more than the ${maxBlockSpan}m a block can cover`,
+        severity: 'error',
+        geometry: { type: 'LineString', coordinates: [southWest, northEast] }
+      });
+    }
+  }
+  
+  return issues;
+}
+
 /**
  * Validate block assignments
  * Checks for common issues like split blocks, gaps, etc.
+ * 
+ * When the assigned parcels carry lat/lng the blocks are also checked
+ * spatially (see validateBlockGeometry). Spatial issues include a GeoJSON
+ * geometry so they can be drawn by buildValidationReport.
+ * 
+ * Options:
+ * - outlierDistance: meters from the block's median position before a parcel is an outlier
+ * - maxBlockSpan: meters the parcels of one block may stretch across
+ * - clusterGap: parcels further apart than this (with nothing in between) form separate groups
+ * - minClusterSize: parcels a group needs before it counts as a second street
  */
-export function validateBlockAssignments(assignments) {
+export function validateBlockAssignments(assignments, options = {}) {
+  const {
+    outlierDistance = 250,
+    maxBlockSpan = 400,
+    clusterGap = 300,
+    minClusterSize = 2
+  } = options;
+  
   const issues = [];
   const { blockStats } = assignments;
   
   for (const [blockId, stats] of Object.entries(blockStats)) {
+    const side = stats.side || null;
+    
     // Check for large gaps within blocks
+    // Both a single face and a whole block are expected to use every other number
     const numberRange = stats.maxNumber - stats.minNumber;
-    const expectedCount = Math.floor(numberRange / 2) + 1; // Assuming every other number
+    const expectedCount = Math.floor(numberRange / 2) + 1;
     
     if (stats.count < expectedCount * 0.3) {
       issues.push({
         type: 'sparse_block',
         blockId,
+        side,
         message: `Block ${blockId} has only ${stats.count} parcels but spans ${numberRange} numbers`,
         severity: 'warning'
       });
@@ -297,10 +1008,50 @@ export function validateBlockAssignments(assignments) {
       issues.push({
         type: 'small_block',
         blockId,
+        side,
         message: `Block ${blockId} has only ${stats.count} parcels`,
         severity: 'info'
       });
     }
+    
+    if (!side) continue;
+    
+    // A face must only hold numbers of its own parity
+    if (getBlockSide(stats.minNumber) !== side || getBlockSide(stats.maxNumber) !== side) {
+      issues.push({
+        type: 'parity_mismatch',
+        blockId,
+        side,
+        message: `Block face ${blockId} contains ${side === 'odd' ? 'even' : 'odd'} house numbers`,
+        severity: 'error'
+      });
+    }
+    
+    // Flag faces whose opposite side has no parcels at all
+    const oppositeId = `${stats.wholeBlockId || toWholeBlockId(blockId)}_${side === 'odd' ? 'even' : 'odd'}`;
+    
+    if (!blockStats[oppositeId]) {
+      issues.push({
+        type: 'single_face',
+        blockId,
+        side,
+        message: `Block ${stats.wholeBlockId || toWholeBlockId(blockId)} only has parcels on the ${side} side`,
+        severity: 'info'
+      });
+    }
+  }
+  
+  const blockPoints = groupBlockPoints(assignments.parcels);
+  
+  for (const [blockId, points] of blockPoints) {
+    if (points.size < 3) continue;
+    
+    issues.push(...validateBlockGeometry(blockId, [...points.values()], blockStats[blockId], {
+      outlierDistance,
+      maxBlockSpan,
+      clusterGap,
+      minClusterSize
+    }));
   }
   
   return {
@@ -309,11 +1060,58 @@ export function validateBlockAssignments(assignments) {
   };
 }
 
+/**
+ * Build an issue report from a validation result
+ * @param {Object} validation - Result of validateBlockAssignments
+ * @param {string} format - 'json' for a summary with the issue list,
+ *   'geojson' for a FeatureCollection the block visualizer can load
+ */
+export function buildValidationReport(validation, format = 'json') {
+  const { issues } = validation;
+  
+  if (format === 'geojson') {
+    return {
+      type: 'FeatureCollection',
+      features: issues.map(({ geometry, ...issue }) => ({
+        type: 'Feature',
+        properties: issue,
+        geometry: geometry || null
+      }))
+    };
+  }
+  
+  if (format !== 'json') {
+    throw new Error(`Unknown report format: ${format}`);
+  }
+  
+  const countBy = key => issues.reduce((counts, issue) => {
+    counts[issue[key]] = (counts[issue[key]] || 0) + 1;
+    return counts;
+  }, {});
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    valid: validation.valid,
+    totalIssues: issues.length,
+    bySeverity: countBy('severity'),
+    byType: countBy('type'),
+    issues
+  };
+}
+
 export default {
   parseAddress,
   normalizeStreetName,
+  getBlockSide,
   generateBlockIdFromAddress,
+  resolveRangeNumbers,
+  matchStreetName,
+  correctStreetName,
+  toWholeBlockId,
+  parseBlockId,
   detectBlockBoundaries,
   assignBlockIds,
-  validateBlockAssignments
+  rollUpBlockFaces,
+  validateBlockAssignments,
+  buildValidationReport
 };
\ No newline at end of file
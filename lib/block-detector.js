@@ -1,8 +1,17 @@
 import * as turf from '@turf/turf';
 import { createLogger } from './logger.js';
+import { canonicalizeStreetName } from './street-aliases.js';
+import { scoreReasons, addReasons } from './assignment-confidence.js';
+import { SpatialIndex } from './spatial-index.js';
+import { parseAddress } from './block-detector-v2.js';
+import { splitStreetName } from './street-gazetteer.js';
+import { getStreetClassPolicy, streetClassRules } from './street-classes.js';
 
 const logger = createLogger('block-detector');
 
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const MAX_GEOHASH_PRECISION = 12;
+
 /**
  * Block Detection Algorithm
  * 
@@ -12,11 +21,12 @@ const logger = createLogger('block-detector');
 
 /**
  * Normalize street name for consistent block IDs
+ * Aliases are mapped to the canonical street name first
  */
 export function normalizeStreetName(name) {
   if (!name) return '';
   
-  return name
+  return canonicalizeStreetName(name)
     .toLowerCase()
     .trim()
     .replace(/\s+/g, '_')
@@ -34,26 +44,154 @@ export function generateBlockId(streetName, fromCross, toCross) {
   return normalized.join('_');
 }
 
+/**
+ * Geohash of a [lon, lat] position
+ */
+export function encodeGeohash([lon, lat], precision = 7) {
+  const lonRange = [-180, 180];
+  const latRange = [-90, 90];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+  
+  while (hash.length < precision) {
+    const range = evenBit ? lonRange : latRange;
+    const coordinate = evenBit ? lon : lat;
+    const mid = (range[0] + range[1]) / 2;
+    
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  
+  return hash;
+}
+
+/**
+ * Make block IDs unique
+ * Street and cross street names alone repeat when a street crosses the same
+ * road twice or two separate streets share a name. Every block of a repeated
+ * ID gets the geohash of its center appended (lengthened until the blocks
+ * differ), so the IDs depend on where the blocks are rather than on the order
+ * they were found in and stay the same from run to run. Blocks are changed in
+ * place and keep the shared ID as baseBlockId.
+ * @param {Array} blocks - Block segments
+ * @param {Object} options - precision: geohash length to start from (default 7, about 150 m)
+ * @returns {Array} Collisions: { blockId, count, streetName, resolvedIds }
+ */
+export function resolveBlockIdCollisions(blocks, options = {}) {
+  const { precision = 7 } = options;
+  const groups = new Map();
+  
+  for (const block of blocks) {
+    if (!groups.has(block.blockId)) groups.set(block.blockId, []);
+    groups.get(block.blockId).push(block);
+  }
+  
+  const collisions = [];
+  
+  for (const [blockId, group] of groups) {
+    if (group.length < 2) continue;
+    
+    const centers = group.map(block => turf.getCoord(turf.center(turf.feature(block.geometry))));
+    const suffixes = centers.map(center => encodeGeohash(center, precision));
+    
+    // Lengthen the geohashes of blocks still sharing a cell
+    for (let length = precision + 1; length <= MAX_GEOHASH_PRECISION; length++) {
+      const repeated = suffixes.filter((suffix, i) => suffixes.indexOf(suffix) !== i);
+      if (repeated.length === 0) break;
+      
+      suffixes.forEach((suffix, i) => {
+        if (repeated.includes(suffix)) suffixes[i] = encodeGeohash(centers[i], length);
+      });
+    }
+    
+    // Blocks centered on the very same spot are numbered in input order
+    const ordinals = new Map();
+    group.forEach((block, i) => {
+      const suffix = suffixes[i];
+      const ordinal = (ordinals.get(suffix) || 0) + 1;
+      ordinals.set(suffix, ordinal);
+      
+      block.baseBlockId = blockId;
+      block.blockId = `${blockId}_${suffix}${ordinal > 1 ? `_${ordinal}` : ''}`;
+    });
+    
+    collisions.push({
+      blockId,
+      count: group.length,
+      streetName: group[0].streetName,
+      resolvedIds: group.map(block => block.blockId)
+    });
+  }
+  
+  if (collisions.length > 0) {
+    logger.warn(`Resolved ${collisions.length} repeated block IDs`, {
+      blockIds: collisions.slice(0, 10).map(collision => collision.blockId)
+    });
+  }
+  
+  return collisions;
+}
+
+/**
+ * Split a street into its line parts
+ * LineStrings have a single part, MultiLineStrings one per line
+ */
+export function getStreetParts(street) {
+  const { geometry, properties = {} } = street;
+  
+  if (geometry.type === 'MultiLineString') {
+    return geometry.coordinates
+      .filter(coordinates => coordinates.length > 1)
+      .map(coordinates => turf.lineString(coordinates, properties));
+  }
+  
+  return [turf.lineString(geometry.coordinates, properties)];
+}
+
 /**
  * Find intersection points between street geometries
+ * Every crossing is kept, so a street that crosses the same road twice
+ * gets two intersections, numbered by crossingIndex. Cross streets whose
+ * class does not end blocks (see street-classes.js) are skipped; pass
+ * policy: null to keep every crossing.
  */
-export function findIntersections(mainStreet, crossStreets) {
+export function findIntersections(mainStreet, crossStreets, options = {}) {
+  const { policy = getStreetClassPolicy() } = options;
   const intersections = [];
   
   for (const crossStreet of crossStreets) {
+    if (policy && !streetClassRules(crossStreet, policy).endsBlocks) continue;
+    
     try {
       // Find intersection point(s)
       const intersection = turf.lineIntersect(mainStreet, crossStreet);
+      const crossings = [];
       
-      if (intersection.features.length > 0) {
-        // Use the first intersection point
-        const point = intersection.features[0];
+      for (const point of intersection.features) {
+        // Lines meeting at a shared vertex can report the same point twice
+        if (crossings.some(seen => turf.distance(seen, point, { units: 'meters' }) < 1)) continue;
+        crossings.push(point);
         
         intersections.push({
           point: point.geometry,
           crossStreet: crossStreet.properties.street_name,
           crossStreetId: crossStreet.properties.street_id,
-          coordinates: point.geometry.coordinates
+          coordinates: point.geometry.coordinates,
+          crossingIndex: crossings.length - 1
         });
       }
     } catch (error) {
@@ -70,40 +208,61 @@ export function findIntersections(mainStreet, crossStreets) {
 
 /**
  * Sort intersections along the street line
+ * Each intersection is placed on the street part (see getStreetParts)
+ * nearest to it; the result is ordered by part, then by location along it
  */
 export function sortIntersectionsAlongStreet(street, intersections) {
   if (intersections.length === 0) return [];
   
-  // Get the street line
-  const line = street.geometry;
+  const parts = getStreetParts(street);
   
   // Calculate distance along line for each intersection
   const intersectionsWithDistance = intersections.map(intersection => {
-    const pointOnLine = turf.nearestPointOnLine(line, intersection.point);
+    let nearest = null;
+    
+    parts.forEach((line, part) => {
+      const pointOnLine = turf.nearestPointOnLine(line, intersection.point);
+      const distance = pointOnLine.properties.dist || 0;
+      
+      if (!nearest || distance < nearest.distance) {
+        nearest = { part, distance, location: pointOnLine.properties.location || 0 };
+      }
+    });
+    
     return {
       ...intersection,
-      distance: pointOnLine.properties.dist || 0,
-      location: pointOnLine.properties.location || 0
+      ...nearest
     };
   });
   
   // Sort by distance along line
-  return intersectionsWithDistance.sort((a, b) => a.location - b.location);
+  return intersectionsWithDistance.sort((a, b) => a.part - b.part || a.location - b.location);
 }
 
 /**
  * Create block segments from sorted intersections
+ * Each street part gets one segment per consecutive pair of crossings,
+ * plus the stretches before its first and after its last crossing.
+ * Parts without crossings become a single start-to-end block.
+ * Streets whose class generates no blocks (freeways, alleys, ...) get none;
+ * every segment records its street's class as streetClass.
  */
-export function createBlockSegments(street, sortedIntersections) {
+export function createBlockSegments(street, sortedIntersections, options = {}) {
+  const { policy = getStreetClassPolicy() } = options;
   const segments = [];
   const streetName = street.properties.street_name;
+  const parts = getStreetParts(street);
+  const { streetClass, generatesBlocks } = streetClassRules(street, policy);
+  
+  if (!generatesBlocks) return segments;
   
-  if (sortedIntersections.length === 0) {
+  if (sortedIntersections.length === 0 && parts.length === 1) {
     // No intersections - entire street is one block
     const blockId = generateBlockId(streetName, 'start', 'end');
     segments.push({
       blockId,
       streetName,
+      streetClass,
       fromCrossStreet: 'start',
       toCrossStreet: 'end',
       geometry: street.geometry,
@@ -112,34 +271,86 @@ export function createBlockSegments(street, sortedIntersections) {
     return segments;
   }
   
+  // Slicing works on locations along each part, so intersections need them
+  const located = sortedIntersections.every(i => i.location !== undefined)
+    ? sortedIntersections
+    : sortIntersectionsAlongStreet(street, sortedIntersections);
+  
+  parts.forEach((line, part) => {
+    const partIntersections = located.filter(i => (i.part || 0) === part);
+    const partSegments = createPartSegments(line, streetName, partIntersections, parts.length > 1 ? part : null);
+    segments.push(...partSegments.map(segment => ({ ...segment, streetClass })));
+  });
+  
+  return segments;
+}
+
+/**
+ * Block segment between two intersections of a street part
+ * A missing intersection stands for the start or end of the part
+ */
+function sliceBlockSegment(line, streetName, fromIntersection, toIntersection, part) {
+  const from = fromIntersection?.crossStreet ?? 'start';
+  const to = toIntersection?.crossStreet ?? 'end';
+  const segment = turf.lineSliceAlong(
+    line,
+    fromIntersection?.location ?? 0,
+    toIntersection?.location ?? turf.length(line)
+  );
+  
+  // Pin the ends to the exact crossing points
+  const coordinates = segment.geometry.coordinates;
+  if (fromIntersection) coordinates[0] = fromIntersection.coordinates;
+  if (toIntersection) coordinates[coordinates.length - 1] = toIntersection.coordinates;
+  
+  return {
+    blockId: generateBlockId(streetName, from, to),
+    streetName,
+    fromCrossStreet: from,
+    toCrossStreet: to,
+    geometry: segment.geometry,
+    bounds: turf.bbox(segment),
+    center: turf.center(segment).geometry,
+    ...(part !== null ? { part } : {})
+  };
+}
+
+/**
+ * Create the block segments of one street part
+ * @param {Object} line - LineString feature of the part
+ * @param {string} streetName - Street name
+ * @param {Array} intersections - The part's intersections, sorted by location
+ * @param {number|null} part - Part number recorded on multi-part streets
+ */
+function createPartSegments(line, streetName, intersections, part) {
+  const segments = [];
+  
+  if (intersections.length === 0) {
+    segments.push(sliceBlockSegment(line, streetName, null, null, part));
+    return segments;
+  }
+  
+  // Segment from part start to first intersection
+  const firstIntersection = intersections[0];
+  
+  if (firstIntersection.location > 0.01) { // > 10 meters
+    try {
+      segments.push(sliceBlockSegment(line, streetName, null, firstIntersection, part));
+    } catch (error) {
+      logger.warn('Error creating start segment', { error: error.message });
+    }
+  }
+  
   // Create segments between intersections
-  for (let i = 0; i < sortedIntersections.length - 1; i++) {
-    const fromIntersection = sortedIntersections[i];
-    const toIntersection = sortedIntersections[i + 1];
+  for (let i = 0; i < intersections.length - 1; i++) {
+    const fromIntersection = intersections[i];
+    const toIntersection = intersections[i + 1];
+    
+    // Crossings at the same spot (e.g. a cross street changing name) bound no block
+    if (toIntersection.location - fromIntersection.location < 0.001) continue;
     
     try {
-      // Create line segment between intersections
-      const segment = turf.lineSlice(
-        fromIntersection.point,
-        toIntersection.point,
-        street
-      );
-      
-      const blockId = generateBlockId(
-        streetName,
-        fromIntersection.crossStreet,
-        toIntersection.crossStreet
-      );
-      
-      segments.push({
-        blockId,
-        streetName,
-        fromCrossStreet: fromIntersection.crossStreet,
-        toCrossStreet: toIntersection.crossStreet,
-        geometry: segment.geometry,
-        bounds: turf.bbox(segment),
-        center: turf.center(segment).geometry
-      });
+      segments.push(sliceBlockSegment(line, streetName, fromIntersection, toIntersection, part));
     } catch (error) {
       logger.warn('Error creating block segment', {
         street: streetName,
@@ -150,52 +361,14 @@ export function createBlockSegments(street, sortedIntersections) {
     }
   }
   
-  // Handle segments before first and after last intersection
-  if (sortedIntersections.length > 0) {
-    // Segment from street start to first intersection
-    const firstIntersection = sortedIntersections[0];
-    const startPoint = turf.point(street.geometry.coordinates[0]);
-    
-    if (turf.distance(startPoint, firstIntersection.point) > 0.01) { // > 10 meters
-      try {
-        const startSegment = turf.lineSlice(startPoint, firstIntersection.point, street);
-        const blockId = generateBlockId(streetName, 'start', firstIntersection.crossStreet);
-        
-        segments.unshift({
-          blockId,
-          streetName,
-          fromCrossStreet: 'start',
-          toCrossStreet: firstIntersection.crossStreet,
-          geometry: startSegment.geometry,
-          bounds: turf.bbox(startSegment),
-          center: turf.center(startSegment).geometry
-        });
-      } catch (error) {
-        logger.warn('Error creating start segment', { error: error.message });
-      }
-    }
-    
-    // Segment from last intersection to street end
-    const lastIntersection = sortedIntersections[sortedIntersections.length - 1];
-    const endPoint = turf.point(street.geometry.coordinates[street.geometry.coordinates.length - 1]);
-    
-    if (turf.distance(lastIntersection.point, endPoint) > 0.01) { // > 10 meters
-      try {
-        const endSegment = turf.lineSlice(lastIntersection.point, endPoint, street);
-        const blockId = generateBlockId(streetName, lastIntersection.crossStreet, 'end');
-        
-        segments.push({
-          blockId,
-          streetName,
-          fromCrossStreet: lastIntersection.crossStreet,
-          toCrossStreet: 'end',
-          geometry: endSegment.geometry,
-          bounds: turf.bbox(endSegment),
-          center: turf.center(endSegment).geometry
-        });
-      } catch (error) {
-        logger.warn('Error creating end segment', { error: error.message });
-      }
+  // Segment from last intersection to part end
+  const lastIntersection = intersections[intersections.length - 1];
+  
+  if (turf.length(line) - lastIntersection.location > 0.01) { // > 10 meters
+    try {
+      segments.push(sliceBlockSegment(line, streetName, lastIntersection, null, part));
+    } catch (error) {
+      logger.warn('Error creating end segment', { error: error.message });
     }
   }
   
@@ -204,11 +377,13 @@ export function createBlockSegments(street, sortedIntersections) {
 
 /**
  * Create block polygon from street segment
+ * Accepts a segment from createBlockSegments or a GeoJSON line feature
  */
 export function createBlockPolygon(segment, bufferDistance = 50) {
   try {
     // Buffer the line segment to create a polygon
-    const buffered = turf.buffer(segment, bufferDistance, { units: 'meters' });
+    const line = segment.type ? segment : turf.feature(segment.geometry);
+    const buffered = turf.buffer(line, bufferDistance, { units: 'meters' });
     
     return buffered.geometry;
   } catch (error) {
@@ -220,10 +395,188 @@ export function createBlockPolygon(segment, bufferDistance = 50) {
   }
 }
 
+/**
+ * Score how well a parcel fits the block it was placed in
+ * @param {Object} parcelPoint - Parcel centroid
+ * @param {Object} block - Block segment the parcel was placed in
+ * @param {number} containingBlocks - How many block buffers contain the centroid
+ * @param {Object} options - farDistance: meters from the street line that counts as far
+ * @returns {Object} { confidence, reasons }
+ */
+export function assessParcelAssignment(parcelPoint, block, containingBlocks = 1, options = {}) {
+  const { farDistance = 35 } = options;
+  const reasons = [];
+
+  if (containingBlocks === 0) reasons.push('outside_buffer');
+  if (containingBlocks > 1) reasons.push('multiple_buffers');
+
+  const distance = turf.pointToLineDistance(parcelPoint, turf.feature(block.geometry), { units: 'meters' });
+  if (distance > farDistance) reasons.push('far_from_segment');
+
+  return scoreReasons(reasons);
+}
+
+/**
+ * Buffer every block and index the buffers in an R-tree
+ * Build it once per detection run and pass it to assignParcelsToBlocks
+ * and findBlocksContainingPoint. The indexed items are the blocks with
+ * their buffer added as polygon.
+ */
+export function createBlockIndex(blocks, bufferDistance = 50) {
+  const blockPolygons = blocks.map(block => {
+    const polygon = createBlockPolygon(block, bufferDistance);
+    return {
+      ...block,
+      polygon: polygon ? turf.feature(polygon) : null
+    };
+  }).filter(b => b.polygon !== null);
+
+  return new SpatialIndex(blockPolygons, { getBBox: block => turf.bbox(block.polygon) });
+}
+
+/**
+ * Blocks whose buffer contains a point, in the order the blocks were indexed
+ * @param {SpatialIndex} blockIndex - From createBlockIndex
+ * @param {Object} point - GeoJSON point feature or geometry
+ */
+export function findBlocksContainingPoint(blockIndex, point) {
+  return blockIndex.searchPoint(turf.getCoord(point))
+    .filter(block => turf.booleanPointInPolygon(point, block.polygon));
+}
+
+/**
+ * Bearing of a street line around the point on it nearest to a position
+ */
+function lineBearingNear(line, point) {
+  const coordinates = turf.getCoords(line);
+  const nearest = turf.nearestPointOnLine(line, point);
+  const index = Math.min(nearest.properties.index, coordinates.length - 2);
+  
+  return turf.bearing(coordinates[index], coordinates[index + 1]);
+}
+
+/**
+ * Measure how much of a parcel's boundary fronts each nearby block
+ * An edge of the parcel fronts a block when it runs roughly parallel to the
+ * block's street line, lies within maxFrontageDistance of it and is nearer
+ * to it than the parcel centroid is, i.e. it faces the street rather than
+ * the back of the lot. Each edge fronts at most one block, the nearest.
+ * Only blocks with LineString geometry are considered.
+ * @param {Object} parcel - Parcel polygon feature
+ * @param {Array} blocks - Candidate block segments
+ * @param {Object} options - maxFrontageDistance (m, default 20), maxFrontageAngle (degrees, default 30)
+ * @returns {Map} blockId -> { block, length } with length in meters
+ */
+export function measureParcelFrontage(parcel, blocks, options = {}) {
+  const { maxFrontageDistance = 20, maxFrontageAngle = 30 } = options;
+  const centroid = turf.centroid(parcel);
+  
+  const lines = blocks
+    .filter(block => block.geometry.type === 'LineString')
+    .map(block => {
+      const line = turf.feature(block.geometry);
+      return {
+        block,
+        line,
+        centroidDistance: turf.pointToLineDistance(centroid, line, { units: 'meters' })
+      };
+    });
+  
+  // Outer rings only; holes front nothing
+  const geometry = parcel.geometry || parcel;
+  const rings = geometry.type === 'MultiPolygon'
+    ? geometry.coordinates.map(polygon => polygon[0])
+    : [geometry.coordinates[0]];
+  
+  const frontage = new Map();
+  
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const length = turf.distance(ring[i], ring[i + 1], { units: 'meters' });
+      if (length < 0.5) continue;
+      
+      const midpoint = turf.midpoint(ring[i], ring[i + 1]);
+      const edgeBearing = turf.bearing(ring[i], ring[i + 1]);
+      let nearest = null;
+      
+      for (const { block, line, centroidDistance } of lines) {
+        const distance = turf.pointToLineDistance(midpoint, line, { units: 'meters' });
+        if (distance > maxFrontageDistance || distance >= centroidDistance) continue;
+        
+        // Angle between the edge and the street, ignoring direction
+        const difference = Math.abs(edgeBearing - lineBearingNear(line, midpoint)) % 180;
+        if (Math.min(difference, 180 - difference) > maxFrontageAngle) continue;
+        
+        if (!nearest || distance < nearest.distance) {
+          nearest = { block, distance };
+        }
+      }
+      
+      if (!nearest) continue;
+      
+      const entry = frontage.get(nearest.block.blockId) || { block: nearest.block, length: 0 };
+      entry.length += length;
+      frontage.set(nearest.block.blockId, entry);
+    }
+  }
+  
+  return frontage;
+}
+
+/**
+ * Pick the block a parcel fronts
+ * The longest frontage wins, except that frontage on the street named in the
+ * parcel's address wins when it is at least frontageTieRatio of the longest
+ * (default 0.2), so a corner lot goes to its addressed street even when its
+ * long side runs along the side street.
+ * @returns {Object|null} { block, frontageLength, assignment }
+ */
+function chooseFrontage(parcel, candidates, options) {
+  const { minFrontage = 1, frontageTieRatio = 0.2 } = options;
+  const fronted = [...measureParcelFrontage(parcel, candidates, options).values()]
+    .filter(entry => entry.length >= minFrontage)
+    .sort((a, b) => b.length - a.length);
+  
+  if (fronted.length === 0) return null;
+  
+  const longest = fronted[0];
+  const parsed = parseAddress(parcel.properties?.address ? String(parcel.properties.address) : null);
+  const onAddressedStreet = entry => parsed && splitStreetName(entry.block.streetName)?.baseName === parsed.baseName;
+  const addressed = fronted.find(entry => onAddressedStreet(entry) && entry.length >= longest.length * frontageTieRatio);
+  const chosen = addressed || longest;
+  
+  const reasons = [];
+  if (new Set(fronted.map(entry => entry.block.streetName)).size > 1) reasons.push('corner_lot');
+  if (parsed && !addressed) reasons.push('address_street_mismatch');
+  
+  return {
+    block: chosen.block,
+    frontageLength: Math.round(chosen.length * 100) / 100,
+    assignment: scoreReasons(reasons)
+  };
+}
+
 /**
  * Assign parcels to blocks based on spatial containment
+ * A centroid inside several block buffers goes to the first of those blocks,
+ * with the reason multiple_buffers lowering its confidence. Each assigned
+ * parcel gets assignment: { confidence, reasons }.
+ * 
+ * Candidate blocks come from options.blockIndex (built here when not given);
+ * with useSpatialIndex false (or ENABLE_SPATIAL_INDEX=false) every buffer is
+ * tested instead, which gives the same result far more slowly.
+ * 
+ * With mode 'frontage' a parcel instead goes to the block its polygon
+ * fronts (see measureParcelFrontage and chooseFrontage) and records the
+ * length of that frontage as frontage_length. Parcels fronting no block
+ * fall back to their centroid with the reason no_frontage.
  */
-export function assignParcelsToBlocks(parcels, blocks) {
+export function assignParcelsToBlocks(parcels, blocks, options = {}) {
+  const {
+    mode = 'centroid',
+    useSpatialIndex = process.env.ENABLE_SPATIAL_INDEX !== 'false',
+    blockIndex = createBlockIndex(blocks)
+  } = options;
   const blockParcels = new Map();
   
   // Initialize empty arrays for each block
@@ -231,28 +584,45 @@ export function assignParcelsToBlocks(parcels, blocks) {
     blockParcels.set(block.blockId, []);
   });
   
-  // Create spatial index of blocks for faster lookup
-  const blockPolygons = blocks.map(block => {
-    const polygon = createBlockPolygon(block);
-    return {
-      ...block,
-      polygon: polygon ? turf.feature(polygon) : null
-    };
-  }).filter(b => b.polygon !== null);
-  
   // Assign each parcel to a block
   for (const parcel of parcels) {
     try {
       // Get parcel centroid
       const parcelPoint = turf.centroid(parcel);
       
-      // Find which block contains this parcel
-      for (const block of blockPolygons) {
-        if (turf.booleanPointInPolygon(parcelPoint, block.polygon)) {
-          blockParcels.get(block.blockId).push(parcel);
-          break; // Parcel can only be in one block
+      if (mode === 'frontage') {
+        // Every block whose buffer reaches the parcel could be fronted by it
+        const candidates = useSpatialIndex
+          ? blockIndex.search(turf.bbox(parcel))
+          : blockIndex.items;
+        const fronting = chooseFrontage(parcel, candidates, options);
+        
+        if (fronting && blockParcels.has(fronting.block.blockId)) {
+          blockParcels.get(fronting.block.blockId).push({
+            ...parcel,
+            frontage_length: fronting.frontageLength,
+            assignment: fronting.assignment
+          });
+          continue;
         }
       }
+      
+      // Find the blocks whose buffer contains this parcel
+      const containing = useSpatialIndex
+        ? findBlocksContainingPoint(blockIndex, parcelPoint)
+        : blockIndex.items.filter(block => turf.booleanPointInPolygon(parcelPoint, block.polygon));
+      
+      if (containing.length === 0) continue;
+      
+      // Parcel can only be in one block: the first one containing it
+      const block = containing[0];
+      const assignment = assessParcelAssignment(parcelPoint, block, containing.length, options);
+      
+      blockParcels.get(block.blockId).push({
+        ...parcel,
+        ...(mode === 'frontage' ? { frontage_length: null } : {}),
+        assignment: mode === 'frontage' ? addReasons(assignment, 'no_frontage') : assignment
+      });
     } catch (error) {
       logger.warn('Error assigning parcel to block', {
         parcelId: parcel.properties?.parcel_id,
@@ -266,6 +636,9 @@ export function assignParcelsToBlocks(parcels, blocks) {
 
 /**
  * Main block detection function
+ * Returns the detected blocks, the parcels assigned to each block, the
+ * block index used for the assignment, for further point-in-block lookups,
+ * and the repeated block IDs that were made unique.
  */
 export async function detectBlocks(streets, crossStreets, parcels = []) {
   const allBlocks = [];
@@ -298,10 +671,15 @@ export async function detectBlocks(streets, crossStreets, parcels = []) {
     }
   }
   
+  const collisions = resolveBlockIdCollisions(allBlocks);
+  
+  // Buffers are indexed once for every lookup against this run's blocks
+  const blockIndex = createBlockIndex(allBlocks);
+  
   // If parcels provided, assign them to blocks
   if (parcels.length > 0) {
     logger.info(`Assigning ${parcels.length} parcels to blocks`);
-    const assignments = assignParcelsToBlocks(parcels, allBlocks);
+    const assignments = assignParcelsToBlocks(parcels, allBlocks, { blockIndex });
     
     // Merge with results
     allBlocks.forEach(block => {
@@ -314,17 +692,26 @@ export async function detectBlocks(streets, crossStreets, parcels = []) {
   
   return {
     blocks: allBlocks,
-    blockParcels: blockParcelsMap
+    blockParcels: blockParcelsMap,
+    blockIndex,
+    collisions
   };
 }
 
 export default {
   normalizeStreetName,
   generateBlockId,
+  encodeGeohash,
+  resolveBlockIdCollisions,
+  getStreetParts,
   findIntersections,
   sortIntersectionsAlongStreet,
   createBlockSegments,
   createBlockPolygon,
+  assessParcelAssignment,
+  createBlockIndex,
+  findBlocksContainingPoint,
+  measureParcelFrontage,
   assignParcelsToBlocks,
   detectBlocks
 };
\ No newline at end of file
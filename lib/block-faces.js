@@ -0,0 +1,257 @@
+import * as turf from '@turf/turf';
+import { createLogger } from './logger.js';
+import { assessParcelAssignment } from './block-detector.js';
+import { distanceToSegment } from './block-crosswalk.js';
+import { SpatialIndex } from './spatial-index.js';
+
+const logger = createLogger('block-faces');
+
+/**
+ * Block Faces
+ *
+ * Splits the land along each block segment (from block-detector) into a left
+ * and a right face, left and right being taken looking along the segment.
+ * A face reaches out from the street line up to `depth` meters, or half way
+ * to the nearest neighbouring street line when that is closer, and ends at
+ * the cross streets where the segment ends.
+ *
+ * Face polygons can still overlap where two streets cross, so a point is
+ * placed by findBlockFace: the face must contain it, no neighbouring street
+ * line may be closer than the face's own segment, and the side comes from
+ * the segment line itself. Every point therefore lands in at most one face.
+ */
+
+export const FACE_SIDES = ['left', 'right'];
+
+// Crossings closer than this to a ray's origin are the street the ray starts on
+const RAY_ORIGIN_TOLERANCE = 1;
+
+// Street lines closer to a point than this (in meters) are equally near
+const DISTANCE_TIE = 0.001;
+
+/**
+ * Side of a line a point lies on, looking along the line's direction
+ * Points on the line count as right.
+ */
+export function sideOfLine(point, line) {
+  const lineFeature = line.type === 'Feature' ? line : turf.feature(line);
+  const coordinates = turf.getCoords(lineFeature);
+  const nearest = turf.nearestPointOnLine(lineFeature, point);
+
+  const index = Math.min(nearest.properties.index, coordinates.length - 2);
+  const [ax, ay] = coordinates[index];
+  const [bx, by] = coordinates[index + 1];
+  const [px, py] = turf.getCoord(point);
+
+  return (bx - ax) * (py - ay) - (by - ay) * (px - ax) > 0 ? 'left' : 'right';
+}
+
+/**
+ * Bbox of a geometry grown by a distance in meters
+ */
+export function expandedBBox(geojson, meters) {
+  const [minX, minY, maxX, maxY] = turf.bbox(geojson);
+  const dy = meters / 111320;
+  const dx = meters / (111320 * Math.cos(((minY + maxY) / 2) * Math.PI / 180));
+
+  return [minX - dx, minY - dy, maxX + dx, maxY + dy];
+}
+
+/**
+ * How far a face reaches along a ray: depth, or half way to the first
+ * neighbouring line the ray crosses
+ */
+function rayReach(origin, bearing, depth, lines) {
+  const end = turf.destination(origin, depth, bearing, { units: 'meters' });
+  const ray = turf.lineString([turf.getCoord(origin), turf.getCoord(end)]);
+  let reach = depth;
+
+  for (const line of lines) {
+    for (const hit of turf.lineIntersect(ray, line).features) {
+      const distance = turf.distance(origin, hit, { units: 'meters' });
+      if (distance > RAY_ORIGIN_TOLERANCE) {
+        reach = Math.min(reach, distance / 2);
+      }
+    }
+  }
+
+  return reach;
+}
+
+/**
+ * Build the polygon of one face of a block segment
+ * @param {Object} segment - Block segment with a LineString geometry
+ * @param {string} side - 'left' or 'right'
+ * @param {Object} options - depth (m, default 50), spacing between rays (m, default 10),
+ *   lines: neighbouring street line features that cut the face short
+ * @returns {Object} Polygon feature
+ */
+export function createFacePolygon(segment, side, options = {}) {
+  const { depth = 50, spacing = 10, lines = [] } = options;
+  const line = turf.feature(segment.geometry);
+  const length = turf.length(line, { units: 'meters' });
+  const steps = Math.max(1, Math.ceil(length / spacing));
+  const turn = side === 'left' ? -90 : 90;
+
+  const inner = [];
+  const outer = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const distance = length * i / steps;
+    const point = turf.along(line, distance, { units: 'meters' });
+
+    // Direction of the street around this point
+    const before = turf.along(line, Math.max(0, distance - 1), { units: 'meters' });
+    const after = turf.along(line, Math.min(length, distance + 1), { units: 'meters' });
+    const bearing = turf.bearing(before, after) + turn;
+
+    const reach = rayReach(point, bearing, depth, lines);
+    inner.push(turf.getCoord(point));
+    outer.push(turf.getCoord(turf.destination(point, reach, bearing, { units: 'meters' })));
+  }
+
+  return turf.polygon([[...inner, ...outer.reverse(), inner[0]]], {
+    blockId: segment.blockId,
+    side
+  });
+}
+
+/**
+ * Build the left and right faces of every block segment
+ * @param {Array} segments - Block segments from detectBlocks
+ * @param {Object} options - depth, spacing, neighbours: other street features
+ *   (e.g. the cross streets) whose lines bound the faces
+ * @returns {Array} Faces: { faceId, blockId, side, polygon, segment }
+ */
+export function createBlockFaces(segments, options = {}) {
+  const { depth = 50, spacing = 10, neighbours = [] } = options;
+
+  // Every street line a face could run into
+  const lines = [
+    ...segments.map(segment => ({ source: segment, feature: turf.feature(segment.geometry) })),
+    ...neighbours.map(neighbour => ({ source: neighbour, feature: neighbour }))
+  ];
+  const lineIndex = new SpatialIndex(lines, { getBBox: line => turf.bbox(line.feature) });
+  const faces = [];
+
+  for (const segment of segments) {
+    const nearbyLines = lineIndex.search(expandedBBox(segment.geometry, depth * 1.1))
+      .filter(line => line.source !== segment)
+      .map(line => line.feature);
+
+    for (const side of FACE_SIDES) {
+      try {
+        faces.push({
+          faceId: `${segment.blockId}_${side}`,
+          blockId: segment.blockId,
+          side,
+          polygon: createFacePolygon(segment, side, { depth, spacing, lines: nearbyLines }),
+          segment
+        });
+      } catch (error) {
+        logger.warn('Error creating block face', {
+          blockId: segment.blockId,
+          side,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  return faces;
+}
+
+/**
+ * Index faces (and optionally neighbouring streets) for findBlockFace
+ * @param {Array} faces - From createBlockFaces
+ * @param {Array} neighbours - Street features that can claim points closer to them
+ * @returns {Object} { faces, neighbours } spatial indexes
+ */
+export function createFaceIndex(faces, neighbours = []) {
+  return {
+    faces: new SpatialIndex(faces, { getBBox: face => turf.bbox(face.polygon) }),
+    neighbours: new SpatialIndex(neighbours, { getBBox: neighbour => turf.bbox(neighbour) })
+  };
+}
+
+/**
+ * Find the one face a point belongs to
+ * @param {Object} faceIndex - From createFaceIndex
+ * @param {Object} point - GeoJSON point feature or geometry
+ * @returns {Object|null} { face, overlapping } where overlapping counts the face
+ *   polygons containing the point, or null when no face claims it
+ */
+export function findBlockFace(faceIndex, point) {
+  const containing = faceIndex.faces.searchPoint(turf.getCoord(point))
+    .filter(face => turf.booleanPointInPolygon(point, face.polygon));
+
+  if (containing.length === 0) return null;
+
+  // Where faces overlap the nearest street line wins
+  let nearest = null;
+  for (const face of containing) {
+    const distance = distanceToSegment(point, face.segment.geometry);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { segment: face.segment, distance };
+    }
+  }
+
+  // Streets outside this run (e.g. cross streets) claim the points nearer to them;
+  // points half way between two streets go to the name that sorts first, so
+  // runs over either street agree
+  const [x, y] = turf.getCoord(point);
+  const searchBox = expandedBBox(turf.point([x, y]), nearest.distance * 1.1 + 1); // margin for the flat-earth bbox
+  const claimed = faceIndex.neighbours.search(searchBox).some(neighbour => {
+    const difference = distanceToSegment(point, neighbour.geometry) - nearest.distance;
+    return difference < -DISTANCE_TIE ||
+      (Math.abs(difference) <= DISTANCE_TIE && String(neighbour.properties?.street_name) < String(nearest.segment.streetName));
+  });
+  if (claimed) return null;
+
+  const side = sideOfLine(point, nearest.segment.geometry);
+  const face = containing.find(f => f.segment === nearest.segment && f.side === side) ||
+    containing.find(f => f.segment === nearest.segment);
+
+  return { face, overlapping: containing.length };
+}
+
+/**
+ * Assign parcels to the block faces their centroids fall in
+ * @returns {Map} faceId -> parcels, each with block_side and assignment: { confidence, reasons }
+ */
+export function assignParcelsToFaces(parcels, faceIndex, options = {}) {
+  const faceParcels = new Map(faceIndex.faces.items.map(face => [face.faceId, []]));
+
+  for (const parcel of parcels) {
+    try {
+      const parcelPoint = turf.centroid(parcel);
+      const located = findBlockFace(faceIndex, parcelPoint);
+      if (!located) continue;
+
+      const { face, overlapping } = located;
+      faceParcels.get(face.faceId).push({
+        ...parcel,
+        block_side: face.side,
+        assignment: assessParcelAssignment(parcelPoint, face.segment, overlapping, options)
+      });
+    } catch (error) {
+      logger.warn('Error assigning parcel to block face', {
+        parcelId: parcel.properties?.parcel_id,
+        error: error.message
+      });
+    }
+  }
+
+  return faceParcels;
+}
+
+export default {
+  FACE_SIDES,
+  sideOfLine,
+  expandedBBox,
+  createFacePolygon,
+  createBlockFaces,
+  createFaceIndex,
+  findBlockFace,
+  assignParcelsToFaces
+};
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as turf from '@turf/turf';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('datasets');
+
+// Default dataset file, overridable with DATASETS_FILE
+export const DEFAULT_DATASETS_PATH = path.join(__dirname, '..', 'data', 'datasets.json');
+
+const COLUMN_NAME = /^[a-z][a-z0-9_]*$/;
+
+let activeDatasets = null;
+
+/**
+ * Datasets
+ *
+ * Declares the point datasets counted per block next to the parcels (blight
+ * tickets, permits, ...), so a new one needs a config entry rather than a new
+ * client method:
+ *
+ *   {
+ *     "datasets": {
+ *       "complaints_311": {
+ *         "endpointEnv": "COMPLAINTS_311_API",
+ *         "idField": "id",
+ *         "dateField": "created_at",
+ *         "geometry": { "x": "longitude", "y": "latitude" },
+ *         "lookbackDays": 365,
+ *         "countColumn": "complaints_311_count"
+ *       }
+ *     }
+ *   }
+ *
+ * The endpoint is given as a URL ("endpoint") or as the environment variable
+ * holding it ("endpointEnv"). Geometry is "point" (the feature's own, reduced
+ * to its centroid when it is not a point) or the x/y fields holding longitude
+ * and latitude. Records older than lookbackDays (by dateField) are not
+ * fetched, and each dataset's count goes to countColumn of block_analytics
+ * (default <name>_count). Datasets are fetched whole on every run, so
+ * incremental runs also recompute the blocks whose records changed.
+ */
+
+/**
+ * Build the dataset table from its config
+ * @param {Object} source - { datasets: { name: dataset } }
+ * @returns {Map} name -> { name, endpoint, endpointEnv, idField, dateField, geometry, where,
+ *   lookbackDays, countColumn }
+ */
+export function createDatasets(source = {}) {
+  const datasets = new Map();
+
+  for (const [name, config] of Object.entries(source.datasets || {})) {
+    const geometry = config.geometry && typeof config.geometry === 'object'
+      ? { type: 'xy', x: config.geometry.x, y: config.geometry.y }
+      : { type: 'point' };
+    const countColumn = config.countColumn || `${name}_count`;
+
+    if (!config.idField || (geometry.type === 'xy' && (!geometry.x || !geometry.y))) {
+      logger.warn(`Dataset ${name} needs an idField and, for x/y geometry, both fields; ignoring it`);
+      continue;
+    }
+    if (!COLUMN_NAME.test(countColumn)) {
+      logger.warn(`Dataset ${name} has an invalid count column ${countColumn}, ignoring it`);
+      continue;
+    }
+
+    datasets.set(name, {
+      name,
+      endpoint: config.endpoint || null,
+      endpointEnv: config.endpointEnv || null,
+      idField: config.idField,
+      dateField: config.dateField || null,
+      geometry,
+      where: config.where || null,
+      lookbackDays: config.lookbackDays || null,
+      countColumn
+    });
+  }
+
+  return datasets;
+}
+
+/**
+ * Load datasets from a JSON file and make them the active datasets
+ */
+export function loadDatasets(filePath = process.env.DATASETS_FILE || DEFAULT_DATASETS_PATH) {
+  const source = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  activeDatasets = createDatasets(source);
+  logger.debug(`Loaded ${activeDatasets.size} datasets from ${filePath}`);
+
+  return activeDatasets;
+}
+
+/**
+ * Replace the active datasets (e.g. with ones built by createDatasets)
+ */
+export function setDatasets(datasets) {
+  activeDatasets = datasets;
+}
+
+/**
+ * Get the active datasets, loading the default file on first use
+ */
+export function getDatasets() {
+  if (!activeDatasets) {
+    try {
+      loadDatasets();
+    } catch (error) {
+      logger.warn('Could not load datasets, counting none', { error: error.message });
+      activeDatasets = createDatasets();
+    }
+  }
+
+  return activeDatasets;
+}
+
+/**
+ * Endpoint URL of a dataset, null when it is not configured
+ */
+export function datasetEndpoint(dataset) {
+  return dataset.endpoint || (dataset.endpointEnv && process.env[dataset.endpointEnv]) || null;
+}
+
+/**
+ * Turn a fetched feature into a dataset record: a point feature whose
+ * properties gain dataset, record_id and record_date
+ * @returns {Object|null} Null when the feature has no usable location
+ */
+export function toDatasetRecord(dataset, feature) {
+  const props = feature.properties || {};
+  let point = null;
+
+  if (dataset.geometry.type === 'xy') {
+    const x = Number(props[dataset.geometry.x]);
+    const y = Number(props[dataset.geometry.y]);
+    // Rows without a location often carry 0/0 instead of nulls
+    if (Number.isFinite(x) && Number.isFinite(y) && (x !== 0 || y !== 0)) {
+      point = turf.point([x, y]);
+    }
+  } else if (feature.geometry?.type === 'Point') {
+    point = turf.feature(feature.geometry);
+  } else if (feature.geometry) {
+    point = turf.centroid(feature);
+  }
+
+  if (!point) return null;
+
+  const value = dataset.dateField ? props[dataset.dateField] : null;
+  const date = value === null || value === undefined ? null : new Date(value);
+
+  return {
+    type: 'Feature',
+    geometry: point.geometry,
+    properties: {
+      ...props,
+      dataset: dataset.name,
+      record_id: props[dataset.idField] ?? null,
+      record_date: date && !isNaN(date.getTime()) ? date.toISOString() : null
+    }
+  };
+}
+
+export default {
+  DEFAULT_DATASETS_PATH,
+  createDatasets,
+  loadDatasets,
+  setDatasets,
+  getDatasets,
+  datasetEndpoint,
+  toDatasetRecord
+};
@@ -0,0 +1,271 @@
+import fetch from 'node-fetch';
+import { setTimeout } from 'timers/promises';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('fetch-retry');
+
+const MAX_RETRIES = parseInt(process.env.MAX_RETRIES) || 3;
+const RETRY_DELAY = parseInt(process.env.RETRY_DELAY) || 1000;
+const RETRY_MAX_DELAY = parseInt(process.env.RETRY_MAX_DELAY) || 30000;
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5;
+const CIRCUIT_BREAKER_COOLDOWN = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN) || 60000;
+
+// Throttling, timeouts and server errors; anything else will fail the same way again
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Fetch With Retry
+ *
+ * JSON requests that retry what is worth retrying: network failures and the
+ * statuses in RETRYABLE_STATUSES, whether sent as HTTP statuses or, as ArcGIS
+ * does, as an error object in a 200 response. Retries wait with exponential
+ * backoff and full jitter, or as long as a Retry-After header asks.
+ *
+ * Every endpoint has a circuit breaker. After CIRCUIT_BREAKER_THRESHOLD
+ * failures in a row the circuit opens and requests to the endpoint pause
+ * until the cooldown is over; the next request then tests the endpoint and
+ * closes the circuit again, or reopens it when it fails too.
+ */
+
+/**
+ * Whether a status (HTTP or ArcGIS error code) is worth retrying
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(Number(status));
+}
+
+/**
+ * Milliseconds a Retry-After header asks to wait, null when absent or unreadable
+ * @param {string|null} value - Seconds or an HTTP date
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random wait up to baseDelay * 2^attempt
+ * @param {number} attempt - Retries made so far (0 for the first retry)
+ */
+export function backoffDelay(attempt, options = {}) {
+  const { baseDelay = RETRY_DELAY, maxDelay = RETRY_MAX_DELAY, random = Math.random } = options;
+  return Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+/**
+ * Endpoint a request URL belongs to: the service URL without the operation
+ */
+export function endpointOf(url) {
+  const { origin, pathname } = new URL(url);
+  return origin + pathname.replace(/\/(query|findAddressCandidates)\/?$/, '');
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {string} endpoint - Endpoint the breaker guards
+   * @param {Object} options - threshold: failures in a row that open it, cooldown (ms),
+   *   sleep, now, stats: object counting circuitOpens and circuitPauses
+   */
+  constructor(endpoint, options = {}) {
+    this.endpoint = endpoint;
+    this.threshold = options.threshold || CIRCUIT_BREAKER_THRESHOLD;
+    this.cooldown = options.cooldown || CIRCUIT_BREAKER_COOLDOWN;
+    this.sleep = options.sleep || setTimeout;
+    this.now = options.now || Date.now;
+    this.stats = options.stats || { circuitOpens: 0, circuitPauses: 0 };
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openUntil = 0;
+  }
+
+  /**
+   * Wait out an open circuit before sending a request
+   */
+  async beforeRequest() {
+    if (this.state !== 'open') return;
+
+    const wait = this.openUntil - this.now();
+    if (wait > 0) {
+      this.stats.circuitPauses++;
+      logger.warn(`Circuit open for ${this.endpoint}, pausing ${Math.ceil(wait / 1000)}s`);
+      await this.sleep(wait);
+    }
+
+    this.state = 'half_open';
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info(`Circuit closed for ${this.endpoint}`);
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === 'half_open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openUntil = this.now() + this.cooldown;
+      this.stats.circuitOpens++;
+      logger.error(`Circuit opened for ${this.endpoint} after ${this.failures} failures`, {
+        cooldownMs: this.cooldown
+      });
+    }
+  }
+}
+
+/**
+ * Create a fetchWithRetry with its own circuit breakers and stats
+ * @param {Object} options - maxRetries, baseDelay, maxDelay (ms), breakerThreshold,
+ *   breakerCooldown (ms), fetch (defaults to node-fetch), sleep, now, random
+ * @returns {Function} fetchWithRetry(url, fetchOptions) -> parsed JSON, with
+ *   .stats: { requests, retries, failures, circuitOpens, circuitPauses, endpoints }
+ *   and .breakers: Map endpoint -> CircuitBreaker
+ */
+export function createFetchWithRetry(options = {}) {
+  const {
+    maxRetries = MAX_RETRIES,
+    baseDelay = RETRY_DELAY,
+    maxDelay = RETRY_MAX_DELAY,
+    breakerThreshold = CIRCUIT_BREAKER_THRESHOLD,
+    breakerCooldown = CIRCUIT_BREAKER_COOLDOWN,
+    fetch: fetchImpl = fetch,
+    sleep = setTimeout,
+    now = Date.now,
+    random = Math.random
+  } = options;
+
+  const stats = { requests: 0, retries: 0, failures: 0, circuitOpens: 0, circuitPauses: 0, endpoints: {} };
+  const breakers = new Map();
+
+  const breakerFor = endpoint => {
+    if (!breakers.has(endpoint)) {
+      breakers.set(endpoint, new CircuitBreaker(endpoint, {
+        threshold: breakerThreshold,
+        cooldown: breakerCooldown,
+        sleep,
+        now,
+        stats
+      }));
+    }
+    return breakers.get(endpoint);
+  };
+
+  const endpointStats = endpoint => {
+    if (!stats.endpoints[endpoint]) {
+      stats.endpoints[endpoint] = { requests: 0, retries: 0, failures: 0 };
+    }
+    return stats.endpoints[endpoint];
+  };
+
+  /**
+   * Send one request and sort out how it went
+   * @returns {Object} { data } on success, else { error, status, retryable, retryAfter }
+   */
+  async function attempt(url, fetchOptions) {
+    let response;
+    try {
+      response = await fetchImpl(url, fetchOptions);
+    } catch (error) {
+      // Network failures are worth retrying
+      return { error, status: null, retryable: true, retryAfter: null };
+    }
+
+    if (!response.ok) {
+      return {
+        error: new Error(`HTTP error! status: ${response.status}`),
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+        retryAfter: parseRetryAfter(response.headers?.get('retry-after'), now())
+      };
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      return { error, status: response.status, retryable: true, retryAfter: null };
+    }
+
+    // ArcGIS reports failed queries as an error object with status 200
+    if (data?.error) {
+      const code = Number(data.error.code);
+      return {
+        error: new Error(`ArcGIS error ${code}: ${data.error.message || 'unknown error'}`),
+        status: code,
+        retryable: isRetryableStatus(code),
+        retryAfter: null
+      };
+    }
+
+    return { data };
+  }
+
+  async function fetchWithRetry(url, fetchOptions = {}) {
+    const endpoint = endpointOf(url);
+    const breaker = breakerFor(endpoint);
+    const counts = endpointStats(endpoint);
+
+    stats.requests++;
+    counts.requests++;
+
+    for (let retries = 0; ; retries++) {
+      await breaker.beforeRequest();
+
+      const outcome = await attempt(url, fetchOptions);
+      if (!outcome.error) {
+        breaker.recordSuccess();
+        return outcome.data;
+      }
+
+      // Only server-side trouble counts against the endpoint
+      if (outcome.retryable) breaker.recordFailure();
+
+      if (!outcome.retryable || retries >= maxRetries) {
+        stats.failures++;
+        counts.failures++;
+        logger.error(`Request failed${outcome.retryable ? ` after ${retries} retries` : ''}`, {
+          endpoint,
+          status: outcome.status,
+          error: outcome.error.message
+        });
+        outcome.error.status = outcome.status;
+        throw outcome.error;
+      }
+
+      const delay = outcome.retryAfter ?? backoffDelay(retries, { baseDelay, maxDelay, random });
+      stats.retries++;
+      counts.retries++;
+      logger.warn(`Retrying request (${retries + 1}/${maxRetries}) in ${delay}ms`, {
+        endpoint,
+        status: outcome.status,
+        error: outcome.error.message
+      });
+
+      await sleep(delay);
+    }
+  }
+
+  fetchWithRetry.stats = stats;
+  fetchWithRetry.breakers = breakers;
+
+  return fetchWithRetry;
+}
+
+export default {
+  isRetryableStatus,
+  parseRetryAfter,
+  backoffDelay,
+  endpointOf,
+  CircuitBreaker,
+  createFetchWithRetry
+};
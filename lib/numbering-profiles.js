@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('numbering-profiles');
+
+// Default profile file, overridable with NUMBERING_PROFILES_FILE
+export const DEFAULT_PROFILES_PATH = path.join(__dirname, '..', 'data', 'numbering-profiles.json');
+
+const DEFAULT_BLOCK_SIZE = 100;
+
+let activeProfiles = null;
+
+/**
+ * Numbering Profiles
+ *
+ * Decide which house numbers share a block on each street. A street either
+ * uses a fixed block size (100 by default) or a sorted list of breakpoints,
+ * each breakpoint being the first house number of a block:
+ *
+ *   {
+ *     "defaultBlockSize": 100,
+ *     "streets": {
+ *       "7_mile": { "blockSize": 200 },
+ *       "lakewood": { "breakpoints": [0, 120, 240, 300], "source": "learned" }
+ *     }
+ *   }
+ *
+ * Streets are keyed by the normalized street name used in block IDs.
+ */
+
+/**
+ * Build a profile table from its config
+ * @param {Object} source - { defaultBlockSize, streets: { streetName: profile } }
+ */
+export function createNumberingProfiles(source = {}) {
+  const defaultBlockSize = source.defaultBlockSize || DEFAULT_BLOCK_SIZE;
+  const streets = new Map();
+
+  for (const [streetName, profile] of Object.entries(source.streets || {})) {
+    if (Array.isArray(profile.breakpoints) && profile.breakpoints.length > 0) {
+      streets.set(streetName, {
+        ...profile,
+        breakpoints: [...new Set(profile.breakpoints.map(Number))].sort((a, b) => a - b)
+      });
+    } else if (profile.blockSize > 0) {
+      streets.set(streetName, { ...profile });
+    } else {
+      logger.warn(`Numbering profile for ${streetName} has neither blockSize nor breakpoints, ignoring it`);
+    }
+  }
+
+  return { defaultBlockSize, streets };
+}
+
+/**
+ * Load numbering profiles from a JSON file and make them the active profiles
+ */
+export function loadNumberingProfiles(filePath = process.env.NUMBERING_PROFILES_FILE || DEFAULT_PROFILES_PATH) {
+  const source = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  activeProfiles = createNumberingProfiles(source);
+  logger.debug(`Loaded ${activeProfiles.streets.size} street numbering profiles from ${filePath}`);
+
+  return activeProfiles;
+}
+
+/**
+ * Replace the active profiles (e.g. with ones built by createNumberingProfiles)
+ */
+export function setNumberingProfiles(profiles) {
+  activeProfiles = profiles;
+}
+
+/**
+ * Get the active profiles, loading the default file on first use
+ */
+export function getNumberingProfiles() {
+  if (!activeProfiles) {
+    try {
+      loadNumberingProfiles();
+    } catch (error) {
+      logger.warn('Could not load numbering profiles, using 100-number blocks everywhere', {
+        error: error.message
+      });
+      activeProfiles = createNumberingProfiles();
+    }
+  }
+
+  return activeProfiles;
+}
+
+/**
+ * Turn a profile table back into its config form
+ */
+export function serializeNumberingProfiles(profiles) {
+  return {
+    defaultBlockSize: profiles.defaultBlockSize,
+    streets: Object.fromEntries(
+      [...profiles.streets].sort(([a], [b]) => a.localeCompare(b))
+    )
+  };
+}
+
+/**
+ * Find the block a house number falls in on a street
+ * @param {number} houseNumber - House number
+ * @param {string} streetName - Normalized street name
+ * @param {Object} profiles - Profile table, null for plain fixed-size blocks
+ * @param {number} blockSize - Block size for streets without a profile (defaults to the table's)
+ * @returns {Object} { from, to } inclusive house number range of the block
+ */
+export function resolveBlockRange(houseNumber, streetName, profiles = null, blockSize = null) {
+  const profile = profiles?.streets.get(streetName);
+  const size = profile?.blockSize || blockSize || profiles?.defaultBlockSize || DEFAULT_BLOCK_SIZE;
+
+  if (!profile?.breakpoints) {
+    const from = Math.floor(houseNumber / size) * size;
+    return { from, to: from + size - 1 };
+  }
+
+  const { breakpoints } = profile;
+
+  // Below the first breakpoint the default grid applies, cut off at the breakpoint
+  if (houseNumber < breakpoints[0]) {
+    const from = Math.floor(houseNumber / size) * size;
+    return { from, to: Math.min(from + size, breakpoints[0]) - 1 };
+  }
+
+  // Beyond the last breakpoint blocks continue in steps of the default size
+  const last = breakpoints[breakpoints.length - 1];
+  if (houseNumber >= last) {
+    const from = last + Math.floor((houseNumber - last) / size) * size;
+    return { from, to: from + size - 1 };
+  }
+
+  // Binary search for the last breakpoint at or below the number
+  let lo = 0;
+  let hi = breakpoints.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (breakpoints[mid] <= houseNumber) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  return { from: breakpoints[lo], to: breakpoints[lo + 1] - 1 };
+}
+
+/**
+ * Turn natural block boundaries (from detectBlockBoundaries) into breakpoints
+ * Each gap between two blocks is split down the middle, so numbers that
+ * appear in the gap later go to the nearer block. The first block starts
+ * on the default grid.
+ */
+export function breakpointsFromBoundaries(boundaries, blockSize = DEFAULT_BLOCK_SIZE) {
+  if (boundaries.length === 0) return [];
+
+  const breakpoints = [Math.floor(boundaries[0].start / blockSize) * blockSize];
+
+  for (let i = 1; i < boundaries.length; i++) {
+    const previousEnd = boundaries[i - 1].end;
+    const start = boundaries[i].start;
+    breakpoints.push(previousEnd + Math.ceil((start - previousEnd) / 2));
+  }
+
+  return breakpoints;
+}
+
+export default {
+  DEFAULT_PROFILES_PATH,
+  createNumberingProfiles,
+  loadNumberingProfiles,
+  setNumberingProfiles,
+  getNumberingProfiles,
+  serializeNumberingProfiles,
+  resolveBlockRange,
+  breakpointsFromBoundaries
+};
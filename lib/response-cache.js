@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('response-cache');
+
+// Default cache directory, overridable with API_CACHE_DIR
+export const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'data', 'api-cache');
+
+export const CACHE_MODES = ['passthrough', 'record', 'replay'];
+
+/**
+ * Response Cache
+ *
+ * Keeps API responses on disk so a run can be repeated without the network:
+ * - passthrough: every request goes to the API, nothing is stored
+ * - record: every request goes to the API and its response is stored
+ * - replay: responses come from the store only; a request that was never
+ *   recorded fails instead of reaching the API
+ *
+ * Responses are keyed by their normalized query URL (see normalizeQueryUrl)
+ * and stored one JSON file each, named by the URL's hash.
+ */
+
+/**
+ * Normalize a query URL so equivalent requests share a key
+ * The host is lowercased, the trailing slash of the path dropped and the
+ * query parameters sorted by name (then value).
+ */
+export function normalizeQueryUrl(url) {
+  const parsed = new URL(url);
+  const params = [...parsed.searchParams].sort(([aKey, aValue], [bKey, bValue]) =>
+    aKey === bKey ? aValue.localeCompare(bValue) : aKey.localeCompare(bKey)
+  );
+
+  const normalized = new URL(`${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}`);
+  for (const [key, value] of params) {
+    normalized.searchParams.append(key, value);
+  }
+
+  return normalized.toString();
+}
+
+/**
+ * Create a response cache
+ * @param {Object} options - mode: passthrough, record or replay (default API_CACHE_MODE or passthrough),
+ *   dir: where responses are stored (default API_CACHE_DIR or data/api-cache)
+ */
+export function createResponseCache(options = {}) {
+  const {
+    mode = process.env.API_CACHE_MODE || 'passthrough',
+    dir = process.env.API_CACHE_DIR || DEFAULT_CACHE_DIR
+  } = options;
+
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Unknown API cache mode: ${mode}`);
+  }
+
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+
+  const filePath = key => {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(dir, hash.slice(0, 2), `${hash}.json`);
+  };
+
+  return {
+    mode,
+    dir,
+    stats,
+
+    /**
+     * Stored response for a URL, undefined when there is none
+     */
+    read(url) {
+      const key = normalizeQueryUrl(url);
+      const file = filePath(key);
+      if (!fs.existsSync(file)) return undefined;
+
+      return JSON.parse(fs.readFileSync(file, 'utf8')).data;
+    },
+
+    /**
+     * Store the response for a URL
+     */
+    write(url, data) {
+      const key = normalizeQueryUrl(url);
+      const file = filePath(key);
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ url: key, recordedAt: new Date().toISOString(), data }));
+      stats.recorded++;
+    },
+
+    /**
+     * Get the response for a URL the way the mode says
+     * @param {string} url - Query URL
+     * @param {Function} fetchLive - () => Promise of the live response
+     */
+    async fetch(url, fetchLive) {
+      if (mode === 'replay') {
+        const data = this.read(url);
+        if (data === undefined) {
+          stats.misses++;
+          throw new Error(`No recorded response for ${normalizeQueryUrl(url)}`);
+        }
+
+        stats.hits++;
+        return data;
+      }
+
+      const data = await fetchLive();
+
+      if (mode === 'record') {
+        this.write(url, data);
+        logger.debug(`Recorded response for ${url}`);
+      }
+
+      return data;
+    }
+  };
+}
+
+export default {
+  DEFAULT_CACHE_DIR,
+  CACHE_MODES,
+  normalizeQueryUrl,
+  createResponseCache
+};
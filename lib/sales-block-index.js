@@ -0,0 +1,201 @@
+import { toWholeBlockId } from './block-detector-v2.js';
+
+/**
+ * Sales Block Index
+ *
+ * Collects the block assignments of a sales import chunk by chunk so that
+ * block creation, parcel insertion and analytics can all be served from one
+ * pass over the CSV. Every parcel is indexed once, the first time it is seen;
+ * every sale is indexed under the block(s) its parcel was assigned to.
+ */
+
+/**
+ * Map a row of the Detroit sales CSV to a parcel record
+ * Returns null for rows without an address or parcel number
+ */
+export function salesRowToParcel(row) {
+  if (!row['Street Address'] || !row['Parcel Number']) return null;
+
+  return {
+    // The CSV loader casts numeric-looking values, so parcel numbers may arrive as numbers
+    parcel_id: String(row['Parcel Number']).replace(/\.$/, ''), // Remove trailing period
+    address: String(row['Street Address']),
+    street_number: row['Street Number'],
+    street_name: row['Street Name'],
+    sale_date: row['Sale Date'],
+    sale_price: parseFloat(row['Sale Price']) || 0,
+    property_class: row['Property Class Code'],
+    lat: parseFloat(row['y']) || null,
+    lng: parseFloat(row['x']) || null
+  };
+}
+
+/**
+ * Sales analytics for one block
+ * Recent sales are the ones from the last two years
+ */
+export function summarizeBlockSales(blockSales, now = new Date()) {
+  const twoYearsAgo = new Date(now);
+  twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
+
+  let recentCount = 0;
+  let recentTotal = 0;
+  let lastSale = null;
+
+  for (const sale of blockSales) {
+    const saleDate = new Date(sale.sale_date);
+
+    if (saleDate > twoYearsAgo) {
+      recentCount++;
+      recentTotal += sale.sale_price;
+    }
+    if (!lastSale || saleDate > new Date(lastSale.sale_date)) {
+      lastSale = sale;
+    }
+  }
+
+  return {
+    recent_sales_count: recentCount,
+    recent_sales_avg_price: recentCount > 0 ? recentTotal / recentCount : null,
+    last_sale_date: lastSale ? lastSale.sale_date : null
+  };
+}
+
+export class SalesBlockIndex {
+  /**
+   * @param {Object} options - rollUpFaces: also index every face under its whole block
+   */
+  constructor(options = {}) {
+    this.rollUpFaces = options.rollUpFaces || false;
+    this.blockStats = new Map();
+    this.parcelsByBlock = new Map();
+    this.salesByBlock = new Map();
+    this.indexedParcels = new Set();
+  }
+
+  /**
+   * Block IDs an assignment counts towards
+   */
+  targetBlockIds(blockId) {
+    const wholeBlockId = toWholeBlockId(blockId);
+
+    return this.rollUpFaces && wholeBlockId !== blockId
+      ? [blockId, wholeBlockId]
+      : [blockId];
+  }
+
+  /**
+   * Add the result of assignBlockIds for one chunk
+   * @param {Object} chunkAssignments - { parcels, blockStats } from assignBlockIds
+   * @param {Object} chunkBlockStats - Block statistics to merge, defaults to chunkAssignments.blockStats
+   */
+  addChunk(chunkAssignments, chunkBlockStats = chunkAssignments.blockStats) {
+    for (const [blockId, stats] of Object.entries(chunkBlockStats)) {
+      if (!this.blockStats.has(blockId)) {
+        this.blockStats.set(blockId, {
+          count: 0,
+          minNumber: Infinity,
+          maxNumber: -Infinity,
+          streetName: stats.streetName,
+          side: stats.side,
+          wholeBlockId: stats.wholeBlockId
+        });
+      }
+
+      const blockStat = this.blockStats.get(blockId);
+      blockStat.count += stats.count;
+      blockStat.minNumber = Math.min(blockStat.minNumber, stats.minNumber);
+      blockStat.maxNumber = Math.max(blockStat.maxNumber, stats.maxNumber);
+    }
+
+    // Parcels first seen in this chunk; a split range yields several results per parcel
+    const newParcels = new Set();
+
+    for (const result of chunkAssignments.parcels) {
+      if (!result.block_id) continue;
+
+      if (!this.indexedParcels.has(result.parcel_id) || newParcels.has(result.parcel_id)) {
+        this.indexedParcels.add(result.parcel_id);
+        newParcels.add(result.parcel_id);
+        this.addParcel(result);
+      }
+
+      this.addSale(result);
+    }
+  }
+
+  /**
+   * Index a parcel under its block(s), keeping only what gets stored
+   */
+  addParcel(result) {
+    const parcel = {
+      parcel_id: result.parcel_id,
+      address: result.address,
+      street_number: result.street_number,
+      street_name: result.street_name,
+      property_class: result.property_class,
+      lat: result.lat,
+      lng: result.lng,
+      block_weight: result.block_weight,
+      assignment: result.assignment
+    };
+
+    for (const blockId of this.targetBlockIds(result.block_id)) {
+      if (!this.parcelsByBlock.has(blockId)) {
+        this.parcelsByBlock.set(blockId, new Map());
+      }
+
+      const blockParcels = this.parcelsByBlock.get(blockId);
+      if (!blockParcels.has(parcel.parcel_id)) {
+        blockParcels.set(parcel.parcel_id, parcel);
+      }
+    }
+  }
+
+  /**
+   * Index a sale under its block(s)
+   */
+  addSale(result) {
+    const sale = {
+      parcel_id: result.parcel_id,
+      sale_date: result.sale_date,
+      sale_price: result.sale_price
+    };
+
+    for (const blockId of this.targetBlockIds(result.block_id)) {
+      if (!this.salesByBlock.has(blockId)) {
+        this.salesByBlock.set(blockId, []);
+      }
+      this.salesByBlock.get(blockId).push(sale);
+    }
+  }
+
+  /**
+   * Parcels assigned to a block
+   */
+  getParcels(blockId) {
+    const blockParcels = this.parcelsByBlock.get(blockId);
+    return blockParcels ? [...blockParcels.values()] : [];
+  }
+
+  /**
+   * Sales assigned to a block
+   */
+  getSales(blockId) {
+    return this.salesByBlock.get(blockId) || [];
+  }
+
+  get parcelCount() {
+    return this.indexedParcels.size;
+  }
+
+  get blockCount() {
+    return this.blockStats.size;
+  }
+}
+
+export default {
+  salesRowToParcel,
+  summarizeBlockSales,
+  SalesBlockIndex
+};
@@ -0,0 +1,128 @@
+/**
+ * Spatial Index
+ *
+ * A static R-tree over bounding boxes, bulk-loaded once with Sort-Tile-Recursive
+ * packing: items are sorted into vertical slices by x, each slice is sorted
+ * by y and cut into nodes, and the same is repeated on the nodes until a
+ * single root is left. Queries return candidates whose bbox intersects the
+ * query; exact geometry tests are left to the caller.
+ */
+
+const DEFAULT_NODE_SIZE = 16;
+
+/**
+ * Smallest bbox covering a list of nodes
+ */
+function unionBBox(nodes) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+  for (const node of nodes) {
+    bbox[0] = Math.min(bbox[0], node.bbox[0]);
+    bbox[1] = Math.min(bbox[1], node.bbox[1]);
+    bbox[2] = Math.max(bbox[2], node.bbox[2]);
+    bbox[3] = Math.max(bbox[3], node.bbox[3]);
+  }
+
+  return bbox;
+}
+
+/**
+ * Whether two [minX, minY, maxX, maxY] boxes overlap (touching counts)
+ */
+export function bboxIntersects(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+/**
+ * Pack one level of nodes into parent nodes
+ */
+function packLevel(nodes, nodeSize) {
+  const centerX = node => (node.bbox[0] + node.bbox[2]) / 2;
+  const centerY = node => (node.bbox[1] + node.bbox[3]) / 2;
+
+  const parentCount = Math.ceil(nodes.length / nodeSize);
+  const sliceSize = Math.ceil(Math.sqrt(parentCount)) * nodeSize;
+  const sorted = [...nodes].sort((a, b) => centerX(a) - centerX(b));
+  const parents = [];
+
+  for (let i = 0; i < sorted.length; i += sliceSize) {
+    const slice = sorted.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+
+    for (let j = 0; j < slice.length; j += nodeSize) {
+      const children = slice.slice(j, j + nodeSize);
+      parents.push({ bbox: unionBBox(children), children });
+    }
+  }
+
+  return parents;
+}
+
+export class SpatialIndex {
+  /**
+   * @param {Array} items - Items to index
+   * @param {Object} options - getBBox: item -> [minX, minY, maxX, maxY] (required),
+   *   nodeSize: entries per node (default 16)
+   */
+  constructor(items, options = {}) {
+    const { getBBox, nodeSize = DEFAULT_NODE_SIZE } = options;
+
+    if (typeof getBBox !== 'function') {
+      throw new Error('SpatialIndex needs a getBBox function');
+    }
+
+    this.items = items;
+    this.nodeSize = Math.max(2, nodeSize);
+
+    // Leaves keep the item's position so results come back in input order
+    let level = items.map((item, index) => ({ bbox: getBBox(item), index }));
+    this.height = level.length > 0 ? 1 : 0;
+
+    while (level.length > 1) {
+      level = packLevel(level, this.nodeSize);
+      this.height++;
+    }
+
+    this.root = level[0] || null;
+  }
+
+  /**
+   * Items whose bbox intersects a bbox, in the order they were indexed
+   */
+  search(bbox) {
+    const indices = [];
+    if (!this.root || !bboxIntersects(this.root.bbox, bbox)) return [];
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+
+      if (!node.children) {
+        indices.push(node.index);
+        continue;
+      }
+
+      for (const child of node.children) {
+        if (bboxIntersects(child.bbox, bbox)) stack.push(child);
+      }
+    }
+
+    return indices.sort((a, b) => a - b).map(index => this.items[index]);
+  }
+
+  /**
+   * Items whose bbox contains a point
+   * @param {Array<number>} coordinates - [x, y]
+   */
+  searchPoint([x, y]) {
+    return this.search([x, y, x, y]);
+  }
+
+  get size() {
+    return this.items.length;
+  }
+}
+
+export default {
+  bboxIntersects,
+  SpatialIndex
+};
@@ -0,0 +1,274 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse/sync';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('street-aliases');
+
+// Default alias table, overridable with STREET_ALIASES_FILE
+const DEFAULT_ALIASES_PATH = path.join(__dirname, '..', 'data', 'street-aliases.json');
+
+// Street type suffixes mapped to their standard abbreviation
+export const STREET_TYPES = {
+  ST: 'ST', STREET: 'ST',
+  AVE: 'AVE', AV: 'AVE', AVENUE: 'AVE',
+  RD: 'RD', ROAD: 'RD',
+  BLVD: 'BLVD', BOULEVARD: 'BLVD',
+  DR: 'DR', DRIVE: 'DR',
+  LN: 'LN', LANE: 'LN',
+  CT: 'CT', COURT: 'CT',
+  PL: 'PL', PLACE: 'PL',
+  WAY: 'WAY',
+  PKWY: 'PKWY', PARKWAY: 'PKWY',
+  HWY: 'HWY', HIGHWAY: 'HWY',
+  CIR: 'CIR', CIRCLE: 'CIR',
+  TER: 'TER', TERRACE: 'TER',
+  FWY: 'FWY', FREEWAY: 'FWY',
+  SQ: 'SQ', SQUARE: 'SQ',
+  ALY: 'ALY', ALLEY: 'ALY'
+};
+
+// Directionals mapped to their single-letter form
+export const DIRECTIONALS = {
+  N: 'N', NORTH: 'N',
+  S: 'S', SOUTH: 'S',
+  E: 'E', EAST: 'E',
+  W: 'W', WEST: 'W'
+};
+
+let activeTable = null;
+
+/**
+ * Clean a street name into the upper-case form used for alias lookups
+ * Periods and apostrophes are dropped so "M.L. King" and "O'Hara" match
+ */
+export function cleanStreetName(name) {
+  return String(name)
+    .toUpperCase()
+    .replace(/['.]/g, '')
+    .replace(/[^A-Z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a lookup table from alias entries
+ * @param {Object} source - { prefixes: { SAINT: 'ST' }, streets: [{ canonical, aliases }] }
+ * @returns {Object} Table with alias and prefix maps
+ */
+export function createAliasTable(source = {}) {
+  const aliases = new Map();
+  const prefixes = new Map();
+
+  for (const [prefix, replacement] of Object.entries(source.prefixes || {})) {
+    prefixes.set(cleanStreetName(prefix), cleanStreetName(replacement));
+  }
+
+  for (const entry of source.streets || []) {
+    const canonical = cleanStreetName(entry.canonical);
+    if (!canonical) continue;
+
+    // Canonical names map to themselves so canonicalization is idempotent
+    aliases.set(canonical, canonical);
+
+    for (const alias of entry.aliases || []) {
+      const key = cleanStreetName(alias);
+      if (aliases.has(key) && aliases.get(key) !== canonical) {
+        logger.warn(`Street alias ${key} maps to both ${aliases.get(key)} and ${canonical}`);
+      }
+      aliases.set(key, canonical);
+    }
+  }
+
+  return { aliases, prefixes };
+}
+
+/**
+ * Load a street alias table from a JSON or CSV file
+ * JSON files use the { prefixes, streets } layout of data/street-aliases.json.
+ * CSV files need alias and canonical columns; rows with kind=prefix are
+ * treated as leading-word replacements (e.g. SAINT -> ST).
+ * The loaded table becomes the active table.
+ */
+export function loadStreetAliases(filePath = process.env.STREET_ALIASES_FILE || DEFAULT_ALIASES_PATH) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let source;
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    const rows = parse(content, {
+      columns: header => header.map(h => h.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true
+    });
+
+    source = { prefixes: {}, streets: [] };
+    const byCanonical = new Map();
+
+    for (const row of rows) {
+      if (!row.alias || !row.canonical) continue;
+
+      if (row.kind === 'prefix') {
+        source.prefixes[row.alias] = row.canonical;
+        continue;
+      }
+
+      if (!byCanonical.has(row.canonical)) {
+        byCanonical.set(row.canonical, { canonical: row.canonical, aliases: [] });
+        source.streets.push(byCanonical.get(row.canonical));
+      }
+      byCanonical.get(row.canonical).aliases.push(row.alias);
+    }
+  } else {
+    source = JSON.parse(content);
+  }
+
+  activeTable = createAliasTable(source);
+  logger.debug(`Loaded ${activeTable.aliases.size} street aliases from ${filePath}`);
+
+  return activeTable;
+}
+
+/**
+ * Replace the active alias table (e.g. with one built by createAliasTable)
+ */
+export function setStreetAliases(table) {
+  activeTable = table;
+}
+
+/**
+ * Get the active alias table, loading the default file on first use
+ */
+export function getStreetAliases() {
+  if (!activeTable) {
+    try {
+      loadStreetAliases();
+    } catch (error) {
+      logger.warn('Could not load street alias table, continuing without aliases', {
+        error: error.message
+      });
+      activeTable = createAliasTable();
+    }
+  }
+
+  return activeTable;
+}
+
+/**
+ * Map a street name to its canonical spelling
+ * A leading directional and trailing street type are kept as written
+ * and only the core name is looked up:
+ * - "Seven Mile Rd" -> "7 MILE RD"
+ * - "W M.L. King Blvd" -> "W MARTIN LUTHER KING JR BLVD"
+ * - "Saint Aubin" -> "ST AUBIN"
+ * Unknown names come back cleaned but otherwise unchanged.
+ */
+export function canonicalizeStreetName(name, table = getStreetAliases()) {
+  if (!name) return '';
+
+  const words = cleanStreetName(name).split(' ').filter(Boolean);
+  if (words.length === 0) return '';
+
+  const directional = words.length > 1 && DIRECTIONALS[words[0]] ? words.shift() : null;
+  const streetType = words.length > 1 && STREET_TYPES[words[words.length - 1]] ? words.pop() : null;
+
+  if (table.prefixes.has(words[0]) && words.length > 1) {
+    words[0] = table.prefixes.get(words[0]);
+  }
+
+  const core = words.join(' ');
+  const canonical = table.aliases.get(core) || core;
+
+  return [directional, canonical, streetType].filter(Boolean).join(' ');
+}
+
+/**
+ * Check whether a name is a known alias or canonical street name
+ */
+export function isKnownStreetName(name, table = getStreetAliases()) {
+  return table.aliases.has(cleanStreetName(name));
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find pairs of street names that look like spellings of the same street
+ * but are not tied together by the alias table
+ * @param {Map<string, number>} nameCounts - Canonicalized street names and how often they occur
+ * @param {Object} options - maxDistance: edit distance limit for names of 6+ characters
+ * @returns {Array} Pairs sorted by how many records they affect
+ */
+export function findNearDuplicateStreets(nameCounts, options = {}) {
+  const { maxDistance = 2 } = options;
+  const names = [...nameCounts.keys()].sort();
+  const pairs = [];
+
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const a = names[i];
+      const b = names[j];
+
+      // Short names get a tighter limit, otherwise "ST" and "DR"-sized names all collide
+      const limit = Math.min(a.length, b.length) < 6 ? 1 : maxDistance;
+      if (Math.abs(a.length - b.length) > limit) continue;
+
+      const sameLetters = a.replace(/\s/g, '') === b.replace(/\s/g, '');
+      const distance = sameLetters ? 0 : levenshtein(a, b);
+
+      if (distance <= limit) {
+        // Suggest the more common spelling as the canonical one
+        const [canonical, alias] = nameCounts.get(a) >= nameCounts.get(b) ? [a, b] : [b, a];
+        pairs.push({
+          canonical,
+          alias,
+          distance,
+          canonicalCount: nameCounts.get(canonical),
+          aliasCount: nameCounts.get(alias)
+        });
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => (y.canonicalCount + y.aliasCount) - (x.canonicalCount + x.aliasCount));
+}
+
+export default {
+  STREET_TYPES,
+  DIRECTIONALS,
+  cleanStreetName,
+  createAliasTable,
+  loadStreetAliases,
+  setStreetAliases,
+  getStreetAliases,
+  canonicalizeStreetName,
+  isKnownStreetName,
+  levenshtein,
+  findNearDuplicateStreets
+};
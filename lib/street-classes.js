@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('street-classes');
+
+// Default policy file, overridable with STREET_CLASSES_FILE
+export const DEFAULT_STREET_CLASSES_PATH = path.join(__dirname, '..', 'data', 'street-classes.json');
+
+let activePolicy = null;
+
+/**
+ * Street Classes
+ *
+ * Decide what each street feature does in block detection. Every street is
+ * given a class, taken from a class property when the layer has one
+ * (fieldValues maps its values to classes) and otherwise from the first
+ * name pattern it matches, and each class says whether its streets
+ * generate blocks and whether they end the blocks of the streets they
+ * cross. A class doing neither is ignored:
+ *
+ *   {
+ *     "defaultClass": "local",
+ *     "classFields": ["road_class"],
+ *     "fieldValues": { "freeway": ["INTERSTATE"] },
+ *     "namePatterns": { "alley": ["\\bALLEY\\b"] },
+ *     "classes": {
+ *       "alley": { "generatesBlocks": false, "endsBlocks": false },
+ *       "local": { "generatesBlocks": true, "endsBlocks": true }
+ *     }
+ *   }
+ *
+ * Classes missing from "classes" generate and end blocks, like local streets.
+ */
+
+/**
+ * Build a street class policy from its config
+ * @param {Object} source - { defaultClass, classFields, fieldValues, namePatterns, classes }
+ */
+export function createStreetClassPolicy(source = {}) {
+  const fieldValues = new Map();
+  for (const [streetClass, values] of Object.entries(source.fieldValues || {})) {
+    for (const value of values) {
+      fieldValues.set(String(value).trim().toUpperCase(), streetClass);
+    }
+  }
+
+  const namePatterns = [];
+  for (const [streetClass, patterns] of Object.entries(source.namePatterns || {})) {
+    for (const pattern of patterns) {
+      try {
+        namePatterns.push({ streetClass, regex: new RegExp(pattern, 'i') });
+      } catch (error) {
+        logger.warn(`Invalid name pattern for street class ${streetClass}, ignoring it`, {
+          pattern,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  const classes = new Map(Object.entries(source.classes || {}).map(([streetClass, rules]) => [
+    streetClass,
+    {
+      generatesBlocks: rules.generatesBlocks !== false,
+      endsBlocks: rules.endsBlocks !== false
+    }
+  ]));
+
+  return {
+    defaultClass: source.defaultClass || 'local',
+    classFields: (source.classFields || []).map(field => field.toLowerCase()),
+    fieldValues,
+    namePatterns,
+    classes
+  };
+}
+
+/**
+ * Load a street class policy from a JSON file and make it the active policy
+ */
+export function loadStreetClassPolicy(filePath = process.env.STREET_CLASSES_FILE || DEFAULT_STREET_CLASSES_PATH) {
+  const source = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  activePolicy = createStreetClassPolicy(source);
+  logger.debug(`Loaded ${activePolicy.classes.size} street classes from ${filePath}`);
+
+  return activePolicy;
+}
+
+/**
+ * Replace the active policy (e.g. with one built by createStreetClassPolicy)
+ */
+export function setStreetClassPolicy(policy) {
+  activePolicy = policy;
+}
+
+/**
+ * Get the active policy, loading the default file on first use
+ */
+export function getStreetClassPolicy() {
+  if (!activePolicy) {
+    try {
+      loadStreetClassPolicy();
+    } catch (error) {
+      logger.warn('Could not load street classes, treating every street as local', {
+        error: error.message
+      });
+      activePolicy = createStreetClassPolicy();
+    }
+  }
+
+  return activePolicy;
+}
+
+/**
+ * Class of a street feature
+ */
+export function classifyStreet(street, policy = getStreetClassPolicy()) {
+  const properties = street?.properties || {};
+
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === null || value === undefined || !policy.classFields.includes(key.toLowerCase())) continue;
+
+    const streetClass = policy.fieldValues.get(String(value).trim().toUpperCase());
+    if (streetClass) return streetClass;
+  }
+
+  const name = String(properties.street_name || '');
+  const match = policy.namePatterns.find(({ regex }) => regex.test(name));
+
+  return match ? match.streetClass : policy.defaultClass;
+}
+
+/**
+ * Rules of a street's class: { streetClass, generatesBlocks, endsBlocks }
+ */
+export function streetClassRules(street, policy = getStreetClassPolicy()) {
+  const streetClass = classifyStreet(street, policy);
+  const rules = policy.classes.get(streetClass) || { generatesBlocks: true, endsBlocks: true };
+
+  return { streetClass, ...rules };
+}
+
+export default {
+  DEFAULT_STREET_CLASSES_PATH,
+  createStreetClassPolicy,
+  loadStreetClassPolicy,
+  setStreetClassPolicy,
+  getStreetClassPolicy,
+  classifyStreet,
+  streetClassRules
+};
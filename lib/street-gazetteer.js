@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+import { STREET_TYPES, DIRECTIONALS, canonicalizeStreetName } from './street-aliases.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('street-gazetteer');
+
+// Default gazetteer file, overridable with STREET_GAZETTEER_FILE
+export const DEFAULT_GAZETTEER_PATH = path.join(__dirname, '..', 'data', 'processed', 'street-gazetteer.json');
+
+// Address range properties seen on street centerline layers, as [from, to] pairs
+export const ADDRESS_RANGE_FIELDS = [
+  ['fromleft', 'toleft'],
+  ['fromright', 'toright'],
+  ['l_from_add', 'l_to_add'],
+  ['r_from_add', 'r_to_add'],
+  ['lfromadd', 'ltoadd'],
+  ['rfromadd', 'rtoadd'],
+  ['from_address', 'to_address'],
+  ['low_address', 'high_address']
+];
+
+// Ranges closer than this are merged into one
+const RANGE_MERGE_GAP = 100;
+
+/**
+ * Street Gazetteer
+ *
+ * The list of streets that exist in the city, built from the street
+ * centerlines (DetroitAPIClient.fetchAllStreets or a local GeoJSON file).
+ * Streets are keyed by their canonical core name, the baseName parseAddress
+ * produces: "E Jefferson Ave" is stored as JEFFERSON with directional E and
+ * type AVE. Where the centerlines carry address ranges, each street keeps the
+ * house number ranges it covers so fuzzy matches can be checked against them.
+ */
+
+/**
+ * Split a full street name into directional, canonical core name and type
+ * - "E Jefferson Ave" -> { directional: 'E', baseName: 'JEFFERSON', streetType: 'AVE' }
+ * - "Grand Blvd W" -> { directional: 'W', baseName: 'GRAND', streetType: 'BLVD' }
+ */
+export function splitStreetName(name) {
+  const words = canonicalizeStreetName(name).split(' ').filter(Boolean);
+  if (words.length === 0) return null;
+
+  let directional = null;
+  if (words.length > 1 && DIRECTIONALS[words[words.length - 1]]) {
+    directional = DIRECTIONALS[words.pop()];
+  }
+
+  const streetType = words.length > 1 && STREET_TYPES[words[words.length - 1]]
+    ? STREET_TYPES[words.pop()]
+    : null;
+
+  if (words.length > 1 && DIRECTIONALS[words[0]]) {
+    directional = DIRECTIONALS[words.shift()];
+  }
+
+  return { directional, baseName: words.join(' '), streetType };
+}
+
+/**
+ * Merge overlapping or nearly touching [from, to] ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  for (const [from, to] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && from <= last[1] + RANGE_MERGE_GAP) {
+      last[1] = Math.max(last[1], to);
+    } else {
+      merged.push([from, to]);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * House number range of one street feature, null if it has none
+ * @param {Object} properties - Feature properties
+ * @param {Array} rangeFields - [from, to] property name pairs to look for
+ */
+export function featureAddressRange(properties = {}, rangeFields = ADDRESS_RANGE_FIELDS) {
+  const lookup = new Map(Object.entries(properties).map(([key, value]) => [key.toLowerCase(), value]));
+  const numbers = [];
+
+  for (const [fromField, toField] of rangeFields) {
+    const from = parseInt(lookup.get(fromField.toLowerCase()));
+    const to = parseInt(lookup.get(toField.toLowerCase()));
+
+    // Unaddressed sides are usually stored as 0-0
+    if (from > 0 || to > 0) {
+      if (!isNaN(from)) numbers.push(from);
+      if (!isNaN(to)) numbers.push(to);
+    }
+  }
+
+  return numbers.length > 0 ? [Math.min(...numbers), Math.max(...numbers)] : null;
+}
+
+/**
+ * Build a gazetteer from its serialized form
+ * @param {Object} source - { streets: { baseName: { directionals, types, ranges } } }
+ */
+export function createStreetGazetteer(source = {}) {
+  const streets = new Map();
+
+  for (const [name, entry] of Object.entries(source.streets || {})) {
+    streets.set(name, {
+      name,
+      directionals: new Set(entry.directionals || []),
+      types: new Set(entry.types || []),
+      ranges: mergeRanges(entry.ranges || [])
+    });
+  }
+
+  return { streets };
+}
+
+/**
+ * Build a gazetteer from street centerline features
+ * @param {Iterable<Object>} features - GeoJSON features
+ * @param {Object} options - nameField (default street_name), rangeFields
+ */
+export function buildStreetGazetteer(features, options = {}) {
+  const { nameField = 'street_name', rangeFields = ADDRESS_RANGE_FIELDS } = options;
+  const gazetteer = createStreetGazetteer();
+
+  for (const feature of features) {
+    addStreetFeature(gazetteer, feature, { nameField, rangeFields });
+  }
+
+  for (const entry of gazetteer.streets.values()) {
+    entry.ranges = mergeRanges(entry.ranges);
+  }
+
+  return gazetteer;
+}
+
+/**
+ * Add one street feature to a gazetteer
+ * Ranges are left unmerged; buildStreetGazetteer merges them at the end.
+ */
+function addStreetFeature(gazetteer, feature, { nameField, rangeFields }) {
+  const properties = feature.properties || {};
+  const split = properties[nameField] ? splitStreetName(properties[nameField]) : null;
+  if (!split || !split.baseName) return;
+
+  if (!gazetteer.streets.has(split.baseName)) {
+    gazetteer.streets.set(split.baseName, {
+      name: split.baseName,
+      directionals: new Set(),
+      types: new Set(),
+      ranges: []
+    });
+  }
+
+  const entry = gazetteer.streets.get(split.baseName);
+  if (split.directional) entry.directionals.add(split.directional);
+  if (split.streetType) entry.types.add(split.streetType);
+
+  const range = featureAddressRange(properties, rangeFields);
+  if (range) entry.ranges.push(range);
+}
+
+/**
+ * Build a gazetteer from every street the Detroit streets API returns
+ * @param {Object} client - DetroitAPIClient
+ */
+export async function fetchStreetGazetteer(client, options = {}) {
+  const { nameField = 'street_name', rangeFields = ADDRESS_RANGE_FIELDS } = options;
+  const gazetteer = createStreetGazetteer();
+  let featureCount = 0;
+
+  for await (const batch of client.fetchAllStreets()) {
+    for (const feature of batch) {
+      addStreetFeature(gazetteer, feature, { nameField, rangeFields });
+    }
+    featureCount += batch.length;
+  }
+
+  for (const entry of gazetteer.streets.values()) {
+    entry.ranges = mergeRanges(entry.ranges);
+  }
+
+  logger.info(`Built gazetteer of ${gazetteer.streets.size} streets from ${featureCount} street features`);
+
+  return gazetteer;
+}
+
+/**
+ * Load a gazetteer from a file
+ * Accepts either a saved gazetteer or a GeoJSON FeatureCollection of streets.
+ */
+export function loadStreetGazetteer(filePath = process.env.STREET_GAZETTEER_FILE || DEFAULT_GAZETTEER_PATH, options = {}) {
+  const source = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const gazetteer = source.type === 'FeatureCollection'
+    ? buildStreetGazetteer(source.features || [], options)
+    : createStreetGazetteer(source);
+
+  logger.debug(`Loaded gazetteer of ${gazetteer.streets.size} streets from ${filePath}`);
+
+  return gazetteer;
+}
+
+/**
+ * Turn a gazetteer back into its serialized form
+ */
+export function serializeStreetGazetteer(gazetteer) {
+  return {
+    streets: Object.fromEntries(
+      [...gazetteer.streets]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, entry]) => [name, {
+          directionals: [...entry.directionals].sort(),
+          types: [...entry.types].sort(),
+          ranges: entry.ranges
+        }])
+    )
+  };
+}
+
+/**
+ * Whether a street's known address ranges include a house number
+ * Streets without range data accept every number.
+ */
+export function streetCoversNumber(entry, houseNumber) {
+  if (entry.ranges.length === 0 || houseNumber === null || houseNumber === undefined) return true;
+  return entry.ranges.some(([from, to]) => houseNumber >= from && houseNumber <= to);
+}
+
+export default {
+  DEFAULT_GAZETTEER_PATH,
+  ADDRESS_RANGE_FIELDS,
+  splitStreetName,
+  featureAddressRange,
+  createStreetGazetteer,
+  buildStreetGazetteer,
+  fetchStreetGazetteer,
+  loadStreetGazetteer,
+  serializeStreetGazetteer,
+  streetCoversNumber
+};
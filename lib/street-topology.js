@@ -0,0 +1,207 @@
+import fs from 'fs';
+import * as turf from '@turf/turf';
+import { createLogger } from './logger.js';
+import {
+  findIntersections,
+  sortIntersectionsAlongStreet,
+  createBlockSegments,
+  resolveBlockIdCollisions
+} from './block-detector.js';
+import { SpatialIndex } from './spatial-index.js';
+import { getStreetClassPolicy, streetClassRules } from './street-classes.js';
+import { where } from './arcgis-query.js';
+
+const logger = createLogger('street-topology');
+
+// Node coordinates are matched at this many decimal places (about 10 cm)
+const NODE_PRECISION = 6;
+
+/**
+ * Street Topology
+ *
+ * Builds the street network of the whole city in one pass: every pair of
+ * streets whose bounding boxes overlap is intersected once, each street's
+ * crossings are turned into block segments with createBlockSegments, and the
+ * segments become the edges of a graph whose nodes are the intersections
+ * (and the dead ends where streets stop).
+ *
+ * Streets are keyed by their street_id property, or by their position in
+ * the input when they have none. The street class policy (street-classes.js)
+ * decides which streets get blocks and which crossings end them.
+ */
+
+/**
+ * Load street features from a GeoJSON file
+ */
+export function loadStreetFeatures(filePath) {
+  const source = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const features = source.type === 'FeatureCollection' ? source.features : source;
+
+  return (features || []).filter(feature =>
+    feature?.geometry && ['LineString', 'MultiLineString'].includes(feature.geometry.type)
+  );
+}
+
+/**
+ * Fetch every street feature from the Detroit streets API
+ * A street missed while paging would leave its blocks out of the whole run,
+ * so the features fetched have to add up to the layer's count.
+ * @param {Object} client - DetroitAPIClient
+ */
+export async function fetchStreetFeatures(client) {
+  const features = [];
+
+  for await (const batch of client.fetchAllStreets(where.ALL, { verifyCount: true })) {
+    features.push(...batch);
+  }
+
+  return features;
+}
+
+/**
+ * Lookup key of a node position
+ */
+function nodeKey(coordinates) {
+  return coordinates.map(value => value.toFixed(NODE_PRECISION)).join(',');
+}
+
+/**
+ * Build the street network
+ * @param {Array} streets - Street features (LineString or MultiLineString)
+ * @param {Object} options - policy: street class policy (defaults to the active one)
+ * @returns {Object} {
+ *   streets: Map streetKey -> { street, streetClass, generatesBlocks, endsBlocks,
+ *     intersections, crossStreets, segments },
+ *   nodes: Map nodeId -> { id, coordinates, streets, degree },
+ *   edges: [{ blockId, streetKey, fromNode, toNode, segment }],
+ *   segments: every block segment, in street order,
+ *   collisions: repeated block IDs made unique by resolveBlockIdCollisions
+ * }
+ */
+export function buildStreetTopology(streets, options = {}) {
+  const { policy = getStreetClassPolicy() } = options;
+  const entries = streets
+    .filter(street => street?.geometry)
+    .map((street, index) => ({
+      key: String(street.properties?.street_id ?? index),
+      index,
+      street,
+      ...streetClassRules(street, policy),
+      intersections: [],
+      crossStreets: new Set(),
+      segments: []
+    }));
+
+  const streetIndex = new SpatialIndex(entries, { getBBox: entry => turf.bbox(entry.street) });
+  let pairsTested = 0;
+
+  // Intersect every overlapping pair once and record the crossings on each
+  // street whose blocks the other street ends
+  for (const entry of entries) {
+    for (const other of streetIndex.search(turf.bbox(entry.street))) {
+      if (other.index <= entry.index) continue;
+      if (!entry.endsBlocks && !other.endsBlocks) continue;
+      pairsTested++;
+
+      const crossings = findIntersections(entry.street, [other.street], { policy: null });
+      if (crossings.length === 0) continue;
+
+      if (other.endsBlocks) {
+        entry.crossStreets.add(other.key);
+        entry.intersections.push(...crossings);
+      }
+
+      if (entry.endsBlocks) {
+        other.crossStreets.add(entry.key);
+        other.intersections.push(...crossings.map(crossing => ({
+          ...crossing,
+          crossStreet: entry.street.properties?.street_name,
+          crossStreetId: entry.street.properties?.street_id
+        })));
+      }
+    }
+  }
+
+  const nodes = new Map();
+  const nodeIds = new Map();
+  const edges = [];
+  const segments = [];
+
+  const nodeAt = (coordinates, streetKey) => {
+    const key = nodeKey(coordinates);
+    if (!nodeIds.has(key)) {
+      const id = `n${nodeIds.size + 1}`;
+      nodeIds.set(key, id);
+      nodes.set(id, { id, coordinates, streets: new Set(), degree: 0 });
+    }
+
+    const node = nodes.get(nodeIds.get(key));
+    node.streets.add(streetKey);
+    node.degree++;
+    return node.id;
+  };
+
+  for (const entry of entries) {
+    if (!entry.generatesBlocks) continue;
+
+    try {
+      const sorted = sortIntersectionsAlongStreet(entry.street, entry.intersections);
+      entry.segments = createBlockSegments(entry.street, sorted, { policy });
+    } catch (error) {
+      logger.warn('Error creating block segments', {
+        street: entry.street.properties?.street_name,
+        error: error.message
+      });
+    }
+  }
+
+  // Block IDs have to be unique city-wide before they become edges
+  const collisions = resolveBlockIdCollisions(entries.flatMap(entry => entry.segments));
+
+  for (const entry of entries) {
+    for (const segment of entry.segments) {
+      const coordinates = segment.geometry.type === 'MultiLineString'
+        ? segment.geometry.coordinates.flat()
+        : segment.geometry.coordinates;
+
+      edges.push({
+        blockId: segment.blockId,
+        streetKey: entry.key,
+        fromNode: nodeAt(coordinates[0], entry.key),
+        toNode: nodeAt(coordinates[coordinates.length - 1], entry.key),
+        segment
+      });
+      segments.push(segment);
+    }
+  }
+
+  logger.info(`Built street network: ${entries.length} streets, ${nodes.size} nodes, ${edges.length} block segments`, {
+    pairsTested,
+    repeatedBlockIds: collisions.length
+  });
+
+  return {
+    streets: new Map(entries.map(entry => [entry.key, entry])),
+    nodes,
+    edges,
+    segments,
+    collisions
+  };
+}
+
+/**
+ * Street features crossing a street in the network
+ */
+export function getCrossStreets(topology, streetKey) {
+  const entry = topology.streets.get(String(streetKey));
+  if (!entry) return [];
+
+  return [...entry.crossStreets].map(key => topology.streets.get(key).street);
+}
+
+export default {
+  loadStreetFeatures,
+  fetchStreetFeatures,
+  buildStreetTopology,
+  getCrossStreets
+};
@@ -59,6 +59,21 @@ export const blockOperations = {
       .ilike('street_name', `%${streetName}%`)
       .order('from_cross_street');
     
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get one page of blocks that have stored bounds (segment blocks)
+   */
+  async getBlocksWithBounds(offset = 0, limit = 1000) {
+    const { data, error } = await supabase
+      .from('blocks')
+      .select('block_id, street_name, block_bounds')
+      .not('block_bounds', 'is', null)
+      .order('block_id')
+      .range(offset, offset + limit - 1);
+    
     if (error) throw error;
     return data;
   }
@@ -104,16 +119,45 @@ export const parcelOperations = {
   },
 
   /**
-   * Delete parcels no longer in block
+   * Delete parcels no longer in block (every parcel when none are left)
    */
   async deleteParcelsNotIn(blockId, currentParcelIds) {
-    const { error } = await supabase
+    let query = supabase
       .from('block_parcels')
       .delete()
-      .eq('block_id', blockId)
-      .not('parcel_id', 'in', `(${currentParcelIds.join(',')})`);
+      .eq('block_id', blockId);
+    
+    if (currentParcelIds.length > 0) {
+      const quoted = currentParcelIds.map(id => `"${String(id).replace(/"/g, '\\"')}"`);
+      query = query.not('parcel_id', 'in', `(${quoted.join(',')})`);
+    }
+    
+    const { error } = await query;
     
     if (error) throw error;
+  },
+
+  /**
+   * Blocks the parcels are stored under
+   * @returns {Set} Whole block IDs (the face's whole_block_id for block faces)
+   */
+  async getBlocksOfParcels(parcelIds) {
+    const blockIds = new Set();
+    const batchSize = 100;
+    
+    for (let i = 0; i < parcelIds.length; i += batchSize) {
+      const { data, error } = await supabase
+        .from('block_parcels')
+        .select('parcel_id, blocks!inner(block_id, whole_block_id)')
+        .in('parcel_id', parcelIds.slice(i, i + batchSize));
+      
+      if (error) throw error;
+      for (const { blocks } of data) {
+        blockIds.add(blocks.whole_block_id || blocks.block_id);
+      }
+    }
+    
+    return blockIds;
   }
 };
 
@@ -170,6 +214,59 @@ export const analyticsOperations = {
   }
 };
 
+// Dataset record operations
+export const datasetRecordOperations = {
+  /**
+   * Replace the dataset records counted in a block
+   */
+  async replaceBlockRecords(blockId, records) {
+    const { error } = await supabase
+      .from('block_dataset_records')
+      .delete()
+      .eq('block_id', blockId);
+    
+    if (error) throw error;
+    
+    const batchSize = 500;
+    
+    for (let i = 0; i < records.length; i += batchSize) {
+      const { error: insertError } = await supabase
+        .from('block_dataset_records')
+        .insert(records.slice(i, i + batchSize), { returning: 'minimal' });
+      
+      if (insertError) throw insertError;
+    }
+  },
+
+  /**
+   * Blocks every stored dataset record was counted in
+   * @returns {Map} "dataset|record_id" -> [{ blockId, wholeBlockId }] (text block IDs,
+   *   wholeBlockId being the face's whole_block_id for block faces)
+   */
+  async getRecordBlocks() {
+    const recordBlocks = new Map();
+    const pageSize = 1000;
+    
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await supabase
+        .from('block_dataset_records')
+        .select('dataset, record_id, blocks!inner(block_id, whole_block_id)')
+        .order('id')
+        .range(offset, offset + pageSize - 1);
+      
+      if (error) throw error;
+      for (const { dataset, record_id: recordId, blocks } of data) {
+        const key = `${dataset}|${recordId}`;
+        if (!recordBlocks.has(key)) recordBlocks.set(key, []);
+        recordBlocks.get(key).push({ blockId: blocks.block_id, wholeBlockId: blocks.whole_block_id || blocks.block_id });
+      }
+      if (data.length < pageSize) break;
+    }
+    
+    return recordBlocks;
+  }
+};
+
 // Run tracking operations
 export const runOperations = {
   /**
@@ -238,6 +335,110 @@ export const runOperations = {
       .select()
       .single();
     
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * High-water marks of the latest completed run that recorded a parcel mark
+   * @returns {Object|null} metadata.highWaterMark: layer -> ISO timestamp
+   */
+  async getLatestHighWaterMark() {
+    const { data, error } = await supabase
+      .from('analytics_runs')
+      .select('id, metadata')
+      .eq('status', 'completed')
+      .not('metadata->highWaterMark->>parcels', 'is', null)
+      .order('completed_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data?.metadata?.highWaterMark || null;
+  }
+};
+
+// Crosswalk operations
+export const crosswalkOperations = {
+  /**
+   * Batch upsert crosswalk rows
+   */
+  async upsertCrosswalk(rows) {
+    const batchSize = 500;
+    
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      const { error } = await supabase
+        .from('block_crosswalk')
+        .upsert(batch, {
+          onConflict: 'numeric_block_id,segment_block_id',
+          returning: 'minimal'
+        });
+      
+      if (error) throw error;
+    }
+  },
+
+  /**
+   * Get the segment blocks a numeric block falls on, largest share first
+   */
+  async getSegmentsForNumericBlock(numericBlockId) {
+    const { data, error } = await supabase
+      .from('block_crosswalk')
+      .select('*')
+      .eq('numeric_block_id', numericBlockId)
+      .order('share', { ascending: false });
+    
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get the numeric blocks that fall on a segment block
+   */
+  async getNumericBlocksForSegment(segmentBlockId) {
+    const { data, error } = await supabase
+      .from('block_crosswalk')
+      .select('*')
+      .eq('segment_block_id', segmentBlockId)
+      .order('numeric_block_id');
+    
+    if (error) throw error;
+    return data;
+  }
+};
+
+// Adjacency operations
+export const adjacencyOperations = {
+  /**
+   * Batch upsert adjacency rows
+   */
+  async upsertAdjacency(rows) {
+    const batchSize = 500;
+    
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      const { error } = await supabase
+        .from('block_adjacency')
+        .upsert(batch, {
+          onConflict: 'block_id,neighbor_block_id,relation',
+          returning: 'minimal'
+        });
+      
+      if (error) throw error;
+    }
+  },
+
+  /**
+   * Get the blocks touching a block
+   */
+  async getNeighbors(blockId) {
+    const { data, error } = await supabase
+      .from('block_adjacency')
+      .select('*')
+      .eq('block_id', blockId)
+      .order('relation');
+    
     if (error) throw error;
     return data;
   }
@@ -310,7 +511,10 @@ export default {
   blocks: blockOperations,
   parcels: parcelOperations,
   analytics: analyticsOperations,
+  datasetRecords: datasetRecordOperations,
   runs: runOperations,
+  crosswalk: crosswalkOperations,
+  adjacency: adjacencyOperations,
   query: queryOperations,
   withTransaction
 };
\ No newline at end of file
@@ -7,21 +7,33 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-console.log('🧪 Running Block Detection Tests...\n');
+const TEST_FILES = [
+  ['Block Detection', 'tests/block-detection.test.js'],
+  ['Pipeline', 'tests/pipeline.test.js']
+];
 
-// Run the test file
-const testProcess = spawn('node', [join(__dirname, 'tests/block-detection.test.js')], {
-  stdio: 'inherit'
-});
+// Run the test files one after another
+function runTest(name, file) {
+  console.log(`🧪 Running ${name} Tests...\n`);
 
-testProcess.on('close', (code) => {
-  if (code === 0) {
-    console.log('\n✅ All tests completed successfully!');
-    console.log('\n📊 To visualize block assignments:');
-    console.log('   1. Open tools/block-visualizer.html in a web browser');
-    console.log('   2. Click "Load Test Data" to see sample blocks');
-    console.log('   3. Or load your own CSV file with address, lat, lng columns');
-  } else {
-    console.log('\n❌ Tests failed with exit code:', code);
-  }
-});
\ No newline at end of file
+  return new Promise(resolve => {
+    spawn('node', [join(__dirname, file)], { stdio: 'inherit' }).on('close', resolve);
+  });
+}
+
+let code = 0;
+for (const [name, file] of TEST_FILES) {
+  code = await runTest(name, file);
+  if (code !== 0) break;
+  console.log('');
+}
+
+if (code === 0) {
+  console.log('✅ All tests completed successfully!');
+  console.log('\n📊 To visualize block assignments:');
+  console.log('   1. Open tools/block-visualizer.html in a web browser');
+  console.log('   2. Click "Load Test Data" to see sample blocks');
+  console.log('   3. Or load your own CSV file with address, lat, lng columns');
+} else {
+  console.log('\n❌ Tests failed with exit code:', code);
+}
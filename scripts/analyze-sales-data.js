@@ -34,6 +34,9 @@ async function analyzeSalesData() {
   console.log('\nAddress Format Analysis:');
   const addressFormats = new Map();
   const parseErrors = [];
+  const lowConfidence = [];
+  let confidenceTotal = 0;
+  let parsedCount = 0;
   
   for (const row of sampleData) {
     const address = row['Street Address'];
@@ -41,24 +44,49 @@ async function analyzeSalesData() {
     
     const parsed = parseAddress(address);
     if (parsed) {
-      const format = `${parsed.directional ? 'DIR ' : ''}NUMBER STREET TYPE`;
+      const format = [
+        parsed.numberSuffix ? 'NUMBER+SUFFIX' : 'NUMBER',
+        parsed.fraction && 'FRACTION',
+        parsed.preDirectional && 'DIR',
+        'STREET',
+        parsed.streetType && 'TYPE',
+        parsed.postDirectional && 'DIR',
+        parsed.unit && 'UNIT'
+      ].filter(Boolean).join(' ');
       addressFormats.set(format, (addressFormats.get(format) || 0) + 1);
+      
+      confidenceTotal += parsed.confidence;
+      parsedCount++;
+      if (parsed.confidence < 0.8) {
+        lowConfidence.push(`${address} (${parsed.confidence})`);
+      }
     } else {
       parseErrors.push(address);
     }
   }
   
   console.log('  Address formats found:');
-  for (const [format, count] of addressFormats) {
+  for (const [format, count] of [...addressFormats].sort((a, b) => b[1] - a[1])) {
     console.log(`    ${format}: ${count}`);
   }
-  console.log(`  Parse errors: ${parseErrors.length}`);
+  const addressCount = parsedCount + parseErrors.length;
+  const errorRate = addressCount > 0 ? ((parseErrors.length / addressCount) * 100).toFixed(1) : '0.0';
+  console.log(`  Parse errors: ${parseErrors.length} (${errorRate}%)`);
   if (parseErrors.length > 0) {
     console.log('  Sample parse errors:');
     parseErrors.slice(0, 5).forEach(addr => {
       console.log(`    - "${addr}"`);
     });
   }
+  if (parsedCount > 0) {
+    console.log(`  Average parse confidence: ${(confidenceTotal / parsedCount).toFixed(2)}`);
+  }
+  if (lowConfidence.length > 0) {
+    console.log(`  Low confidence parses: ${lowConfidence.length}`);
+    lowConfidence.slice(0, 5).forEach(addr => {
+      console.log(`    - ${addr}`);
+    });
+  }
   
   // Analyze price ranges
   console.log('\nSale Price Analysis:');
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+import { assignBlockIds, rollUpBlockFaces } from '../lib/block-detector-v2.js';
+import { SalesBlockIndex, salesRowToParcel, summarizeBlockSales } from '../lib/sales-block-index.js';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const CHUNK_SIZE = 5000;
+const DEFAULT_SIZES = [100000, 1000000];
+
+const STREET_NAMES = ['Woodward', 'Gratiot', 'Grand River', 'Michigan', 'Jefferson', 'Livernois', 'Warren', 'Mack'];
+const STREET_TYPES = ['Ave', 'St', 'Rd', 'Blvd'];
+
+/**
+ * Benchmark the block assignment part of process-sales-data on synthetic
+ * sales rows: chunked assignment and indexing, then the per-block work of
+ * building parcel rows and sales analytics. Database writes are left out.
+ *
+ * Every size runs in its own process so memory figures don't carry over.
+ *
+ * Usage:
+ *   node scripts/benchmark-sales-processing.js [--rows=100000,1000000] [--faces] [--rollup]
+ */
+async function benchmark() {
+  const args = process.argv.slice(2);
+  const sizes = args.find(arg => arg.startsWith('--rows='))
+    ?.split('=')[1]
+    .split(',')
+    .map(size => parseInt(size))
+    .filter(size => size > 0) || DEFAULT_SIZES;
+  const flags = args.filter(arg => arg === '--faces' || arg === '--rollup');
+
+  if (args.includes('--child')) {
+    const result = runBenchmark(sizes[0], {
+      blockFaces: flags.includes('--faces'),
+      rollUpFaces: flags.includes('--faces') && flags.includes('--rollup')
+    });
+    console.log(JSON.stringify(result));
+    return;
+  }
+
+  console.log('Sales processing benchmark\n');
+
+  for (const size of sizes) {
+    const child = spawnSync(process.execPath, [__filename, '--child', `--rows=${size}`, ...flags], {
+      encoding: 'utf8',
+      env: { ...process.env, LOG_LEVEL: 'error' },
+      maxBuffer: 10 * 1024 * 1024
+    });
+
+    if (child.status !== 0) {
+      console.error(`  ${size.toLocaleString()} rows: failed\n${child.stderr}`);
+      process.exitCode = 1;
+      continue;
+    }
+
+    const result = JSON.parse(child.stdout.trim().split('\n').pop());
+
+    console.log(`${result.rows.toLocaleString()} sales rows`);
+    console.log(`  Unique parcels: ${result.parcels.toLocaleString()}`);
+    console.log(`  Blocks: ${result.blocks.toLocaleString()}`);
+    console.log(`  Assignment and indexing: ${result.indexMs.toLocaleString()}ms`);
+    console.log(`  Per-block parcel rows and analytics: ${result.blocksMs.toLocaleString()}ms`);
+    console.log(`  Total: ${result.totalMs.toLocaleString()}ms (${result.rowsPerSecond.toLocaleString()} rows/second)`);
+    console.log(`  Peak heap used: ${result.peakHeapMb}MB, peak RSS: ${result.peakRssMb}MB\n`);
+  }
+}
+
+/**
+ * Small deterministic random number generator so every run sees the same data
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate one chunk of synthetic rows in the sales CSV layout
+ * Parcels repeat across rows the way resales do in the real data
+ */
+function generateChunk(random, start, count, parcelPool) {
+  const rows = [];
+
+  for (let i = start; i < start + count; i++) {
+    const parcelNumber = Math.floor(random() * parcelPool);
+    const street = parcelNumber % (STREET_NAMES.length * STREET_TYPES.length * 25);
+    const streetName = `${STREET_NAMES[street % STREET_NAMES.length]} ${street}`;
+    const streetType = STREET_TYPES[street % STREET_TYPES.length];
+    const houseNumber = 100 + ((Math.floor(parcelNumber / 800) * 5) % 20000);
+    const year = 2015 + Math.floor(random() * 10);
+
+    rows.push({
+      'Parcel Number': `${String(parcelNumber).padStart(8, '0')}.`,
+      'Street Address': `${houseNumber} ${streetName} ${streetType}`,
+      'Street Number': `${houseNumber}`,
+      'Street Name': `${streetName} ${streetType}`,
+      'Sale Date': `${year}/${1 + Math.floor(random() * 12)}/15`,
+      'Sale Price': `${Math.floor(random() * 300000)}`,
+      'Property Class Code': '401',
+      'y': `${42.3 + (street % 100) * 0.002 + random() * 0.0002}`,
+      'x': `${-83.2 + houseNumber * 0.00001 + random() * 0.0002}`
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Run the assignment pipeline over a number of synthetic rows
+ */
+function runBenchmark(rowCount, options = {}) {
+  const { blockFaces = false, rollUpFaces = false } = options;
+  const random = createRandom(42);
+  const parcelPool = Math.max(1, Math.floor(rowCount * 0.6));
+  const index = new SalesBlockIndex({ rollUpFaces });
+
+  let peakHeap = 0;
+  let peakRss = 0;
+  const sampleMemory = () => {
+    const usage = process.memoryUsage();
+    peakHeap = Math.max(peakHeap, usage.heapUsed);
+    peakRss = Math.max(peakRss, usage.rss);
+  };
+
+  const start = Date.now();
+
+  for (let offset = 0; offset < rowCount; offset += CHUNK_SIZE) {
+    const chunk = generateChunk(random, offset, Math.min(CHUNK_SIZE, rowCount - offset), parcelPool);
+    const parcels = chunk
+      .map(salesRowToParcel)
+      .filter(parcel => parcel && parcel.lat && parcel.lng);
+
+    const chunkAssignments = assignBlockIds(parcels, { blockFaces });
+    const chunkBlockStats = rollUpFaces
+      ? { ...chunkAssignments.blockStats, ...rollUpBlockFaces(chunkAssignments).blockStats }
+      : chunkAssignments.blockStats;
+
+    index.addChunk(chunkAssignments, chunkBlockStats);
+    sampleMemory();
+  }
+
+  const indexed = Date.now();
+  let parcelRows = 0;
+
+  for (const blockId of index.blockStats.keys()) {
+    const blockParcels = index.getParcels(blockId);
+    parcelRows += blockParcels.map(p => ({
+      parcel_id: p.parcel_id,
+      address: p.address,
+      geometry: { type: 'Point', coordinates: [p.lng, p.lat] }
+    })).length;
+
+    summarizeBlockSales(index.getSales(blockId));
+  }
+  sampleMemory();
+
+  const end = Date.now();
+  const toMb = bytes => Math.round(bytes / 1024 / 1024);
+
+  return {
+    rows: rowCount,
+    parcels: index.parcelCount,
+    blocks: index.blockCount,
+    parcelRows,
+    indexMs: indexed - start,
+    blocksMs: end - indexed,
+    totalMs: end - start,
+    rowsPerSecond: Math.round(rowCount / (Math.max(1, end - start) / 1000)),
+    peakHeapMb: toMb(peakHeap),
+    peakRssMb: toMb(peakRss)
+  };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  benchmark().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
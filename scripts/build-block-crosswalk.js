@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+import { processCSVInChunks } from '../lib/csv-loader.js';
+import { assignBlockIds } from '../lib/block-detector-v2.js';
+import { buildBlockCrosswalk } from '../lib/block-crosswalk.js';
+import db from '../lib/supabase-client.js';
+import { createLogger } from '../lib/logger.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('build-crosswalk');
+
+const SALES_CSV_PATH = path.join(__dirname, '../data/Property_Sales_Detroit_-4801866508954663892.csv');
+const PAGE_SIZE = 1000;
+
+/**
+ * Build the crosswalk between numeric blocks (from sales addresses) and the
+ * segment blocks stored by process-block-analytics, and save it to block_crosswalk.
+ *
+ * Usage:
+ *   node scripts/build-block-crosswalk.js [csvPath] [--max-distance=60] [--dry-run]
+ */
+async function buildCrosswalk() {
+  const args = process.argv.slice(2);
+  const csvPath = args.find(arg => !arg.startsWith('--')) || SALES_CSV_PATH;
+  const maxDistance = parseFloat(args.find(arg => arg.startsWith('--max-distance='))?.split('=')[1]) || 60;
+  const dryRun = args.includes('--dry-run');
+
+  logger.info('Building block crosswalk...', { csvPath, maxDistance, dryRun });
+
+  // One entry per parcel; only the fields the crosswalk needs are kept
+  const parcels = new Map();
+
+  await processCSVInChunks(csvPath, async (chunk) => {
+    const rows = chunk
+      .filter(row => row['Street Address'] && row['Parcel Number'])
+      .map(row => ({
+        parcel_id: row['Parcel Number'].replace(/\.$/, ''),
+        address: row['Street Address'],
+        lat: parseFloat(row['y']) || null,
+        lng: parseFloat(row['x']) || null
+      }))
+      .filter(parcel => parcel.lat && parcel.lng && !parcels.has(parcel.parcel_id));
+
+    for (const parcel of assignBlockIds(rows).parcels) {
+      if (!parcel.block_id) continue;
+
+      parcels.set(parcel.parcel_id, {
+        block_id: parcel.block_id,
+        lat: parcel.lat,
+        lng: parcel.lng,
+        parsed: { streetName: parcel.parsed.streetName }
+      });
+    }
+  }, 10000);
+
+  logger.info(`Loaded ${parcels.size} parcels with numeric blocks`);
+
+  // Segment blocks come from the blocks table, measured against their stored bounds
+  const segments = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await db.blocks.getBlocksWithBounds(offset, PAGE_SIZE);
+
+    segments.push(...page.map(block => ({
+      blockId: block.block_id,
+      streetName: block.street_name,
+      geometry: block.block_bounds
+    })));
+
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  logger.info(`Loaded ${segments.length} segment blocks`);
+
+  const { crosswalk, unmatched } = buildBlockCrosswalk([...parcels.values()], segments, { maxDistance });
+
+  const splitBlocks = new Set(
+    crosswalk.filter(row => row.share < 1).map(row => row.numeric_block_id)
+  );
+
+  console.log('\nCrosswalk Summary:');
+  console.log(`  Crosswalk rows: ${crosswalk.length}`);
+  console.log(`  Numeric blocks mapped: ${new Set(crosswalk.map(row => row.numeric_block_id)).size}`);
+  console.log(`  Numeric blocks spanning several segments: ${splitBlocks.size}`);
+  console.log(`  Numeric blocks without a segment: ${unmatched.length}`);
+
+  if (dryRun) {
+    logger.info('Dry run, crosswalk not saved');
+    return;
+  }
+
+  await db.crosswalk.upsertCrosswalk(crosswalk.map(row => ({
+    ...row,
+    share: Math.round(row.share * 10000) / 10000
+  })));
+
+  logger.info('Block crosswalk saved');
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  buildCrosswalk().catch(error => {
+    logger.error('Failed to build block crosswalk:', error);
+    process.exit(1);
+  });
+}
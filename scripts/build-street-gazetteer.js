@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+import {
+  DEFAULT_GAZETTEER_PATH,
+  fetchStreetGazetteer,
+  loadStreetGazetteer,
+  serializeStreetGazetteer
+} from '../lib/street-gazetteer.js';
+import { DetroitAPIClient } from '../lib/detroit-api-client.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Build the street gazetteer used to correct misspelled street names in
+ * the sales data (process-sales-data --gazetteer), from the Detroit streets
+ * API or from a local GeoJSON file of street centerlines.
+ *
+ * Usage:
+ *   node scripts/build-street-gazetteer.js [--streets-file=path] [--name-field=street_name] [--out=path]
+ */
+async function buildGazetteer() {
+  const args = process.argv.slice(2);
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const streetsFile = option('streets-file');
+  const output = option('out') || process.env.STREET_GAZETTEER_FILE || DEFAULT_GAZETTEER_PATH;
+  const options = { nameField: option('name-field') || 'street_name' };
+
+  let gazetteer;
+  if (streetsFile) {
+    gazetteer = loadStreetGazetteer(streetsFile, options);
+  } else {
+    gazetteer = await fetchStreetGazetteer(new DetroitAPIClient(), options);
+  }
+
+  const entries = [...gazetteer.streets.values()];
+  const withRanges = entries.filter(entry => entry.ranges.length > 0).length;
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(serializeStreetGazetteer(gazetteer), null, 2) + '\n');
+
+  console.log('Street Gazetteer\n');
+  console.log(`  Streets: ${entries.length.toLocaleString()}`);
+  console.log(`  Streets with address ranges: ${withRanges.toLocaleString()}`);
+  console.log(`\nGazetteer written to ${output}`);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  buildGazetteer().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
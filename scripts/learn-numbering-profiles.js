@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+import { processCSVInChunks } from '../lib/csv-loader.js';
+import { parseAddress, detectBlockBoundaries } from '../lib/block-detector-v2.js';
+import {
+  DEFAULT_PROFILES_PATH,
+  createNumberingProfiles,
+  serializeNumberingProfiles,
+  resolveBlockRange,
+  breakpointsFromBoundaries
+} from '../lib/numbering-profiles.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SALES_CSV_PATH = path.join(__dirname, '../data/Property_Sales_Detroit_-4801866508954663892.csv');
+
+/**
+ * Learn block breakpoints for streets whose house numbering does not follow
+ * the default grid, from the gaps detectBlockBoundaries finds in the sales data.
+ *
+ * A street gets a learned profile when enough neighbouring addresses would be
+ * grouped differently by its natural boundaries than by the default grid.
+ * Profiles written by hand (without "source": "learned") are never replaced.
+ *
+ * Usage:
+ *   node scripts/learn-numbering-profiles.js [csvPath] [--gap=50] [--min-addresses=30]
+ *     [--min-disagreement=0.1] [--profiles=path] [--write]
+ */
+async function learnNumberingProfiles() {
+  const args = process.argv.slice(2);
+  const csvPath = args.find(arg => !arg.startsWith('--')) || SALES_CSV_PATH;
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const gapThreshold = parseInt(option('gap')) || 50;
+  const minAddresses = parseInt(option('min-addresses')) || 30;
+  const minDisagreement = parseFloat(option('min-disagreement')) || 0.1;
+  const profilesPath = option('profiles') || process.env.NUMBERING_PROFILES_FILE || DEFAULT_PROFILES_PATH;
+
+  const existing = fs.existsSync(profilesPath)
+    ? createNumberingProfiles(JSON.parse(fs.readFileSync(profilesPath, 'utf8')))
+    : createNumberingProfiles();
+  const blockSize = existing.defaultBlockSize;
+
+  // Distinct house numbers per street
+  const streetNumbers = new Map();
+
+  await processCSVInChunks(csvPath, async (chunk) => {
+    for (const row of chunk) {
+      const parsed = parseAddress(row['Street Address'] ? String(row['Street Address']) : null);
+      if (!parsed || !parsed.houseNumber) continue;
+
+      if (!streetNumbers.has(parsed.streetName)) {
+        streetNumbers.set(parsed.streetName, new Set());
+      }
+      streetNumbers.get(parsed.streetName).add(parsed.houseNumber);
+    }
+  }, 10000);
+
+  const learned = [];
+
+  for (const [streetName, numbers] of streetNumbers) {
+    if (numbers.size < minAddresses) continue;
+
+    // Manual profiles win over anything learned
+    const current = existing.streets.get(streetName);
+    if (current && current.source !== 'learned') continue;
+
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const boundaries = detectBlockBoundaries(
+      sorted.map(houseNumber => ({ parsed: { houseNumber } })),
+      gapThreshold
+    );
+    if (boundaries.length < 2) continue;
+
+    const profile = { breakpoints: breakpointsFromBoundaries(boundaries, blockSize), source: 'learned' };
+    const profiles = { defaultBlockSize: blockSize, streets: new Map([[streetName, profile]]) };
+
+    // Share of neighbouring addresses the two schemes disagree on keeping together
+    let disagreements = 0;
+    for (let i = 1; i < sorted.length; i++) {
+      const sameOnGrid = resolveBlockRange(sorted[i - 1], streetName, null, blockSize).from ===
+        resolveBlockRange(sorted[i], streetName, null, blockSize).from;
+      const sameLearned = resolveBlockRange(sorted[i - 1], streetName, profiles).from ===
+        resolveBlockRange(sorted[i], streetName, profiles).from;
+      if (sameOnGrid !== sameLearned) disagreements++;
+    }
+
+    const disagreement = disagreements / (sorted.length - 1);
+    if (disagreement >= minDisagreement) {
+      learned.push({ streetName, profile, addresses: sorted.length, disagreement });
+    }
+  }
+
+  learned.sort((a, b) => b.disagreement - a.disagreement);
+
+  console.log('Numbering Profile Learning\n');
+  console.log(`  Streets seen: ${streetNumbers.size.toLocaleString()}`);
+  console.log(`  Streets with learned profiles: ${learned.length}`);
+
+  for (const { streetName, profile, addresses, disagreement } of learned.slice(0, 20)) {
+    console.log(`  ${streetName}: ${profile.breakpoints.length} blocks from ${addresses} addresses, ${Math.round(disagreement * 100)}% regrouped`);
+  }
+
+  if (!args.includes('--write')) {
+    console.log('\nRun with --write to save the learned profiles.');
+    return;
+  }
+
+  // Previously learned profiles are replaced wholesale
+  for (const [streetName, profile] of [...existing.streets]) {
+    if (profile.source === 'learned') existing.streets.delete(streetName);
+  }
+  for (const { streetName, profile } of learned) {
+    existing.streets.set(streetName, profile);
+  }
+
+  fs.writeFileSync(profilesPath, JSON.stringify(serializeNumberingProfiles(existing), null, 2) + '\n');
+  console.log(`\nProfiles written to ${profilesPath}`);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  learnNumberingProfiles().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -1,17 +1,54 @@
 #!/usr/bin/env node
 
 import { DetroitAPIClient } from '../lib/detroit-api-client.js';
-import { detectBlocks } from '../lib/block-detector.js';
-import db from '../lib/supabase-client.js';
+import { createResponseCache } from '../lib/response-cache.js';
+import { createBlockIndex, findBlocksContainingPoint, assignParcelsToBlocks } from '../lib/block-detector.js';
+import {
+  FACE_SIDES,
+  sideOfLine,
+  expandedBBox,
+  createBlockFaces,
+  createFaceIndex,
+  assignParcelsToFaces
+} from '../lib/block-faces.js';
+import { SpatialIndex } from '../lib/spatial-index.js';
+import { deriveBlockAdjacency } from '../lib/block-adjacency.js';
+import { loadStreetFeatures, fetchStreetFeatures, buildStreetTopology, getCrossStreets } from '../lib/street-topology.js';
 import { createLogger, ProgressLogger } from '../lib/logger.js';
 import * as turf from '@turf/turf';
 
 const logger = createLogger('process-analytics');
 
+/**
+ * Read the run options from the command line
+ */
+function parseArgs(argv) {
+  const value = name => argv.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+  return {
+    full: argv.includes('--full'),
+    // --faces stores the left and right face of every block as blocks of their own
+    faces: argv.includes('--faces'),
+    // --frontage assigns parcels to the block they front instead of the face their centroid is in
+    frontage: argv.includes('--frontage'),
+    // --streets-file=path reads the street layer from a GeoJSON file instead of the API
+    streetsFile: value('streets-file'),
+    // --api-cache=record|replay|passthrough and --api-cache-dir=path override API_CACHE_MODE and
+    // API_CACHE_DIR; replaying a recorded run needs no access to the Detroit APIs
+    apiCacheMode: value('api-cache'),
+    apiCacheDir: value('api-cache-dir'),
+    // --as-of=YYYY-MM-DD is the day dataset look-back windows count back from (default today);
+    // replaying a recorded run needs the day it was recorded
+    asOf: value('as-of')
+  };
+}
+
 /**
  * Calculate analytics for a block
+ * @param {Array} blockParcels - Parcel features assigned to the block
+ * @param {Array} blockRecords - [{ dataset, records }]: dataset records assigned to the block
  */
-function calculateBlockAnalytics(blockParcels) {
+function calculateBlockAnalytics(blockParcels, blockRecords = []) {
   const analytics = {
     total_parcels: blockParcels.length,
     residential_parcels: 0,
@@ -149,6 +186,11 @@ function calculateBlockAnalytics(blockParcels) {
     analytics.tax_delinquent_percentage = (analytics.tax_delinquent_count / analytics.total_parcels) * 100;
   }
 
+  // Blight tickets, permits and the other point datasets
+  for (const { dataset, records } of blockRecords) {
+    analytics[dataset.countColumn] = records.length;
+  }
+
   return analytics;
 }
 
@@ -163,67 +205,292 @@ function median(values) {
 }
 
 /**
- * Process a single street
+ * Bounds of a whole block: its two faces merged, or its buffer when the
+ * faces can't be merged into a single polygon
+ */
+function wholeBlockBounds(faces, blockPolygon) {
+  try {
+    const merged = faces.length === 2 ? turf.union(faces[0].polygon, faces[1].polygon) : null;
+    if (merged?.geometry.type === 'Polygon') return merged.geometry;
+  } catch (error) {
+    logger.debug('Could not merge block faces', { error: error.message });
+  }
+
+  return blockPolygon.geometry;
+}
+
+/**
+ * Save a block with the parcels assigned to it and its analytics
+ * @param {Object} db - Database operations (lib/supabase-client.js)
+ * @param {Object} blockRecord - Row for the blocks table
+ * @param {Array} blockParcels - Parcel features with block_side and assignment
+ * @param {Array} blockRecords - [{ dataset, records }] assigned to the block
+ */
+async function saveBlock(db, blockRecord, blockParcels = [], blockRecords = []) {
+  const savedBlock = await db.blocks.upsertBlock(blockRecord);
+
+  // Parcels stored under the block before that now belong to another one
+  await db.parcels.deleteParcelsNotIn(savedBlock.id, blockParcels.map(parcel => parcel.properties.parcel_id));
+
+  // The records counted in the block, for incremental runs to compare against
+  await db.datasetRecords.replaceBlockRecords(savedBlock.id, datasetRecordRows(savedBlock.id, blockRecords));
+
+  // A block with no parcels still gets analytics when dataset records fall in
+  // it, and zeroed analytics when it had analytics before
+  const hasRecords = blockRecords.some(({ records }) => records.length > 0);
+  if (blockParcels.length === 0 && !hasRecords && !(await db.analytics.getLatestAnalytics(savedBlock.id))) {
+    return savedBlock;
+  }
+
+  if (blockParcels.length > 0) {
+    await db.parcels.insertParcels(blockParcels.map(parcel => ({
+      block_id: savedBlock.id,
+      parcel_id: parcel.properties.parcel_id,
+      address: parcel.properties.address,
+      property_data: parcel.properties,
+      geometry: parcel.geometry,
+      block_side: parcel.block_side,
+      frontage_length: parcel.frontage_length ?? null,
+      assignment_confidence: parcel.assignment.confidence,
+      assignment_reasons: parcel.assignment.reasons
+    })));
+  }
+
+  // Calculate and save analytics
+  await db.analytics.upsertAnalytics({
+    block_id: savedBlock.id,
+    ...calculateBlockAnalytics(blockParcels, blockRecords)
+  });
+
+  return savedBlock;
+}
+
+/**
+ * Assign parcels to the faces of a block by frontage
+ * Parcels fronting other blocks are left for those blocks.
+ * @param {Object} frontage - { blocks, blockIndex }: the street's blocks and every block around them
+ * @returns {Map} faceId -> parcels, like assignParcelsToFaces
+ */
+function assignFrontageToFaces(block, parcels, frontage) {
+  const faceParcels = new Map(FACE_SIDES.map(side => [`${block.blockId}_${side}`, []]));
+  if (block.geometry.type !== 'LineString') return faceParcels;
+
+  const assigned = assignParcelsToBlocks(parcels, frontage.blocks, {
+    mode: 'frontage',
+    blockIndex: frontage.blockIndex
+  }).get(block.blockId) || [];
+
+  for (const parcel of assigned) {
+    const side = sideOfLine(turf.centroid(parcel), block.geometry);
+    faceParcels.get(`${block.blockId}_${side}`).push({ ...parcel, block_side: side });
+  }
+
+  return faceParcels;
+}
+
+/**
+ * Blocks of a street with the areas parcels are fetched from and their faces
+ * Buffers from the block index set the area parcels are fetched from; the
+ * left/right faces decide which block each parcel belongs to.
+ * @returns {Object} { blocks, blockPolygons: blockId -> buffer, faceIndex }
+ */
+function streetBlocks(entry, topology) {
+  // Blocks and cross streets come from the street network
+  const blocks = entry.segments;
+  const crossStreets = getCrossStreets(topology, entry.key);
+  const blockIndex = createBlockIndex(blocks);
+
+  return {
+    blocks,
+    blockPolygons: new Map(blockIndex.items.map(block => [block.blockId, block.polygon])),
+    faceIndex: createFaceIndex(createBlockFaces(blocks, { neighbours: crossStreets }), crossStreets)
+  };
+}
+
+/**
+ * Dataset records around a block, assigned to faces the way parcels are: by
+ * the face their point is in
+ * @returns {Function} faceIds -> [{ dataset, records }] of those faces
+ */
+function blockDatasetRecords(blockPolygon, faceIndex, datasetIndexes) {
+  const faceRecords = datasetIndexes.map(({ dataset, index }) => ({
+    dataset,
+    faces: assignParcelsToFaces(index.search(turf.bbox(blockPolygon)), faceIndex)
+  }));
+
+  return faceIds => faceRecords.map(({ dataset, faces }) => ({
+    dataset,
+    records: faceIds.flatMap(faceId => faces.get(faceId) || [])
+  }));
+}
+
+/**
+ * Key of a dataset record among the stored ones
+ */
+function datasetRecordKey(datasetName, recordId) {
+  return `${datasetName}|${recordId}`;
+}
+
+/**
+ * Rows for block_dataset_records, one per record with an ID
+ * @param {Array} blockRecords - [{ dataset, records }] assigned to the block
+ */
+function datasetRecordRows(blockId, blockRecords) {
+  const rows = new Map();
+
+  for (const { dataset, records } of blockRecords) {
+    for (const record of records) {
+      const { record_id: recordId, record_date: recordDate } = record.properties;
+      if (recordId === null) continue;
+
+      rows.set(datasetRecordKey(dataset.name, recordId), {
+        block_id: blockId,
+        dataset: dataset.name,
+        record_id: String(recordId),
+        record_date: recordDate
+      });
+    }
+  }
+
+  return [...rows.values()];
+}
+
+/**
+ * Blocks whose dataset records differ from the ones stored with them
+ * Incremental runs only fetch parcels edited since the last run, but every
+ * dataset is fetched whole. Comparing its records with the stored ones finds
+ * the new ones (including records entered late), the ones that moved and the
+ * ones that are gone or fell out of the look-back window; only the streets
+ * of the blocks around those records get their faces rebuilt to check which
+ * blocks' records actually changed.
+ * @param {boolean} useBlockFaces - Records are stored per face (see --faces)
+ * @returns {Set} Block IDs (whole blocks) to recompute
  */
-async function processStreet(street, detroitAPI, run) {
-  const streetName = street.properties.street_name;
+async function blocksWithChangedDatasetRecords(db, topology, datasetIndexes, useBlockFaces) {
+  const storedBlocks = await db.datasetRecords.getRecordBlocks();
+  const blockIndex = createBlockIndex(topology.segments);
+  const currentKeys = new Set();
+  const candidates = new Set();
+
+  for (const { dataset, index } of datasetIndexes) {
+    for (const record of index.items) {
+      const key = datasetRecordKey(dataset.name, record.properties.record_id);
+      const stored = (storedBlocks.get(key) || []).map(row => row.wholeBlockId);
+      const around = findBlocksContainingPoint(blockIndex, record).map(block => block.blockId);
+      currentKeys.add(key);
+
+      // New records, and records no longer near a block they were counted in
+      if (stored.length === 0 || stored.some(blockId => !around.includes(blockId))) {
+        for (const blockId of [...stored, ...around]) candidates.add(blockId);
+      }
+    }
+  }
+
+  const storedKeysByRow = new Map();
+  for (const [key, rows] of storedBlocks) {
+    for (const { blockId, wholeBlockId } of rows) {
+      // Records that are gone
+      if (!currentKeys.has(key)) candidates.add(wholeBlockId);
+
+      if (!storedKeysByRow.has(blockId)) storedKeysByRow.set(blockId, new Set());
+      storedKeysByRow.get(blockId).add(key);
+    }
+  }
+
+  const changed = new Set();
+
+  for (const entry of topology.streets.values()) {
+    if (!entry.segments.some(segment => candidates.has(segment.blockId))) continue;
+    const { blocks, blockPolygons, faceIndex } = streetBlocks(entry, topology);
+
+    for (const block of blocks) {
+      if (!candidates.has(block.blockId)) continue;
+
+      const recordsOf = blockDatasetRecords(blockPolygons.get(block.blockId), faceIndex, datasetIndexes);
+      const faceIds = faceIndex.faces.items.filter(face => face.segment === block).map(face => face.faceId);
+      const rows = useBlockFaces
+        ? faceIds.map(faceId => [faceId, recordsOf([faceId])])
+        : [[block.blockId, recordsOf(faceIds)]];
+
+      const differs = rows.some(([rowBlockId, blockRecords]) => {
+        const keys = new Set(blockRecords.flatMap(({ dataset, records }) =>
+          records.map(record => datasetRecordKey(dataset.name, record.properties.record_id))));
+        const storedKeys = storedKeysByRow.get(rowBlockId) || new Set();
+        return keys.size !== storedKeys.size || [...keys].some(key => !storedKeys.has(key));
+      });
+      if (differs) changed.add(block.blockId);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Process a single street of the street network
+ * @param {Object} entry - Street entry from buildStreetTopology
+ * @param {Object} context - db, detroitAPI, run, topology: the street network,
+ *   faces: save block faces as blocks, segmentIndex: every block segment (for frontage
+ *   assignment, else null), changedBlocks: block IDs to recompute (null recomputes every
+ *   block), datasetIndexes: [{ dataset, index }] from loadDatasetIndexes
+ */
+async function processStreet(entry, context) {
+  const { db, detroitAPI, run, topology, faces: useBlockFaces, segmentIndex, changedBlocks, datasetIndexes } = context;
+  const streetName = entry.street.properties.street_name;
   logger.info(`Processing street: ${streetName}`);
 
   try {
-    // Fetch cross streets
-    const crossStreets = await detroitAPI.fetchIntersectingStreets(
-      street.geometry,
-      street.properties.street_id
-    );
-
-    // Detect blocks
-    const { blocks } = await detectBlocks([street], crossStreets);
+    const { blocks, blockPolygons, faceIndex } = streetBlocks(entry, topology);
     logger.info(`Detected ${blocks.length} blocks on ${streetName}`);
 
+    // Parcels can front any block near the street, on this street or another
+    let frontage = null;
+    if (segmentIndex) {
+      const nearbyBlocks = segmentIndex.search(expandedBBox(entry.street, 100));
+      frontage = { blocks: nearbyBlocks, blockIndex: createBlockIndex(nearbyBlocks) };
+    }
+
     // Process each block
     for (const block of blocks) {
+      if (changedBlocks && !changedBlocks.has(block.blockId)) continue;
+
       try {
-        // Create block polygon
-        const blockPolygon = turf.buffer(
-          turf.feature(block.geometry),
-          50,
-          { units: 'meters' }
-        );
-
-        // Save block to database
-        const savedBlock = await db.blocks.upsertBlock({
-          block_id: block.blockId,
-          street_name: block.streetName,
-          from_cross_street: block.fromCrossStreet,
-          to_cross_street: block.toCrossStreet,
-          block_bounds: blockPolygon.geometry,
-          center_point: block.center
-        });
+        const blockPolygon = blockPolygons.get(block.blockId);
+        const faces = faceIndex.faces.items.filter(face => face.segment === block);
 
-        // Fetch parcels in block
+        // Fetch parcels around the block and keep the ones whose centroid
+        // falls in one of its faces; the rest belong to other blocks
         const parcels = await detroitAPI.fetchParcelsInArea(blockPolygon.geometry);
-        logger.debug(`Found ${parcels.length} parcels in block ${block.blockId}`);
-
-        if (parcels.length > 0) {
-          // Save parcels to database
-          const parcelData = parcels.map(parcel => ({
-            block_id: savedBlock.id,
-            parcel_id: parcel.properties.parcel_id,
-            address: parcel.properties.address,
-            property_data: parcel.properties,
-            geometry: parcel.geometry
-          }));
-
-          await db.parcels.insertParcels(parcelData);
-
-          // Calculate analytics
-          const analytics = calculateBlockAnalytics(parcels);
-          
-          // Save analytics
-          await db.analytics.upsertAnalytics({
-            block_id: savedBlock.id,
-            ...analytics
-          });
+        const faceParcels = frontage
+          ? assignFrontageToFaces(block, parcels, frontage)
+          : assignParcelsToFaces(parcels, faceIndex);
+        logger.debug(`Found ${parcels.length} parcels around block ${block.blockId}`);
+
+        const recordsOf = blockDatasetRecords(blockPolygon, faceIndex, datasetIndexes);
+
+        if (useBlockFaces) {
+          for (const face of faces) {
+            await saveBlock(db, {
+              block_id: face.faceId,
+              street_name: block.streetName,
+              from_cross_street: block.fromCrossStreet,
+              to_cross_street: block.toCrossStreet,
+              block_bounds: face.polygon.geometry,
+              center_point: block.center,
+              block_side: face.side,
+              whole_block_id: block.blockId,
+              street_class: block.streetClass
+            }, faceParcels.get(face.faceId), recordsOf([face.faceId]));
+          }
+        } else {
+          await saveBlock(db, {
+            block_id: block.blockId,
+            street_name: block.streetName,
+            from_cross_street: block.fromCrossStreet,
+            to_cross_street: block.toCrossStreet,
+            block_bounds: wholeBlockBounds(faces, blockPolygon),
+            center_point: block.center,
+            street_class: block.streetClass
+          }, faces.flatMap(face => faceParcels.get(face.faceId)), recordsOf(faces.map(face => face.faceId)));
         }
 
         // Update run progress
@@ -250,16 +517,107 @@ async function processStreet(street, detroitAPI, run) {
 }
 
 /**
- * Main processing function
+ * Blocks whose parcel area (the buffer parcels are fetched from) touches any of the parcels
  */
-async function main() {
-  const isFullRun = process.argv.includes('--full');
-  const runType = isFullRun ? 'full' : 'incremental';
+function blocksAroundParcels(parcels, topology) {
+  const blockIndex = createBlockIndex(topology.segments);
+  const blockIds = new Set();
+
+  for (const parcel of parcels) {
+    if (!parcel.geometry) continue;
+
+    for (const block of blockIndex.search(turf.bbox(parcel))) {
+      if (turf.booleanIntersects(parcel, block.polygon)) blockIds.add(block.blockId);
+    }
+  }
+
+  return blockIds;
+}
+
+/**
+ * Blocks to recompute for edited parcels: the blocks around where they are now
+ * and the blocks they were stored under, which they may have moved out of
+ */
+async function blocksOfChangedParcels(db, parcels, topology) {
+  const blockIds = blocksAroundParcels(parcels, topology);
+  const segmentIds = new Set(topology.segments.map(segment => segment.blockId));
+  const storedBlocks = await db.parcels.getBlocksOfParcels(parcels.map(parcel => parcel.properties.parcel_id));
+
+  for (const blockId of storedBlocks) {
+    if (segmentIds.has(blockId)) blockIds.add(blockId);
+  }
+
+  return blockIds;
+}
+
+/**
+ * Parcels edited since the last run's high-water mark
+ * @returns {Object|null} { since, features, highWaterMark }, or null when every block has to be
+ *   processed: no earlier run recorded a mark, or the parcel layer doesn't track edits
+ */
+async function loadParcelChanges(detroitAPI, db) {
+  const { editDateField } = await detroitAPI.getLayerInfo(detroitAPI.endpoints.parcels);
+  if (!editDateField) {
+    logger.warn('The parcel layer has no edit date field, processing every block');
+    return null;
+  }
+
+  const since = (await db.runs.getLatestHighWaterMark())?.parcels;
+  if (!since) {
+    logger.warn('No earlier run recorded a high-water mark, processing every block');
+    return null;
+  }
+
+  const changes = await detroitAPI.fetchParcelsEditedSince(since);
+  return { since, ...changes };
+}
+
+/**
+ * Fetch every dataset that has an endpoint and index its records by location
+ * @param {string} asOf - Day the look-back windows count back from
+ * @returns {Array} [{ dataset, index }]
+ */
+async function loadDatasetIndexes(detroitAPI, asOf) {
+  const datasetIndexes = [];
+
+  for (const name of detroitAPI.availableDatasets()) {
+    const records = await detroitAPI.fetchDataset(name, { asOf });
+    datasetIndexes.push({
+      dataset: detroitAPI.getDataset(name),
+      index: new SpatialIndex(records, { getBBox: record => turf.bbox(record) })
+    });
+  }
+
+  return datasetIndexes;
+}
+
+/**
+ * Number of streets of each class in the street network
+ */
+function countStreetClasses(topology) {
+  const counts = {};
+  for (const entry of topology.streets.values()) {
+    counts[entry.streetClass] = (counts[entry.streetClass] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Run the block analytics pipeline
+ * @param {Object} options - db: database operations (lib/supabase-client.js), detroitAPI:
+ *   DetroitAPIClient, full: process every block instead of only the changed ones, faces,
+ *   frontage, streetsFile, asOf: see parseArgs
+ * @returns {Object} The completed analytics_runs row
+ */
+export async function runBlockAnalytics(options = {}) {
+  const { db, detroitAPI = new DetroitAPIClient(), full = false, faces = false, frontage = false, streetsFile = null } = options;
+  const runType = full ? 'full' : 'incremental';
+  const asOf = options.asOf || new Date().toISOString().split('T')[0];
   
   logger.info(`Starting ${runType} analytics run`);
 
   // Test API connections
-  const detroitAPI = new DetroitAPIClient();
+  logger.info(`API responses: ${detroitAPI.cache.mode}`, { cacheDir: detroitAPI.cache.dir });
   const connectionTest = await detroitAPI.testConnections();
   logger.info('API connection test results:', connectionTest);
 
@@ -268,33 +626,93 @@ async function main() {
   logger.info(`Created run ${run.id}`);
 
   try {
-    // Get total street count for progress tracking
-    const streetCount = await detroitAPI.getStreetCount();
-    const progress = new ProgressLogger(streetCount, 'streets');
+    // Incremental runs recompute only the blocks around parcels edited since
+    // the last run and the blocks whose dataset records changed; the mark for
+    // the next run is taken before processing, so edits made meanwhile are
+    // picked up next time
+    const parcelChanges = full ? null : await loadParcelChanges(detroitAPI, db);
+    const { editDateField } = await detroitAPI.getLayerInfo(detroitAPI.endpoints.parcels);
+    const parcelHighWaterMark = parcelChanges
+      ? parcelChanges.highWaterMark
+      : editDateField ? await detroitAPI.getLatestEditDate(detroitAPI.endpoints.parcels) : null;
+
+    // Load the whole street layer once and find every block in one pass
+    const streets = streetsFile
+      ? loadStreetFeatures(streetsFile)
+      : await fetchStreetFeatures(detroitAPI);
+    logger.info(`Loaded ${streets.length} streets from ${streetsFile || 'the streets API'}`);
+
+    const topology = buildStreetTopology(streets);
+    const segmentIndex = frontage
+      ? new SpatialIndex(topology.segments, { getBBox: segment => turf.bbox(segment.geometry) })
+      : null;
+    const datasetIndexes = await loadDatasetIndexes(detroitAPI, asOf);
+    const changedBlocks = parcelChanges ? await blocksOfChangedParcels(db, parcelChanges.features, topology) : null;
+    const datasetBlocks = changedBlocks && datasetIndexes.length > 0
+      ? await blocksWithChangedDatasetRecords(db, topology, datasetIndexes, faces)
+      : new Set();
+    for (const blockId of datasetBlocks) changedBlocks.add(blockId);
+    if (changedBlocks) {
+      logger.info(`${parcelChanges.features.length} parcels changed since ${parcelChanges.since} and ` +
+        `${datasetBlocks.size} blocks have changed dataset records, recomputing ${changedBlocks.size} blocks`);
+    }
+
+    const streetsToProcess = [...topology.streets.values()].filter(entry =>
+      !changedBlocks || entry.segments.some(segment => changedBlocks.has(segment.blockId))
+    );
+    const progress = new ProgressLogger(streetsToProcess.length, 'streets');
+    const context = { db, detroitAPI, run, topology, faces, segmentIndex, changedBlocks, datasetIndexes };
 
     let processedCount = 0;
 
-    // Process streets in batches
-    for await (const streetBatch of detroitAPI.fetchAllStreets()) {
-      for (const street of streetBatch) {
-        await processStreet(street, detroitAPI, run);
-        processedCount++;
-        progress.update(processedCount, street.properties.street_name);
-      }
+    for (const entry of streetsToProcess) {
+      await processStreet(entry, context);
+      processedCount++;
+      progress.update(processedCount, entry.street.properties.street_name);
 
       // Update run progress
-      await db.runs.updateRun(run.id, {
-        parcels_processed: processedCount
-      });
+      if (processedCount % 100 === 0) {
+        await db.runs.updateRun(run.id, {
+          parcels_processed: processedCount
+        });
+      }
     }
 
     progress.complete('All streets processed');
 
+    // Which blocks touch, for comparing a block with the ones around it
+    const adjacency = deriveBlockAdjacency(topology);
+    await db.adjacency.upsertAdjacency(adjacency);
+
     // Complete the run
-    await db.runs.completeRun(run.id, {
+    const completed = await db.runs.completeRun(run.id, {
       parcels_processed: processedCount,
       blocks_processed: run.blocks_processed,
-      errors_count: run.errors_count || 0
+      errors_count: run.errors_count || 0,
+      metadata: {
+        streetsFile: streetsFile || null,
+        streets: topology.streets.size,
+        streetClasses: countStreetClasses(topology),
+        blockSegments: topology.segments.length,
+        repeatedBlockIds: topology.collisions.length,
+        disambiguatedBlocks: topology.collisions.reduce((sum, c) => sum + c.count, 0),
+        blockIdCollisions: topology.collisions.slice(0, 100),
+        adjacencyRows: adjacency.length,
+        assignmentMode: frontage ? 'frontage' : 'centroid',
+        asOf,
+        datasets: Object.fromEntries(datasetIndexes.map(({ dataset, index }) => [dataset.name, index.items.length])),
+        incremental: parcelChanges
+          ? {
+            since: parcelChanges.since,
+            changedParcels: parcelChanges.features.length,
+            datasetBlocks: datasetBlocks.size,
+            changedBlocks: changedBlocks.size
+          }
+          : null,
+        ...(parcelHighWaterMark ? { highWaterMark: { parcels: parcelHighWaterMark } } : {}),
+        apiCache: { mode: detroitAPI.cache.mode, ...detroitAPI.cache.stats },
+        apiRetries: detroitAPI.fetchWithRetry.stats
+      }
     });
 
     logger.info('Analytics run completed successfully', {
@@ -303,6 +721,8 @@ async function main() {
       blocksProcessed: run.blocks_processed
     });
 
+    return completed;
+
   } catch (error) {
     logger.error('Analytics run failed', {
       error: error.message,
@@ -312,17 +732,38 @@ async function main() {
     // Mark run as failed
     await db.runs.failRun(run.id, {
       error: error.message,
-      stack: error.stack
+      status: error.status,
+      stack: error.stack,
+      apiRetries: detroitAPI.fetchWithRetry.stats
     });
 
-    process.exit(1);
+    throw error;
   }
 }
 
+/**
+ * Main processing function
+ */
+async function main() {
+  const options = parseArgs(process.argv);
+
+  // Imported here: the Supabase client needs its credentials as soon as it loads
+  const { default: db } = await import('../lib/supabase-client.js');
+
+  const detroitAPI = new DetroitAPIClient({
+    cache: createResponseCache({
+      ...(options.apiCacheMode ? { mode: options.apiCacheMode } : {}),
+      ...(options.apiCacheDir ? { dir: options.apiCacheDir } : {})
+    })
+  });
+
+  await runBlockAnalytics({ ...options, db, detroitAPI });
+}
+
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(error => {
     logger.error('Unhandled error', error);
     process.exit(1);
   });
-}
\ No newline at end of file
+}
@@ -1,7 +1,15 @@
 #!/usr/bin/env node
 
 import { processCSVInChunks, getCSVStats } from '../lib/csv-loader.js';
-import { assignBlockIds, validateBlockAssignments } from '../lib/block-detector-v2.js';
+import {
+  assignBlockIds,
+  validateBlockAssignments,
+  rollUpBlockFaces,
+  parseBlockId
+} from '../lib/block-detector-v2.js';
+import { SalesBlockIndex, salesRowToParcel, summarizeBlockSales } from '../lib/sales-block-index.js';
+import { DEFAULT_PROFILES_PATH, loadNumberingProfiles } from '../lib/numbering-profiles.js';
+import { loadStreetGazetteer } from '../lib/street-gazetteer.js';
 import db from '../lib/supabase-client.js';
 import { createLogger, ProgressLogger } from '../lib/logger.js';
 import path from 'path';
@@ -16,11 +24,45 @@ const logger = createLogger('process-sales');
 const SALES_CSV_PATH = path.join(__dirname, '../data/Property_Sales_Detroit_-4801866508954663892.csv');
 const CHUNK_SIZE = 5000;
 
+// --faces splits every block into odd/even faces,
+// --rollup additionally stores the whole blocks the faces belong to
+const USE_BLOCK_FACES = process.argv.includes('--faces');
+const ROLL_UP_FACES = USE_BLOCK_FACES && process.argv.includes('--rollup');
+
+// --range-policy=primary|midpoint|split decides where ranged addresses go
+const RANGE_POLICY = process.argv
+  .find(arg => arg.startsWith('--range-policy='))
+  ?.split('=')[1] || 'primary';
+
+// --profiles=path picks the numbering profiles that size each street's blocks
+const NUMBERING_PROFILES_PATH = process.argv
+  .find(arg => arg.startsWith('--profiles='))
+  ?.split('=')[1] || process.env.NUMBERING_PROFILES_FILE || DEFAULT_PROFILES_PATH;
+
+// --gazetteer=path snaps misspelled street names to the streets in a gazetteer
+// built by build-street-gazetteer.js
+const GAZETTEER_PATH = process.argv
+  .find(arg => arg.startsWith('--gazetteer='))
+  ?.split('=')[1] || null;
+
+const ASSIGN_OPTIONS = {
+  blockFaces: USE_BLOCK_FACES,
+  rangePolicy: RANGE_POLICY,
+  numberingProfiles: loadNumberingProfiles(NUMBERING_PROFILES_PATH),
+  gazetteer: GAZETTEER_PATH ? loadStreetGazetteer(GAZETTEER_PATH) : null
+};
+
 /**
  * Process sales data and assign blocks
  */
 async function processSalesData() {
-  logger.info('Starting sales data processing...');
+  logger.info('Starting sales data processing...', {
+    blockFaces: USE_BLOCK_FACES,
+    rollUpFaces: ROLL_UP_FACES,
+    rangePolicy: RANGE_POLICY,
+    numberingProfiles: NUMBERING_PROFILES_PATH,
+    gazetteer: GAZETTEER_PATH
+  });
   
   try {
     // Get file stats
@@ -29,10 +71,12 @@ async function processSalesData() {
     
     const progress = new ProgressLogger(stats.estimatedTotalLines, 'sales-processing');
     
-    // Track unique parcels and blocks
-    const uniqueParcels = new Map();
-    const blockStats = new Map();
-    const salesByBlock = new Map();
+    // Assignments are indexed by block as the chunks come in and reused below
+    const index = new SalesBlockIndex({ rollUpFaces: ROLL_UP_FACES });
+    
+    // Street name corrections made against the gazetteer, summed over chunks
+    const streetCorrections = new Map();
+    let unknownStreets = 0;
     
     // Start analytics run
     const run = await db.runs.startRun('sales_import');
@@ -41,72 +85,31 @@ async function processSalesData() {
     await processCSVInChunks(
       SALES_CSV_PATH,
       async (chunk, offset) => {
-        // Process this chunk
-        const parcelsInChunk = [];
-        
-        for (const row of chunk) {
-          // Skip invalid rows
-          if (!row['Street Address'] || !row['Parcel Number']) continue;
-          
-          const parcel = {
-            parcel_id: row['Parcel Number'].replace(/\.$/, ''), // Remove trailing period
-            address: row['Street Address'],
-            street_number: row['Street Number'],
-            street_name: row['Street Name'],
-            sale_date: row['Sale Date'],
-            sale_price: parseFloat(row['Sale Price']) || 0,
-            property_class: row['Property Class Code'],
-            lat: parseFloat(row['y']) || null,
-            lng: parseFloat(row['x']) || null,
-            original_data: row
-          };
-          
-          // Only process if we have coordinates
-          if (parcel.lat && parcel.lng) {
-            parcelsInChunk.push(parcel);
-            
-            // Track unique parcels
-            if (!uniqueParcels.has(parcel.parcel_id)) {
-              uniqueParcels.set(parcel.parcel_id, parcel);
-            }
-          }
-        }
+        // Only process rows with coordinates
+        const parcelsInChunk = chunk
+          .map(salesRowToParcel)
+          .filter(parcel => parcel && parcel.lat && parcel.lng);
         
         // Assign block IDs to this chunk
-        const { parcels: assignedParcels, blockStats: chunkBlockStats } = assignBlockIds(parcelsInChunk);
+        const chunkAssignments = assignBlockIds(parcelsInChunk, ASSIGN_OPTIONS);
         
-        // Update global block stats
-        for (const [blockId, stats] of Object.entries(chunkBlockStats)) {
-          if (!blockStats.has(blockId)) {
-            blockStats.set(blockId, {
-              count: 0,
-              minNumber: Infinity,
-              maxNumber: -Infinity,
-              streetName: stats.streetName,
-              sales: []
-            });
-          }
-          
-          const blockStat = blockStats.get(blockId);
-          blockStat.count += stats.count;
-          blockStat.minNumber = Math.min(blockStat.minNumber, stats.minNumber);
-          blockStat.maxNumber = Math.max(blockStat.maxNumber, stats.maxNumber);
-        }
+        // Faces are kept, and their whole blocks are tracked alongside them when rolling up
+        const chunkBlockStats = ROLL_UP_FACES
+          ? { ...chunkAssignments.blockStats, ...rollUpBlockFaces(chunkAssignments).blockStats }
+          : chunkAssignments.blockStats;
         
-        // Track sales by block
-        for (const parcel of assignedParcels) {
-          if (parcel.block_id) {
-            if (!salesByBlock.has(parcel.block_id)) {
-              salesByBlock.set(parcel.block_id, []);
-            }
-            salesByBlock.get(parcel.block_id).push({
-              parcel_id: parcel.parcel_id,
-              sale_date: parcel.sale_date,
-              sale_price: parcel.sale_price,
-              address: parcel.address
-            });
+        // Parcels keep the assignment from the chunk they were first seen in,
+        // where their siblings are available for the coordinate outlier check
+        index.addChunk(chunkAssignments, chunkBlockStats);
+        
+        for (const correction of chunkAssignments.corrections) {
+          const key = `${correction.from}|${correction.to}`;
+          if (!streetCorrections.has(key)) {
+            streetCorrections.set(key, { ...correction, count: 0 });
           }
+          streetCorrections.get(key).count += correction.count;
         }
+        unknownStreets += chunkAssignments.summary.unknownStreets;
         
         // Update progress
         progress.update(offset + chunk.length);
@@ -121,35 +124,32 @@ async function processSalesData() {
     
     progress.complete('CSV processing complete');
     
+    const corrections = [...streetCorrections.values()].sort((a, b) => b.count - a.count);
+    
     // Now save unique blocks to database
-    logger.info(`Found ${blockStats.size} unique blocks`);
-    logger.info(`Found ${uniqueParcels.size} unique parcels with sales`);
+    logger.info(`Found ${index.blockCount} unique blocks`);
+    logger.info(`Found ${index.parcelCount} unique parcels with sales`);
     
-    const blockProgress = new ProgressLogger(blockStats.size, 'block-creation');
+    const blockProgress = new ProgressLogger(index.blockCount, 'block-creation');
     let blockCount = 0;
     
-    for (const [blockId, stats] of blockStats) {
+    for (const blockId of index.blockStats.keys()) {
       try {
         // Extract block components from ID
-        const parts = blockId.split('_');
-        const streetName = parts.slice(0, -2).join(' ');
-        const fromNumber = parseInt(parts[parts.length - 2]);
-        const toNumber = parseInt(parts[parts.length - 1]);
+        const { streetName, fromNumber, toNumber, side, wholeBlockId } = parseBlockId(blockId);
         
         // Create block record
         const block = await db.blocks.upsertBlock({
           block_id: blockId,
-          street_name: streetName,
+          street_name: streetName.replace(/_/g, ' '),
           from_cross_street: `${fromNumber}`,
-          to_cross_street: `${toNumber}`
+          to_cross_street: `${toNumber}`,
+          block_side: side,
+          whole_block_id: side ? wholeBlockId : null
         });
         
-        // Get parcels for this block
-        const blockParcels = Array.from(uniqueParcels.values())
-          .filter(p => {
-            const assigned = assignBlockIds([p]);
-            return assigned.parcels[0]?.block_id === blockId;
-          });
+        // Parcels for this block (whole blocks collect both of their faces)
+        const blockParcels = index.getParcels(blockId);
         
         // Save parcels to database
         if (blockParcels.length > 0) {
@@ -161,42 +161,27 @@ async function processSalesData() {
               street_number: p.street_number,
               street_name: p.street_name,
               property_class: p.property_class,
-              coordinates: { lat: p.lat, lng: p.lng }
+              coordinates: { lat: p.lat, lng: p.lng },
+              range_policy: RANGE_POLICY,
+              block_weight: p.block_weight
             },
             geometry: p.lat && p.lng ? {
               type: 'Point',
               coordinates: [p.lng, p.lat]
-            } : null
+            } : null,
+            assignment_confidence: p.assignment?.confidence ?? null,
+            assignment_reasons: p.assignment?.reasons ?? null
           }));
           
           await db.parcels.insertParcels(parcelData);
         }
         
         // Calculate block analytics based on sales
-        const blockSales = salesByBlock.get(blockId) || [];
-        const recentSales = blockSales.filter(s => {
-          const saleDate = new Date(s.sale_date);
-          const twoYearsAgo = new Date();
-          twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
-          return saleDate > twoYearsAgo;
-        });
-        
-        const validSales = blockSales.filter(s => s.sale_price > 0);
-        const salesPrices = validSales.map(s => s.sale_price);
-        
-        const analytics = {
+        await db.analytics.upsertAnalytics({
           block_id: block.id,
           total_parcels: blockParcels.length,
-          recent_sales_count: recentSales.length,
-          recent_sales_avg_price: recentSales.length > 0 
-            ? recentSales.reduce((sum, s) => sum + s.sale_price, 0) / recentSales.length 
-            : null,
-          last_sale_date: blockSales.length > 0
-            ? blockSales.sort((a, b) => new Date(b.sale_date) - new Date(a.sale_date))[0].sale_date
-            : null
-        };
-        
-        await db.analytics.upsertAnalytics(analytics);
+          ...summarizeBlockSales(index.getSales(blockId))
+        });
         
         blockCount++;
         blockProgress.update(blockCount);
@@ -210,12 +195,22 @@ async function processSalesData() {
     
     // Complete the run
     await db.runs.completeRun(run.id, {
-      parcels_processed: uniqueParcels.size,
+      parcels_processed: index.parcelCount,
       blocks_processed: blockCount,
       metadata: {
         totalSalesRecords: stats.estimatedTotalLines,
-        uniqueParcels: uniqueParcels.size,
-        uniqueBlocks: blockStats.size
+        uniqueParcels: index.parcelCount,
+        uniqueBlocks: index.blockCount,
+        blockFaces: USE_BLOCK_FACES,
+        rolledUpFaces: ROLL_UP_FACES,
+        rangePolicy: RANGE_POLICY,
+        numberingProfiles: path.relative(path.join(__dirname, '..'), NUMBERING_PROFILES_PATH),
+        profiledStreets: ASSIGN_OPTIONS.numberingProfiles.streets.size,
+        gazetteer: GAZETTEER_PATH ? path.relative(path.join(__dirname, '..'), GAZETTEER_PATH) : null,
+        correctedStreetNames: corrections.length,
+        correctedSales: corrections.reduce((sum, c) => sum + c.count, 0),
+        unknownStreetSales: unknownStreets,
+        streetCorrections: corrections.slice(0, 100)
       }
     });
     
@@ -224,11 +219,18 @@ async function processSalesData() {
     // Log summary statistics
     logger.info('\n=== Summary Statistics ===');
     logger.info(`Total sales records: ${stats.estimatedTotalLines}`);
-    logger.info(`Unique parcels: ${uniqueParcels.size}`);
-    logger.info(`Unique blocks: ${blockStats.size}`);
+    logger.info(`Unique parcels: ${index.parcelCount}`);
+    logger.info(`Unique blocks: ${index.blockCount}`);
+    
+    if (ASSIGN_OPTIONS.gazetteer) {
+      logger.info(`\nStreet names corrected: ${corrections.length} (${unknownStreets} sales on unknown streets)`);
+      corrections.slice(0, 10).forEach(c => {
+        logger.info(`  ${c.from} -> ${c.to} (${c.method}): ${c.count} sales`);
+      });
+    }
     
     // Top 10 blocks by sales activity
-    const topBlocks = Array.from(salesByBlock.entries())
+    const topBlocks = Array.from(index.salesByBlock.entries())
       .map(([blockId, sales]) => ({ blockId, salesCount: sales.length }))
       .sort((a, b) => b.salesCount - a.salesCount)
       .slice(0, 10);
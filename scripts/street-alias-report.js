@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+import { processCSVInChunks } from '../lib/csv-loader.js';
+import { parseAddress } from '../lib/block-detector-v2.js';
+import { findNearDuplicateStreets, loadStreetAliases } from '../lib/street-aliases.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SALES_CSV_PATH = path.join(__dirname, '../data/Property_Sales_Detroit_-4801866508954663892.csv');
+
+/**
+ * Report street names in the sales data that look like unmapped
+ * spellings of the same street, so the alias table can be grown.
+ *
+ * Usage:
+ *   node scripts/street-alias-report.js [csvPath] [--aliases=path] [--max-distance=2] [--json]
+ */
+async function streetAliasReport() {
+  const args = process.argv.slice(2);
+  const csvPath = args.find(arg => !arg.startsWith('--')) || SALES_CSV_PATH;
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const maxDistance = parseInt(option('max-distance')) || 2;
+  const asJson = args.includes('--json');
+
+  if (option('aliases')) {
+    loadStreetAliases(option('aliases'));
+  }
+
+  // Count canonicalized street names (directionals dropped so E/W halves share a name)
+  const nameCounts = new Map();
+  const aliasHits = new Map();
+  let addressCount = 0;
+
+  await processCSVInChunks(csvPath, async (chunk) => {
+    for (const row of chunk) {
+      const parsed = parseAddress(row['Street Address']);
+      if (!parsed) continue;
+
+      addressCount++;
+      nameCounts.set(parsed.baseName, (nameCounts.get(parsed.baseName) || 0) + 1);
+
+      if (parsed.aliasedFrom) {
+        const key = `${parsed.aliasedFrom} -> ${parsed.baseName}`;
+        aliasHits.set(key, (aliasHits.get(key) || 0) + 1);
+      }
+    }
+  }, 10000);
+
+  const nearDuplicates = findNearDuplicateStreets(nameCounts, { maxDistance });
+
+  if (asJson) {
+    console.log(JSON.stringify({
+      addresses: addressCount,
+      uniqueStreets: nameCounts.size,
+      aliasesApplied: Object.fromEntries(aliasHits),
+      nearDuplicates
+    }, null, 2));
+    return;
+  }
+
+  console.log('Street Alias Report\n');
+  console.log(`  Addresses parsed: ${addressCount.toLocaleString()}`);
+  console.log(`  Unique street names: ${nameCounts.size.toLocaleString()}`);
+
+  console.log('\nAliases applied:');
+  if (aliasHits.size === 0) {
+    console.log('  (none)');
+  }
+  for (const [mapping, count] of [...aliasHits].sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${mapping}: ${count}`);
+  }
+
+  console.log(`\nUnmapped near-duplicates (${nearDuplicates.length}):`);
+  if (nearDuplicates.length === 0) {
+    console.log('  (none)');
+  }
+  for (const pair of nearDuplicates) {
+    console.log(`  "${pair.alias}" (${pair.aliasCount}) ~ "${pair.canonical}" (${pair.canonicalCount}), distance ${pair.distance}`);
+  }
+
+  if (nearDuplicates.length > 0) {
+    console.log('\nAdd confirmed pairs to data/street-aliases.json as aliases of the canonical street.');
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  streetAliasReport().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+import { processCSVInChunks } from '../lib/csv-loader.js';
+import {
+  assignBlockIds,
+  validateBlockAssignments,
+  buildValidationReport
+} from '../lib/block-detector-v2.js';
+import { SalesBlockIndex, salesRowToParcel } from '../lib/sales-block-index.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SALES_CSV_PATH = path.join(__dirname, '../data/Property_Sales_Detroit_-4801866508954663892.csv');
+const DEFAULT_OUTPUT = path.join(__dirname, '../data/processed/block-validation.geojson');
+
+/**
+ * Validate the block assignments of the sales data and write an issue report.
+ * GeoJSON reports can be loaded into tools/block-visualizer.html.
+ *
+ * Usage:
+ *   node scripts/validate-blocks.js [csvPath] [--faces] [--format=geojson|json] [--out=path]
+ *     [--outlier-distance=250] [--max-span=400]
+ */
+async function validateBlocks() {
+  const args = process.argv.slice(2);
+  const csvPath = args.find(arg => !arg.startsWith('--')) || SALES_CSV_PATH;
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const format = option('format') || 'geojson';
+  const output = option('out') || (format === 'geojson' ? DEFAULT_OUTPUT : DEFAULT_OUTPUT.replace(/\.geojson$/, '.json'));
+  const blockFaces = args.includes('--faces');
+
+  const validationOptions = {};
+  if (option('outlier-distance')) validationOptions.outlierDistance = parseFloat(option('outlier-distance'));
+  if (option('max-span')) validationOptions.maxBlockSpan = parseFloat(option('max-span'));
+
+  // Index the whole file first so every block is validated with all of its parcels
+  const index = new SalesBlockIndex();
+
+  await processCSVInChunks(csvPath, async (chunk) => {
+    const parcels = chunk
+      .map(salesRowToParcel)
+      .filter(parcel => parcel && parcel.lat && parcel.lng);
+
+    index.addChunk(assignBlockIds(parcels, { blockFaces }));
+  }, 10000);
+
+  const parcels = [];
+  for (const blockId of index.parcelsByBlock.keys()) {
+    for (const parcel of index.getParcels(blockId)) {
+      parcels.push({ ...parcel, block_id: blockId });
+    }
+  }
+
+  const validation = validateBlockAssignments({
+    parcels,
+    blockStats: Object.fromEntries(index.blockStats)
+  }, validationOptions);
+
+  const report = buildValidationReport(validation, format);
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(report, null, 2));
+
+  const { bySeverity, byType } = buildValidationReport(validation, 'json');
+
+  console.log('Block Validation\n');
+  console.log(`  Parcels: ${index.parcelCount.toLocaleString()}`);
+  console.log(`  Blocks: ${index.blockCount.toLocaleString()}`);
+  console.log(`  Valid: ${validation.valid ? 'yes' : 'no'}`);
+  console.log(`  Issues by severity: ${JSON.stringify(bySeverity)}`);
+  console.log(`  Issues by type: ${JSON.stringify(byType)}`);
+  console.log(`\nReport written to ${output}`);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  validateBlocks().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -4,8 +4,41 @@ import {
   generateBlockIdFromAddress,
   detectBlockBoundaries,
   assignBlockIds,
-  validateBlockAssignments
+  rollUpBlockFaces,
+  parseBlockId,
+  validateBlockAssignments,
+  buildValidationReport,
+  matchStreetName
 } from '../lib/block-detector-v2.js';
+import {
+  generateBlockId,
+  findIntersections,
+  sortIntersectionsAlongStreet,
+  createBlockSegments,
+  assessParcelAssignment,
+  assignParcelsToBlocks,
+  createBlockIndex,
+  detectBlocks,
+  encodeGeohash,
+  measureParcelFrontage
+} from '../lib/block-detector.js';
+import { SpatialIndex } from '../lib/spatial-index.js';
+import { createBlockFaces, createFaceIndex, findBlockFace, assignParcelsToFaces } from '../lib/block-faces.js';
+import { buildBlockCrosswalk, streetCoreKey } from '../lib/block-crosswalk.js';
+import { SalesBlockIndex, summarizeBlockSales } from '../lib/sales-block-index.js';
+import { createNumberingProfiles, setNumberingProfiles, getNumberingProfiles, breakpointsFromBoundaries } from '../lib/numbering-profiles.js';
+import { buildStreetGazetteer } from '../lib/street-gazetteer.js';
+import { buildStreetTopology, getCrossStreets } from '../lib/street-topology.js';
+import { deriveBlockAdjacency } from '../lib/block-adjacency.js';
+import { createStreetClassPolicy, classifyStreet } from '../lib/street-classes.js';
+import { normalizeQueryUrl, createResponseCache } from '../lib/response-cache.js';
+import { DetroitAPIClient } from '../lib/detroit-api-client.js';
+import { createFetchWithRetry, parseRetryAfter, backoffDelay } from '../lib/fetch-retry.js';
+import { where } from '../lib/arcgis-query.js';
+import { createDatasets, toDatasetRecord } from '../lib/datasets.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Test data for Detroit addresses
 const detroitTestCases = [
@@ -76,6 +109,66 @@ detroitTestCases.forEach(testCase => {
   }
 });
 
+// Test address components
+const componentTestCases = [
+  { input: "1234A Main St", expected: { houseNumber: 1234, numberSuffix: "A", streetName: "main", streetType: "ST" } },
+  { input: "1234 1/2 Elmwood", expected: { houseNumber: 1234, fraction: "1/2", streetName: "elmwood", streetType: null } },
+  { input: "1500 Woodward Ave Apt 4", expected: { houseNumber: 1500, streetName: "woodward", unitType: "APT", unitId: "4" } },
+  { input: "1500 Woodward Ave #4", expected: { houseNumber: 1500, streetName: "woodward", unitType: "#", unitId: "4" } },
+  { input: "1500 Woodward Ave Rear", expected: { streetName: "woodward", unitType: "REAR", unitId: null } },
+  { input: "1500 Woodward Ave Upper 2", expected: { streetName: "woodward", unitType: "UPPR", unitId: "2" } },
+  { input: "100 W Front St", expected: { preDirectional: "W", streetName: "w_front", streetType: "ST", unitType: null } },
+  { input: "100 Upper Lower Rd", expected: { streetName: "upper_lower", streetType: "RD", unitType: null } },
+  { input: "200 Building Ln Ste 5", expected: { streetName: "building", streetType: "LN", unitType: "STE", unitId: "5" } },
+  { input: "2000 W Grand Blvd", expected: { preDirectional: "W", streetName: "w_grand", streetType: "BLVD" } },
+  { input: "2000 Grand Blvd W", expected: { postDirectional: "W", streetName: "w_grand", streetType: "BLVD" } },
+  { input: "500 East Jefferson Ave", expected: { preDirectional: "E", streetName: "e_jefferson" } },
+  { input: "8000 Grand River Av", expected: { streetName: "grand_river", streetType: "AVE" } },
+  { input: "1000 St Aubin St", expected: { streetName: "st_aubin", streetType: "ST" } }
+];
+
+console.log('\nTesting parseAddress components...');
+componentTestCases.forEach(testCase => {
+  const result = parseAddress(testCase.input);
+  const actual = result && {
+    ...result,
+    unitType: result.unit?.type ?? null,
+    unitId: result.unit?.id ?? null
+  };
+  const mismatches = Object.entries(testCase.expected)
+    .filter(([field, value]) => !actual || actual[field] !== value);
+  const success = mismatches.length === 0;
+  console.log(`  ${success ? '✓' : '✗'} ${testCase.input} -> ${result ? `${result.streetName} (confidence ${result.confidence})` : 'null'}`);
+  mismatches.forEach(([field, value]) => {
+    console.log(`    ${field} expected: ${value}, Got: ${actual ? actual[field] : 'null'}`);
+  });
+});
+
+// Test street aliases
+const aliasTestCases = [
+  { input: "100 MLK", expected: "martin_luther_king_jr" },
+  { input: "100 M L King Blvd", expected: "martin_luther_king_jr" },
+  { input: "100 Martin Luther King Jr Blvd", expected: "martin_luther_king_jr" },
+  { input: "15000 Seven Mile Rd", expected: "7_mile" },
+  { input: "15000 7 Mile", expected: "7_mile" },
+  { input: "2000 Saint Aubin", expected: "st_aubin" },
+  { input: "2000 St Aubin St", expected: "st_aubin" }
+];
+
+console.log('\nTesting street aliases...');
+aliasTestCases.forEach(testCase => {
+  const result = parseAddress(testCase.input);
+  const success = result && result.streetName === testCase.expected;
+  console.log(`  ${success ? '✓' : '✗'} ${testCase.input} -> ${result ? result.streetName : 'null'}`);
+  if (!success) {
+    console.log(`    Expected: ${testCase.expected}, Got: ${result ? result.streetName : 'null'}`);
+  }
+});
+
+const v1AliasId = generateBlockId('MLK', 'Saint Aubin', 'Seven Mile');
+const v1AliasOk = v1AliasId === 'martin_luther_king_jr_st_aubin_7_mile';
+console.log(`  ${v1AliasOk ? '✓' : '✗'} generateBlockId(MLK, Saint Aubin, Seven Mile) -> ${v1AliasId}`);
+
 // Test generateBlockIdFromAddress
 console.log('\nTesting generateBlockIdFromAddress...');
 detroitTestCases.forEach(testCase => {
@@ -150,6 +243,876 @@ if (validation.issues.length > 0) {
   });
 }
 
+// Test spatial validation
+console.log('\nTesting spatial validation...');
+const spatialResult = assignBlockIds([
+  // Tight block with one stray parcel
+  { parcel_id: "V1", address: "1201 Woodward Ave", lat: 42.3500, lng: -83.0600 },
+  { parcel_id: "V2", address: "1211 Woodward Ave", lat: 42.3502, lng: -83.0600 },
+  { parcel_id: "V3", address: "1221 Woodward Ave", lat: 42.3504, lng: -83.0600 },
+  { parcel_id: "V4", address: "1231 Woodward Ave", lat: 42.3540, lng: -83.0600 },
+  // Same block ID on two streets far apart
+  { parcel_id: "V5", address: "500 Main St", lat: 42.3300, lng: -83.0400 },
+  { parcel_id: "V6", address: "510 Main St", lat: 42.3301, lng: -83.0400 },
+  { parcel_id: "V7", address: "520 Main St", lat: 42.4300, lng: -83.1400 },
+  { parcel_id: "V8", address: "530 Main St", lat: 42.4301, lng: -83.1400 }
+]);
+const spatialValidation = validateBlockAssignments(spatialResult);
+const spatialIssue = type => spatialValidation.issues.filter(i => i.type === type);
+const spatialOutlierOk = spatialIssue('spatial_outlier').length === 1 &&
+  spatialIssue('spatial_outlier')[0].parcelId === 'V4';
+const splitBlockOk = spatialIssue('split_block').length === 1 &&
+  spatialIssue('split_block')[0].blockId === 'main_500_599' &&
+  !spatialValidation.valid;
+console.log(`  ${spatialOutlierOk ? '✓' : '✗'} spatial outlier: ${spatialIssue('spatial_outlier').map(i => i.parcelId)}`);
+console.log(`  ${splitBlockOk ? '✓' : '✗'} split block: ${spatialIssue('split_block').map(i => i.blockId)} (valid: ${spatialValidation.valid})`);
+
+const spanValidation = validateBlockAssignments(spatialResult, { outlierDistance: 1000, maxBlockSpan: 300 });
+const spanOk = spanValidation.issues.some(i => i.type === 'block_span' && i.blockId === 'woodward_1200_1299');
+console.log(`  ${spanOk ? '✓' : '✗'} block span: ${spanValidation.issues.filter(i => i.type === 'block_span').map(i => `${i.blockId} ${i.span}m`)}`);
+
+const geojsonReport = buildValidationReport(spatialValidation, 'geojson');
+const jsonReport = buildValidationReport(spatialValidation, 'json');
+const reportOk = geojsonReport.type === 'FeatureCollection' &&
+  geojsonReport.features.length === spatialValidation.issues.length &&
+  geojsonReport.features.find(f => f.properties.type === 'split_block').geometry.type === 'MultiPoint' &&
+  jsonReport.byType.split_block === 1;
+console.log(`  ${reportOk ? '✓' : '✗'} issue report: ${geojsonReport.features.length} features, ${JSON.stringify(jsonReport.bySeverity)}`);
+
+// Test block faces
+console.log('\nTesting block faces...');
+const faceResult = assignBlockIds(sampleParcels, { blockFaces: true });
+const faceCases = [
+  { parcelId: "001", expected: "woodward_1200_1299_odd" },
+  { parcelId: "012", expected: "e_jefferson_500_599_even" }
+];
+faceCases.forEach(testCase => {
+  const parcel = faceResult.parcels.find(p => p.parcel_id === testCase.parcelId);
+  const success = parcel && parcel.block_id === testCase.expected;
+  console.log(`  ${success ? '✓' : '✗'} ${parcel?.address} -> ${parcel?.block_id}`);
+  if (!success) {
+    console.log(`    Expected: ${testCase.expected}, Got: ${parcel?.block_id}`);
+  }
+});
+
+const faceStats = faceResult.blockStats['woodward_1200_1299_odd'];
+const faceStatsOk = faceStats && faceStats.side === 'odd' && faceStats.wholeBlockId === 'woodward_1200_1299';
+console.log(`  ${faceStatsOk ? '✓' : '✗'} blockStats carry side and whole block ID`);
+
+const parsedFaceId = parseBlockId('e_jefferson_500_599_even');
+const parsedFaceIdOk = parsedFaceId && parsedFaceId.streetName === 'e_jefferson' && parsedFaceId.side === 'even';
+console.log(`  ${parsedFaceIdOk ? '✓' : '✗'} parseBlockId(e_jefferson_500_599_even) -> ${JSON.stringify(parsedFaceId)}`);
+
+const rolledUp = rollUpBlockFaces(faceResult);
+const rollUpOk = Object.keys(rolledUp.blockStats).sort().join(',') ===
+  Object.keys(assignmentResult.blockStats).sort().join(',');
+console.log(`  ${rollUpOk ? '✓' : '✗'} Rolled-up faces match whole blocks (${Object.keys(rolledUp.blockStats).join(', ')})`);
+
+const faceValidation = validateBlockAssignments(faceResult);
+const singleFaces = faceValidation.issues.filter(i => i.type === 'single_face');
+console.log(`  ${faceValidation.valid ? '✓' : '✗'} Face validation: ${singleFaces.length} single-sided blocks`);
+
+// Test address ranges
+console.log('\nTesting address ranges...');
+const rangeParse = parseAddress("1298-1302 Main St");
+const rangeParseOk = rangeParse && rangeParse.houseNumberFrom === 1298 && rangeParse.houseNumberTo === 1302;
+console.log(`  ${rangeParseOk ? '✓' : '✗'} 1298-1302 Main St -> ${rangeParse?.houseNumberFrom}-${rangeParse?.houseNumberTo}`);
+
+const shortRange = parseAddress("1234-36 Main St");
+const shortRangeOk = shortRange && shortRange.houseNumberTo === 1236;
+console.log(`  ${shortRangeOk ? '✓' : '✗'} 1234-36 Main St -> ${shortRange?.houseNumberFrom}-${shortRange?.houseNumberTo}`);
+
+const rangeParcels = [{ parcel_id: "R1", address: "1298-1302 Main St" }];
+const rangePolicyCases = [
+  { rangePolicy: 'primary', expected: 'main_1200_1299:1' },
+  { rangePolicy: 'midpoint', expected: 'main_1300_1399:1' },
+  { rangePolicy: 'split', expected: 'main_1200_1299:0.33,main_1300_1399:0.67' }
+];
+rangePolicyCases.forEach(testCase => {
+  const result = assignBlockIds(rangeParcels, { rangePolicy: testCase.rangePolicy });
+  const actual = result.parcels
+    .map(p => `${p.block_id}:${Math.round(p.block_weight * 100) / 100}`)
+    .join(',');
+  const policyRecorded = result.parcels.every(p => p.range_policy === testCase.rangePolicy);
+  const success = actual === testCase.expected && policyRecorded && result.summary.successfullyAssigned === 1;
+  console.log(`  ${success ? '✓' : '✗'} ${testCase.rangePolicy}: ${actual}`);
+  if (!success) {
+    console.log(`    Expected: ${testCase.expected}, Got: ${actual}`);
+  }
+});
+
+console.log('\nTesting assignment confidence...');
+const reasonCases = [
+  { input: "1234 Woodward Ave", reasons: [], confidence: 1 },
+  { input: "1234 Elmwood", reasons: ['no_street_type'], confidence: 0.85 },
+  { input: "1234-36 MLK Blvd Apt 2", reasons: ['range_address', 'alias_applied', 'unit_stripped'], confidence: 1 }
+];
+reasonCases.forEach(testCase => {
+  const parsed = parseAddress(testCase.input);
+  const success = parsed &&
+    parsed.reasons.join(',') === testCase.reasons.join(',') &&
+    parsed.confidence === testCase.confidence;
+  console.log(`  ${success ? '✓' : '✗'} ${testCase.input} -> [${parsed?.reasons}] ${parsed?.confidence}`);
+});
+
+const confidenceResult = assignBlockIds([
+  { parcel_id: "C1", address: "1201 Woodward Ave", lat: 42.3500, lng: -83.0600 },
+  { parcel_id: "C2", address: "1211 Woodward Ave", lat: 42.3502, lng: -83.0600 },
+  { parcel_id: "C3", address: "1221 Woodward Ave", lat: 42.3504, lng: -83.0600 },
+  { parcel_id: "C4", address: "1231 Woodward Ave", lat: 42.3600, lng: -83.0600 },
+  { parcel_id: "C5", address: "Woodward Ave" }
+]);
+const outlier = confidenceResult.parcels.find(p => p.parcel_id === 'C4');
+const unparsed = confidenceResult.parcels.find(p => p.parcel_id === 'C5');
+const confidenceOk = outlier.assignment.reasons.includes('coordinate_outlier') &&
+  outlier.assignment.confidence === 0.7 &&
+  confidenceResult.parcels.filter(p => p.assignment.reasons.includes('coordinate_outlier')).length === 1 &&
+  unparsed.assignment.confidence === 0 &&
+  confidenceResult.summary.coordinateOutliers === 1;
+console.log(`  ${confidenceOk ? '✓' : '✗'} coordinate outlier flagged: ${outlier.assignment.reasons} (${outlier.assignment.confidence})`);
+
+const spatialBlock = {
+  blockId: 'woodward_ave_warren_canfield',
+  geometry: { type: 'LineString', coordinates: [[-83.0600, 42.3500], [-83.0600, 42.3510]] }
+};
+const nearAssessment = assessParcelAssignment({ type: 'Point', coordinates: [-83.0601, 42.3505] }, spatialBlock, 1);
+const farAssessment = assessParcelAssignment({ type: 'Point', coordinates: [-83.0605, 42.3505] }, spatialBlock, 2);
+const spatialOk = nearAssessment.confidence === 1 &&
+  farAssessment.reasons.join(',') === 'multiple_buffers,far_from_segment';
+console.log(`  ${spatialOk ? '✓' : '✗'} spatial assignment: near ${nearAssessment.confidence}, far [${farAssessment.reasons}] ${farAssessment.confidence}`);
+
+// Buffers 40m apart overlap; the parcel is nearer the second street line
+const overlappingBlocks = [
+  { blockId: 'first_block', geometry: { type: 'LineString', coordinates: [[-83.062, 42.35], [-83.058, 42.35]] } },
+  { blockId: 'second_block', geometry: { type: 'LineString', coordinates: [[-83.062, 42.35036], [-83.058, 42.35036]] } }
+];
+const overlapParcel = {
+  type: 'Feature',
+  properties: { parcel_id: 'O1' },
+  geometry: { type: 'Polygon', coordinates: [[[-83.0601, 42.35026], [-83.0599, 42.35026], [-83.0599, 42.35028], [-83.0601, 42.35028], [-83.0601, 42.35026]]] }
+};
+const overlapAssignments = assignParcelsToBlocks([overlapParcel], overlappingBlocks);
+const overlapAssigned = overlapAssignments.get('first_block')[0];
+const overlapOk = overlapAssignments.get('second_block').length === 0 &&
+  overlapAssigned?.assignment.reasons.includes('multiple_buffers') && overlapAssigned.assignment.confidence < 1;
+console.log(`  ${overlapOk ? '✓' : '✗'} a parcel in several buffers goes to the first block, flagged multiple_buffers`);
+
+console.log('\nTesting street segments...');
+const lineStreet = (name, id, coordinates) => ({
+  type: 'Feature',
+  properties: { street_name: name, street_id: id },
+  geometry: { type: 'LineString', coordinates }
+});
+const streetSegments = (street, crossStreets) =>
+  createBlockSegments(street, sortIntersectionsAlongStreet(street, findIntersections(street, crossStreets)));
+
+const aStreet = lineStreet('A St', 2, [[-83.06, 42.352], [-83.03, 42.352]]);
+const bStreet = lineStreet('B St', 5, [[-83.06, 42.358], [-83.03, 42.358]]);
+
+const simpleSegments = streetSegments(lineStreet('Simple St', 6, [[-83.05, 42.35], [-83.05, 42.36]]), [aStreet, bStreet]);
+const simpleOk = simpleSegments.map(s => s.blockId).join(',') === 'simple_st_start_a_st,simple_st_a_st_b_st,simple_st_b_st_end' &&
+  simpleSegments[1].geometry.coordinates.join(';') === '-83.05,42.352;-83.05,42.358';
+console.log(`  ${simpleOk ? '✓' : '✗'} straight street: ${simpleSegments.map(s => s.blockId).join(', ')}`);
+
+// Loop crossing A St on the way up and again on the way down
+const loopStreet = lineStreet('Loop Dr', 1, [[-83.05, 42.35], [-83.05, 42.36], [-83.04, 42.36], [-83.04, 42.35]]);
+const cStreet = lineStreet('C St', 3, [[-83.045, 42.355], [-83.045, 42.365]]);
+const loopCrossings = findIntersections(loopStreet, [aStreet, cStreet]);
+const loopSegments = streetSegments(loopStreet, [aStreet, cStreet]);
+const loopOk = loopCrossings.filter(i => i.crossStreet === 'A St').length === 2 &&
+  loopSegments.map(s => s.blockId).join(',') === 'loop_dr_start_a_st,loop_dr_a_st_c_st,loop_dr_c_st_a_st,loop_dr_a_st_end';
+console.log(`  ${loopOk ? '✓' : '✗'} street crossing a road twice: ${loopSegments.map(s => s.blockId).join(', ')}`);
+
+const multiStreet = {
+  type: 'Feature',
+  properties: { street_name: 'Split Blvd', street_id: 4 },
+  geometry: {
+    type: 'MultiLineString',
+    coordinates: [[[-83.05, 42.35], [-83.05, 42.36]], [[-83.04, 42.35], [-83.04, 42.36]]]
+  }
+};
+const multiSegments = streetSegments(multiStreet, [aStreet, bStreet]);
+const multiOk = multiSegments.length === 6 &&
+  multiSegments.filter(s => s.part === 1 && s.blockId === 'split_blvd_a_st_b_st').length === 1 &&
+  multiSegments.every(s => s.geometry.type === 'LineString');
+console.log(`  ${multiOk ? '✓' : '✗'} MultiLineString street: ${multiSegments.map(s => `${s.blockId} (part ${s.part})`).join(', ')}`);
+
+const uncrossedSegments = streetSegments(multiStreet, []);
+const uncrossedOk = uncrossedSegments.length === 2 && uncrossedSegments.every(s => s.fromCrossStreet === 'start' && s.toCrossStreet === 'end');
+console.log(`  ${uncrossedOk ? '✓' : '✗'} MultiLineString street without crossings: one block per part`);
+
+console.log('\nTesting street classes...');
+const classPolicy = createStreetClassPolicy({
+  classFields: ['road_class'],
+  fieldValues: { arterial: ['MAJOR ARTERIAL'] },
+  namePatterns: { ramp: ['\\bRAMP\\b'], alley: ['\\bALLEY\\b'], freeway: ['^I[- ]?\\d+\\b'] },
+  classes: {
+    freeway: { generatesBlocks: false, endsBlocks: false },
+    ramp: { generatesBlocks: false, endsBlocks: false },
+    alley: { generatesBlocks: false, endsBlocks: false }
+  }
+});
+const classCases = [
+  [{ street_name: 'I-94' }, 'freeway'],
+  [{ street_name: 'I-94 Ramp' }, 'ramp'],
+  [{ street_name: 'Woodward Ave', road_class: 'Major Arterial' }, 'arterial'],
+  [{ street_name: 'Mitchell St' }, 'local']
+];
+const classesOk = classCases.every(([properties, expected]) => classifyStreet({ properties }, classPolicy) === expected);
+console.log(`  ${classesOk ? '✓' : '✗'} classify: ${classCases.map(([p]) => `${p.street_name} -> ${classifyStreet({ properties: p }, classPolicy)}`).join(', ')}`);
+const alleyStreet = lineStreet('Alley', 12, [[-83.06, 42.355], [-83.03, 42.355]]);
+const freewayStreet = lineStreet('I-94', 13, [[-83.052, 42.34], [-83.052, 42.37]]);
+const alleyCrossed = (() => {
+  const street = lineStreet('Simple St', 6, [[-83.05, 42.35], [-83.05, 42.36]]);
+  const crossings = findIntersections(street, [aStreet, alleyStreet, bStreet], { policy: classPolicy });
+  return createBlockSegments(street, sortIntersectionsAlongStreet(street, crossings), { policy: classPolicy });
+})();
+const alleyOk = alleyCrossed.map(s => s.blockId).join(',') === 'simple_st_start_a_st,simple_st_a_st_b_st,simple_st_b_st_end' &&
+  alleyCrossed.every(s => s.streetClass === 'local');
+console.log(`  ${alleyOk ? '✓' : '✗'} alleys do not split blocks: ${alleyCrossed.map(s => s.blockId).join(', ')}`);
+const freewaySegments = createBlockSegments(freewayStreet, [], { policy: classPolicy });
+const classNetwork = buildStreetTopology([lineStreet('Simple St', 6, [[-83.05, 42.35], [-83.05, 42.36]]), aStreet, freewayStreet], { policy: classPolicy });
+const freewayOk = freewaySegments.length === 0 &&
+  classNetwork.streets.get('13').segments.length === 0 &&
+  classNetwork.streets.get('2').segments.map(s => s.blockId).join(',') === 'a_st_start_simple_st,a_st_simple_st_end';
+console.log(`  ${freewayOk ? '✓' : '✗'} freeways get no blocks and end none: ${classNetwork.streets.get('2').segments.map(s => s.blockId).join(', ')}`);
+
+console.log('\nTesting street network...');
+const gridStreets = [
+  lineStreet('Simple St', 6, [[-83.05, 42.35], [-83.05, 42.36]]),
+  lineStreet('Other St', 9, [[-83.04, 42.35], [-83.04, 42.36]]),
+  aStreet,
+  bStreet
+];
+const network = buildStreetTopology(gridStreets);
+const crossingNodes = [...network.nodes.values()].filter(node => node.streets.size === 2);
+const networkIdsOk = network.streets.get('6').segments.map(s => s.blockId).join(',') ===
+  streetSegments(gridStreets[0], [aStreet, bStreet]).map(s => s.blockId).join(',') &&
+  network.streets.get('2').segments.map(s => s.blockId).join(',') === 'a_st_start_simple_st,a_st_simple_st_other_st,a_st_other_st_end';
+console.log(`  ${networkIdsOk ? '✓' : '✗'} block segments match per-street detection: ${network.segments.length} segments`);
+const networkGraphOk = network.nodes.size === 12 &&
+  network.edges.length === 12 &&
+  crossingNodes.length === 4 &&
+  crossingNodes.every(node => node.degree === 4);
+console.log(`  ${networkGraphOk ? '✓' : '✗'} graph: ${network.nodes.size} nodes (${crossingNodes.length} intersections), ${network.edges.length} edges`);
+const crossNames = getCrossStreets(network, 6).map(street => street.properties.street_name).sort().join(',');
+console.log(`  ${crossNames === 'A St,B St' ? '✓' : '✗'} cross streets of Simple St: ${crossNames}`);
+
+console.log('\nTesting block ID collisions...');
+const geohash = encodeGeohash([10.40744, 57.64911], 11);
+console.log(`  ${geohash === 'u4pruydqqvj' ? '✓' : '✗'} geohash of 57.64911, 10.40744: ${geohash}`);
+const splitDetection = await detectBlocks([multiStreet], [aStreet, bStreet]);
+const reversedDetection = await detectBlocks([{
+  ...multiStreet,
+  geometry: { type: 'MultiLineString', coordinates: [...multiStreet.geometry.coordinates].reverse() }
+}], [aStreet, bStreet]);
+const splitIds = splitDetection.blocks.map(block => block.blockId);
+const collisionOk = new Set(splitIds).size === 6 &&
+  splitDetection.collisions.length === 3 &&
+  splitDetection.collisions.every(c => c.count === 2) &&
+  splitDetection.blocks.every(block => block.blockId.startsWith(`${block.baseBlockId}_`));
+console.log(`  ${collisionOk ? '✓' : '✗'} repeated IDs made unique: ${splitIds.slice(0, 2).join(', ')}, ...`);
+const stableOk = [...splitIds].sort().join(',') === reversedDetection.blocks.map(block => block.blockId).sort().join(',');
+console.log(`  ${stableOk ? '✓' : '✗'} disambiguated IDs do not depend on input order`);
+const twinNetwork = buildStreetTopology([...gridStreets, lineStreet('Simple St', 10, [[-83.035, 42.35], [-83.035, 42.36]])]);
+const twinOk = twinNetwork.collisions.length === 3 &&
+  new Set(twinNetwork.edges.map(edge => edge.blockId)).size === twinNetwork.edges.length;
+console.log(`  ${twinOk ? '✓' : '✗'} two streets named Simple St: ${twinNetwork.collisions[1]?.resolvedIds.join(' / ')}`);
+
+console.log('\nTesting block adjacency...');
+const backNetwork = buildStreetTopology([
+  lineStreet('Main St', 7, [[-83.05, 42.35], [-83.05, 42.36]]),
+  lineStreet('Back St', 11, [[-83.049, 42.35], [-83.049, 42.36]]),
+  aStreet,
+  bStreet
+]);
+const adjacency = deriveBlockAdjacency(backNetwork);
+const neighboursOf = (blockId, relation) => adjacency
+  .filter(row => row.block_id === blockId && row.relation === relation)
+  .map(row => row.neighbor_block_id)
+  .sort()
+  .join(',');
+const alongOk = neighboursOf('main_st_a_st_b_st', 'same_street') === 'main_st_b_st_end,main_st_start_a_st';
+console.log(`  ${alongOk ? '✓' : '✗'} next blocks along Main St: ${neighboursOf('main_st_a_st_b_st', 'same_street')}`);
+const acrossOk = neighboursOf('main_st_a_st_b_st', 'intersection') === 'a_st_main_st_back_st,a_st_start_main_st,b_st_main_st_back_st,b_st_start_main_st';
+console.log(`  ${acrossOk ? '✓' : '✗'} blocks across the intersections: ${neighboursOf('main_st_a_st_b_st', 'intersection')}`);
+const rearRow = adjacency.find(row => row.block_id === 'main_st_a_st_b_st' && row.relation === 'rear');
+const rearBack = adjacency.find(row => row.block_id === 'back_st_a_st_b_st' && row.relation === 'rear');
+const rearOk = adjacency.filter(row => row.relation === 'rear').length === 6 &&
+  rearRow?.neighbor_block_id === 'back_st_a_st_b_st' && rearRow.side === 'right' &&
+  rearBack?.neighbor_block_id === 'main_st_a_st_b_st' && rearBack.side === 'left';
+console.log(`  ${rearOk ? '✓' : '✗'} rear neighbour of main_st_a_st_b_st: ${rearRow?.neighbor_block_id} on the ${rearRow?.side} (${rearRow?.shared_length_m} m)`);
+
+console.log('\nTesting left/right block faces...');
+const mainStreet = lineStreet('Main St', 7, [[-83.05, 42.35], [-83.05, 42.36]]);
+const parallelStreet = lineStreet('Parallel St', 8, [[-83.0508, 42.349], [-83.0508, 42.361]]);
+const streetFaces = (street, others) => {
+  const segments = streetSegments(street, others);
+  return createFaceIndex(createBlockFaces(segments, { neighbours: others }), others);
+};
+const mainFaces = streetFaces(mainStreet, [aStreet, bStreet, parallelStreet]);
+const parallelFaces = streetFaces(parallelStreet, [aStreet, bStreet, mainStreet]);
+
+const sideFaceCases = [
+  { point: [-83.0502, 42.355], expected: 'main_st_a_st_b_st_left' },
+  { point: [-83.0498, 42.355], expected: 'main_st_a_st_b_st_right' },
+  { point: [-83.0502, 42.3521], expected: null }, // nearer to A St
+  { point: [-83.0506, 42.355], expected: null }, // nearer to Parallel St
+  { point: [-83.0490, 42.355], expected: null } // beyond the face depth
+];
+sideFaceCases.forEach(testCase => {
+  const located = findBlockFace(mainFaces, { type: 'Point', coordinates: testCase.point });
+  const actual = located ? located.face.faceId : null;
+  console.log(`  ${actual === testCase.expected ? '✓' : '✗'} [${testCase.point}] -> ${actual}`);
+});
+
+// Between two parallel streets every point belongs to at most one face
+let doubleClaims = 0;
+let claimed = 0;
+for (let x = -83.0515; x <= -83.0493; x += 0.0001) {
+  for (let y = 42.3505; y <= 42.3595; y += 0.0005) {
+    const point = { type: 'Point', coordinates: [x, y] };
+    const claims = [findBlockFace(mainFaces, point), findBlockFace(parallelFaces, point)].filter(Boolean).length;
+    if (claims > 0) claimed++;
+    if (claims > 1) doubleClaims++;
+  }
+}
+console.log(`  ${doubleClaims === 0 && claimed > 0 ? '✓' : '✗'} faces of neighbouring streets don't overlap (${claimed} points claimed, ${doubleClaims} twice)`);
+
+const faceParcels = assignParcelsToFaces([
+  { type: 'Feature', properties: { parcel_id: 'F1' }, geometry: { type: 'Point', coordinates: [-83.0502, 42.355] } },
+  { type: 'Feature', properties: { parcel_id: 'F2' }, geometry: { type: 'Point', coordinates: [-83.0498, 42.3553] } }
+], mainFaces);
+const rightFace = faceParcels.get('main_st_a_st_b_st_right');
+const faceParcelsOk = faceParcels.get('main_st_a_st_b_st_left').length === 1 &&
+  rightFace.length === 1 && rightFace[0].block_side === 'right' && rightFace[0].assignment.confidence === 1;
+console.log(`  ${faceParcelsOk ? '✓' : '✗'} parcels assigned to faces with their side`);
+
+console.log('\nTesting frontage assignment...');
+const lotPolygon = (address, [minX, minY, maxX, maxY], id) => ({
+  type: 'Feature',
+  properties: { parcel_id: id, address },
+  geometry: { type: 'Polygon', coordinates: [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]] }
+});
+const frontageBlocks = [...streetSegments(mainStreet, [aStreet, bStreet]), ...streetSegments(aStreet, [mainStreet])];
+const cornerBox = [-83.04995, 42.35205, -83.0496, 42.35215];
+const deepBox = [-83.04994, 42.35225, -83.04922, 42.35234];
+const blockOf = (assignments, parcelId) =>
+  [...assignments].find(([, blockParcels]) => blockParcels.some(p => p.properties.parcel_id === parcelId))?.[0];
+const frontageParcels = [
+  lotPolygon('1 Main St', cornerBox, 'CORNER'),
+  lotPolygon(null, cornerBox, 'UNADDRESSED'),
+  lotPolygon('21 Main St', deepBox, 'DEEP')
+];
+const byCentroid = assignParcelsToBlocks(frontageParcels, frontageBlocks);
+const byFrontage = assignParcelsToBlocks(frontageParcels, frontageBlocks, { mode: 'frontage' });
+const cornerFrontage = measureParcelFrontage(frontageParcels[0], frontageBlocks);
+const cornerParcel = byFrontage.get('main_st_a_st_b_st').find(p => p.properties.parcel_id === 'CORNER');
+const frontageOk = blockOf(byFrontage, 'CORNER') === 'main_st_a_st_b_st' &&
+  blockOf(byFrontage, 'UNADDRESSED') === 'a_st_main_st_end' &&
+  blockOf(byFrontage, 'DEEP') === 'main_st_a_st_b_st' &&
+  blockOf(byCentroid, 'DEEP') === 'main_st_start_a_st' &&
+  cornerFrontage.size === 2 &&
+  Math.abs(cornerParcel.frontage_length - 11.1) < 0.5 &&
+  cornerParcel.assignment.reasons.includes('corner_lot');
+console.log(`  ${frontageOk ? '✓' : '✗'} corner lot -> ${blockOf(byFrontage, 'CORNER')} (${cornerParcel?.frontage_length} m), unaddressed -> ${blockOf(byFrontage, 'UNADDRESSED')}, deep lot -> ${blockOf(byFrontage, 'DEEP')} (centroid: ${blockOf(byCentroid, 'DEEP')})`);
+const landlocked = assignParcelsToBlocks([lotPolygon('5 Main St', [-83.0497, 42.3545, -83.0496, 42.3546], 'INNER')], frontageBlocks, { mode: 'frontage' });
+const innerParcel = landlocked.get('main_st_a_st_b_st')[0];
+const fallbackOk = innerParcel?.frontage_length === null && innerParcel.assignment.reasons.includes('no_frontage');
+console.log(`  ${fallbackOk ? '✓' : '✗'} lot fronting no street falls back to its centroid: ${innerParcel?.assignment.reasons}`);
+
+console.log('\nTesting spatial index...');
+// Deterministic pseudo-random numbers so every run sees the same fixture
+let fixtureSeed = 7;
+const fixtureRandom = () => {
+  fixtureSeed = (fixtureSeed * 16807) % 2147483647;
+  return fixtureSeed / 2147483647;
+};
+
+const boxes = Array.from({ length: 500 }, (_, i) => {
+  const x = fixtureRandom() * 100;
+  const y = fixtureRandom() * 100;
+  return { id: i, bbox: [x, y, x + fixtureRandom() * 5, y + fixtureRandom() * 5] };
+});
+const boxIndex = new SpatialIndex(boxes, { getBBox: box => box.bbox });
+const boxQueries = Array.from({ length: 50 }, () => {
+  const x = fixtureRandom() * 100;
+  const y = fixtureRandom() * 100;
+  return [x, y, x + 10, y + 10];
+});
+const boxSearchOk = boxQueries.every(query => {
+  const expected = boxes.filter(b => b.bbox[0] <= query[2] && b.bbox[2] >= query[0] && b.bbox[1] <= query[3] && b.bbox[3] >= query[1]);
+  return boxIndex.search(query).map(b => b.id).join(',') === expected.map(b => b.id).join(',');
+});
+console.log(`  ${boxSearchOk ? '✓' : '✗'} bbox search matches a linear scan (${boxIndex.size} boxes, height ${boxIndex.height})`);
+
+// 20 east-west streets of 10 blocks each, with parcels scattered over them
+const fixtureBlocks = [];
+for (let street = 0; street < 20; street++) {
+  for (let block = 0; block < 10; block++) {
+    const y = 42.35 + street * 0.002;
+    const x = -83.10 + block * 0.003;
+    fixtureBlocks.push({
+      blockId: `street_${street}_${block}`,
+      streetName: `Street ${street}`,
+      geometry: { type: 'LineString', coordinates: [[x, y], [x + 0.003, y]] }
+    });
+  }
+}
+const fixtureParcels = Array.from({ length: 1000 }, (_, i) => ({
+  type: 'Feature',
+  properties: { parcel_id: `S${i}` },
+  geometry: { type: 'Point', coordinates: [-83.10 + fixtureRandom() * 0.03, 42.349 + fixtureRandom() * 0.04] }
+}));
+
+const fixtureIndex = createBlockIndex(fixtureBlocks);
+const serializeAssignments = assignments => JSON.stringify([...assignments].map(([blockId, blockParcels]) =>
+  [blockId, blockParcels.map(p => [p.properties.parcel_id, p.assignment.confidence, p.assignment.reasons.join('|')])]
+));
+
+let indexStart = Date.now();
+const indexedAssignments = assignParcelsToBlocks(fixtureParcels, fixtureBlocks, { blockIndex: fixtureIndex });
+const indexedMs = Date.now() - indexStart;
+
+indexStart = Date.now();
+const bruteForceAssignments = assignParcelsToBlocks(fixtureParcels, fixtureBlocks, { blockIndex: fixtureIndex, useSpatialIndex: false });
+const bruteForceMs = Date.now() - indexStart;
+
+const assignedCount = [...indexedAssignments.values()].reduce((sum, blockParcels) => sum + blockParcels.length, 0);
+const identicalOk = assignedCount > 0 && serializeAssignments(indexedAssignments) === serializeAssignments(bruteForceAssignments);
+console.log(`  ${identicalOk ? '✓' : '✗'} indexed assignment matches brute force (${assignedCount} of ${fixtureParcels.length} parcels assigned)`);
+console.log(`  ${fixtureBlocks.length} blocks, ${fixtureParcels.length} parcels: indexed ${indexedMs}ms, brute force ${bruteForceMs}ms`);
+
+console.log('\nTesting numbering profiles...');
+const numberingProfiles = createNumberingProfiles({
+  defaultBlockSize: 100,
+  streets: {
+    '7_mile': { blockSize: 200 },
+    lakewood: { breakpoints: [0, 120, 240, 300] }
+  }
+});
+const profileCases = [
+  { address: "15050 7 Mile Rd", expected: '7_mile_15000_15199' },
+  { address: "130 Lakewood St", expected: 'lakewood_120_239' },
+  { address: "410 Lakewood St", expected: 'lakewood_400_499' },
+  { address: "1234 Woodward Ave", expected: 'woodward_1200_1299' }
+];
+profileCases.forEach(testCase => {
+  const result = assignBlockIds([{ parcel_id: "N1", address: testCase.address }], { numberingProfiles });
+  const actual = result.parcels[0].block_id;
+  console.log(`  ${actual === testCase.expected ? '✓' : '✗'} ${testCase.address} -> ${actual}`);
+  if (actual !== testCase.expected) {
+    console.log(`    Expected: ${testCase.expected}, Got: ${actual}`);
+  }
+});
+
+const profileSplit = assignBlockIds([{ parcel_id: "N2", address: "110-130 Lakewood St" }], { numberingProfiles, rangePolicy: 'split' });
+const profileSplitActual = profileSplit.parcels.map(p => p.block_id).join(',');
+const profileSplitOk = profileSplitActual === 'lakewood_0_119,lakewood_120_239';
+console.log(`  ${profileSplitOk ? '✓' : '✗'} split range follows breakpoints: ${profileSplitActual}`);
+
+const activeProfiles = getNumberingProfiles();
+setNumberingProfiles(numberingProfiles);
+const entryPointIds = profileCases.map(testCase => [
+  generateBlockIdFromAddress(parseAddress(testCase.address)),
+  assignBlockIds([{ parcel_id: "N3", address: testCase.address }]).parcels[0].block_id
+]);
+setNumberingProfiles(activeProfiles);
+const entryPointsOk = entryPointIds.every(([fromAddress, assigned], i) =>
+  fromAddress === assigned && assigned === profileCases[i].expected);
+console.log(`  ${entryPointsOk ? '✓' : '✗'} generateBlockIdFromAddress and assignBlockIds both default to the active profiles`);
+
+const shippedIds = ["15050 W Seven Mile Rd", "15050 Grand River Ave", "15050 Greenfield Rd"]
+  .map(address => generateBlockIdFromAddress(parseAddress(address)));
+const shippedOk = shippedIds.join(',') === 'w_7_mile_15000_15199,grand_river_15000_15199,greenfield_15000_15099';
+console.log(`  ${shippedOk ? '✓' : '✗'} shipped profiles size Mile road and arterial blocks: ${shippedIds.join(', ')}`);
+
+const learnedBoundaries = detectBlockBoundaries(
+  [101, 105, 111, 119, 181, 187, 195, 260, 266].map(houseNumber => ({ parsed: { houseNumber } }))
+);
+const learnedBreakpoints = breakpointsFromBoundaries(learnedBoundaries).join(',');
+const learnedOk = learnedBreakpoints === '100,150,228';
+console.log(`  ${learnedOk ? '✓' : '✗'} learned breakpoints: ${learnedBreakpoints}`);
+
+console.log('\nTesting street gazetteer...');
+const streetFeature = (name, from, to) => ({
+  type: 'Feature',
+  properties: { street_name: name, fromleft: from, toleft: to },
+  geometry: null
+});
+const gazetteer = buildStreetGazetteer([
+  streetFeature('Woodward Ave', 1, 9999),
+  streetFeature('Woodward Ave', 10000, 22000),
+  streetFeature('Grand River Ave', 1, 20000),
+  streetFeature('Joseph Campau St', 1, 12000),
+  streetFeature('E Jefferson Ave', 100, 15000),
+  streetFeature('Mack Ave', 1, 18000),
+  streetFeature('Mick St', 1, 18000)
+]);
+const gazetteerOk = gazetteer.streets.size === 6 &&
+  gazetteer.streets.get('WOODWARD').ranges.length === 1 &&
+  gazetteer.streets.get('JEFFERSON').directionals.has('E');
+console.log(`  ${gazetteerOk ? '✓' : '✗'} gazetteer built from street features: ${[...gazetteer.streets.keys()].join(', ')}`);
+
+const matchCases = [
+  { address: "1234 WOODWRD", expected: 'WOODWARD:edit_distance' },
+  { address: "5000 GRAND RIVER AV", expected: 'GRAND RIVER:exact' },
+  { address: "3000 JOS CAMPAU", expected: 'JOSEPH CAMPAU:abbreviation' },
+  { address: "25000 WOODWRD", expected: 'none' },
+  { address: "100 MECK AVE", expected: 'none' }
+];
+matchCases.forEach(testCase => {
+  const match = matchStreetName(parseAddress(testCase.address), gazetteer);
+  const actual = match ? `${match.baseName}:${match.method}` : 'none';
+  console.log(`  ${actual === testCase.expected ? '✓' : '✗'} ${testCase.address} -> ${actual}`);
+});
+
+const corrected = assignBlockIds([
+  { parcel_id: "G1", address: "1234 WOODWRD" },
+  { parcel_id: "G2", address: "1250 Woodward Ave" },
+  { parcel_id: "G3", address: "510 E JEFERSON" },
+  { parcel_id: "G4", address: "100 Nowhere St" }
+], { gazetteer });
+const correctedIds = corrected.parcels.map(p => p.block_id).join(',');
+const correctionsOk = correctedIds === 'woodward_1200_1299,woodward_1200_1299,e_jefferson_500_599,nowhere_100_199' &&
+  corrected.corrections.length === 2 &&
+  corrected.summary.correctedStreets === 2 &&
+  corrected.summary.unknownStreets === 1 &&
+  corrected.parcels[0].assignment.reasons.includes('street_corrected') &&
+  corrected.parcels[0].parsed.correctedFrom === 'WOODWRD' &&
+  corrected.parcels[3].assignment.reasons.includes('unknown_street');
+console.log(`  ${correctionsOk ? '✓' : '✗'} corrections snap blocks and are reported: ${correctedIds}`);
+corrected.corrections.forEach(c => console.log(`    ${c.from} -> ${c.to} (${c.method}, ${c.count})`));
+
+console.log('\nTesting block crosswalk...');
+const coreKeyOk = streetCoreKey('E Jefferson Ave') === 'jefferson' && streetCoreKey('Woodward') === 'woodward';
+console.log(`  ${coreKeyOk ? '✓' : '✗'} street core keys: ${streetCoreKey('E Jefferson Ave')}, ${streetCoreKey('Woodward')}`);
+
+const crosswalkSegments = [
+  {
+    blockId: 'woodward_ave_warren_canfield',
+    streetName: 'Woodward Ave',
+    geometry: { type: 'LineString', coordinates: [[-83.0600, 42.3500], [-83.0600, 42.3510]] }
+  },
+  {
+    blockId: 'woodward_ave_canfield_forest',
+    streetName: 'Woodward Ave',
+    geometry: { type: 'LineString', coordinates: [[-83.0600, 42.3510], [-83.0600, 42.3520]] }
+  }
+];
+const crosswalkParcels = assignBlockIds([
+  { parcel_id: "X1", address: "1201 Woodward Ave", lat: 42.3502, lng: -83.0601 },
+  { parcel_id: "X2", address: "1215 Woodward Ave", lat: 42.3505, lng: -83.0601 },
+  { parcel_id: "X3", address: "1231 Woodward Ave", lat: 42.3508, lng: -83.0601 },
+  { parcel_id: "X4", address: "1299 Woodward Ave", lat: 42.3512, lng: -83.0601 },
+  { parcel_id: "X5", address: "1200 Main St", lat: 42.3505, lng: -83.0601 }
+]).parcels;
+const { crosswalk, unmatched } = buildBlockCrosswalk(crosswalkParcels, crosswalkSegments);
+const crosswalkActual = crosswalk
+  .map(row => `${row.numeric_block_id}>${row.segment_block_id}:${row.share}`)
+  .join(',');
+const crosswalkExpected = 'woodward_1200_1299>woodward_ave_warren_canfield:0.75,woodward_1200_1299>woodward_ave_canfield_forest:0.25';
+const crosswalkOk = crosswalkActual === crosswalkExpected &&
+  unmatched.length === 1 && unmatched[0].numeric_block_id === 'main_1200_1299';
+console.log(`  ${crosswalkOk ? '✓' : '✗'} woodward_1200_1299 spans two segments, main_1200_1299 unmatched`);
+if (!crosswalkOk) {
+  console.log(`    Expected: ${crosswalkExpected}, Got: ${crosswalkActual} (unmatched: ${unmatched.map(u => u.numeric_block_id)})`);
+}
+
+console.log('\nTesting sales block index...');
+const salesIndex = new SalesBlockIndex({ rollUpFaces: true });
+const salesChunks = [
+  [
+    { parcel_id: "S1", address: "1201 Main St", sale_date: "2020/01/15", sale_price: 10000 },
+    { parcel_id: "S2", address: "1202 Main St", sale_date: "2021/06/15", sale_price: 20000 }
+  ],
+  [
+    { parcel_id: "S1", address: "1201 Main St", sale_date: "2023/03/15", sale_price: 30000 },
+    { parcel_id: "S3", address: "1298-1302 Main St", sale_date: "2019/01/15", sale_price: 0 }
+  ]
+];
+salesChunks.forEach(chunk => {
+  const chunkAssignments = assignBlockIds(chunk, { blockFaces: true, rangePolicy: 'split' });
+  salesIndex.addChunk(chunkAssignments, {
+    ...chunkAssignments.blockStats,
+    ...rollUpBlockFaces(chunkAssignments).blockStats
+  });
+});
+const indexedParcels = salesIndex.getParcels('main_1200_1299').map(p => p.parcel_id).sort().join(',');
+const oddSales = salesIndex.getSales('main_1200_1299_odd').length;
+const lastSale = summarizeBlockSales(salesIndex.getSales('main_1200_1299')).last_sale_date;
+const salesIndexOk = indexedParcels === 'S1,S2,S3' &&
+  salesIndex.getParcels('main_1300_1399').length === 1 &&
+  oddSales === 2 &&
+  lastSale === '2023/03/15' &&
+  salesIndex.parcelCount === 3;
+console.log(`  ${salesIndexOk ? '✓' : '✗'} main_1200_1299 parcels ${indexedParcels}, odd face sales ${oddSales}, last sale ${lastSale}`);
+
+console.log('\nTesting API response cache...');
+const normalizedOk = normalizeQueryUrl('https://Example.com/streets/query/?where=1%3D1&f=geojson&outFields=*') ===
+  normalizeQueryUrl('https://example.com/streets/query?outFields=*&f=geojson&where=1%3D1');
+console.log(`  ${normalizedOk ? '✓' : '✗'} equivalent query URLs share a key`);
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-cache-'));
+const streetsEndpoint = 'https://example.com/streets';
+// Record through a stand-in for the live API so no network is needed
+const recorder = createResponseCache({ mode: 'record', dir: cacheDir });
+const recordingClient = new DetroitAPIClient({
+  endpoints: { streets: streetsEndpoint },
+  cache: { mode: 'record', fetch: url => recorder.fetch(url, async () => ({ features: [mainStreet] })) }
+});
+await recordingClient.fetchStreetsByName('Main');
+const replayClient = new DetroitAPIClient({
+  endpoints: { streets: streetsEndpoint },
+  cache: createResponseCache({ mode: 'replay', dir: cacheDir })
+});
+const replayed = await replayClient.fetchStreetsByName('Main');
+const replayMiss = await replayClient.fetchStreetsByName('Other').then(() => null, error => error.message);
+const replayOk = recorder.stats.recorded === 1 && replayed.length === 1 && replayed[0].properties.street_name === 'Main St' &&
+  replayMiss?.startsWith('No recorded response') &&
+  replayClient.cache.stats.hits === 1 && replayClient.cache.stats.misses === 1;
+console.log(`  ${replayOk ? '✓' : '✗'} replay serves recorded responses and refuses unrecorded ones`);
+fs.rmSync(cacheDir, { recursive: true, force: true });
+
+console.log('\nTesting request retries...');
+// A scripted server and a clock that only moves when the client sleeps
+const scriptedFetch = responses => {
+  const calls = [];
+  const fetchStub = async url => {
+    calls.push(url);
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return {
+      ok: next.status < 400,
+      status: next.status,
+      headers: { get: name => next.headers?.[name.toLowerCase()] ?? null },
+      json: async () => next.body
+    };
+  };
+  return { calls, fetchStub };
+};
+const fakeClock = () => {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => { clock.sleeps.push(ms); clock.time += ms; };
+  return clock;
+};
+const retryUrl = 'https://example.com/parcels/query?where=1%3D1';
+
+const badRequest = scriptedFetch([{ status: 400 }]);
+const badClock = fakeClock();
+const noRetry = createFetchWithRetry({ fetch: badRequest.fetchStub, sleep: badClock.sleep, now: badClock.now });
+const badStatus = await noRetry(retryUrl).then(() => null, error => error.status);
+const noRetryOk = badStatus === 400 && badRequest.calls.length === 1 && noRetry.stats.retries === 0;
+console.log(`  ${noRetryOk ? '✓' : '✗'} 400 fails without retrying`);
+
+const throttled = scriptedFetch([
+  { status: 503, headers: { 'retry-after': '7' } },
+  { status: 200, body: { error: { code: 429, message: 'Too many requests' } } },
+  new Error('socket hang up'),
+  { status: 200, body: { features: [] } }
+]);
+const throttleClock = fakeClock();
+const retrying = createFetchWithRetry({
+  fetch: throttled.fetchStub, sleep: throttleClock.sleep, now: throttleClock.now,
+  maxRetries: 3, baseDelay: 100, random: () => 1
+});
+const retried = await retrying(retryUrl);
+const retryOk = retried.features.length === 0 && throttled.calls.length === 4 &&
+  throttleClock.sleeps.join(',') === '7000,200,400' && retrying.stats.retries === 3;
+console.log(`  ${retryOk ? '✓' : '✗'} Retry-After, ArcGIS error bodies and network errors are retried (waits ${throttleClock.sleeps.join(', ')}ms)`);
+
+const backoffOk = backoffDelay(3, { baseDelay: 1000, maxDelay: 5000, random: () => 1 }) === 5000 &&
+  backoffDelay(1, { baseDelay: 1000, random: () => 0.5 }) === 1000 &&
+  parseRetryAfter('Wed, 21 Oct 2015 07:28:10 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT')) === 10000 &&
+  parseRetryAfter(null) === null;
+console.log(`  ${backoffOk ? '✓' : '✗'} backoff is capped and jittered, Retry-After dates are read`);
+
+const down = scriptedFetch([{ status: 502 }]);
+const downClock = fakeClock();
+const breaking = createFetchWithRetry({
+  fetch: down.fetchStub, sleep: downClock.sleep, now: downClock.now,
+  maxRetries: 0, breakerThreshold: 2, breakerCooldown: 60000
+});
+await breaking(retryUrl).catch(() => null);
+await breaking(retryUrl).catch(() => null);
+const breaker = breaking.breakers.get('https://example.com/parcels');
+const openedState = breaker.state;
+const callsWhenOpened = down.calls.length;
+await breaking(retryUrl).catch(() => null);
+const breakerOk = openedState === 'open' && callsWhenOpened === 2 && down.calls.length === 3 &&
+  breaking.stats.circuitOpens === 2 && breaking.stats.circuitPauses === 1 &&
+  downClock.sleeps.includes(60000) && breaking.stats.endpoints['https://example.com/parcels'].failures === 3;
+console.log(`  ${breakerOk ? '✓' : '✗'} circuit opens after 2 failures and pauses ${breaker.cooldown / 1000}s before testing again`);
+
+console.log('\nTesting ArcGIS query builder...');
+const quotedName = where.contains('street_name', "O'Hara St");
+const quotedOk = quotedName === "UPPER(street_name) LIKE '%O''HARA ST%'";
+console.log(`  ${quotedOk ? '✓' : '✗'} apostrophes are doubled: ${quotedName}`);
+const clause = where.and(
+  where.in('parcel_id', ['01001', "02'002", '01001']),
+  where.or(where.gte('last_edited_date', new Date(Date.UTC(2024, 0, 1))), where.isNull('last_edited_date')),
+  where.between('sale_price', 1000, 50000)
+);
+const clauseOk = clause === "(parcel_id IN ('01001', '02''002')) AND " +
+  "((last_edited_date >= TIMESTAMP '2024-01-01 00:00:00') OR (last_edited_date IS NULL)) AND " +
+  '(sale_price BETWEEN 1000 AND 50000)';
+console.log(`  ${clauseOk ? '✓' : '✗'} in, date comparisons, between and and/or combine`);
+const builderGuardsOk = where.in('parcel_id', []) === where.NONE &&
+  where.contains('name', '50%_off') === "UPPER(name) LIKE '%50\\%\\_OFF%' ESCAPE '\\'" &&
+  (() => { try { where.eq('1=1 OR x', 1); return false; } catch { return true; } })();
+console.log(`  ${builderGuardsOk ? '✓' : '✗'} empty lists match nothing, wildcards in text are escaped, bad field names throw`);
+const sentRequests = [];
+const queryClient = new DetroitAPIClient({
+  endpoints: { parcels: 'https://example.com/parcels' },
+  cache: createResponseCache({ mode: 'passthrough' }),
+  fetchWithRetry: async (url, options = {}) => {
+    if (url.includes('/query')) sentRequests.push({ url, method: options.method || 'GET', body: options.body });
+    return { features: [] };
+  }
+});
+await queryClient.fetchParcelsByIds(['01001', "02'002"]);
+await queryClient.fetchParcelsByIds(Array.from({ length: 300 }, (_, i) => `${10000000 + i}.`));
+const postOk = sentRequests.length === 2 &&
+  sentRequests[0].method === 'GET' && new URL(sentRequests[0].url).searchParams.get('where') === "parcel_id IN ('01001', '02''002')" &&
+  sentRequests[1].method === 'POST' && sentRequests[1].url === 'https://example.com/parcels/query' &&
+  new URLSearchParams(sentRequests[1].body).get('where').startsWith("parcel_id IN ('10000000.', ");
+console.log(`  ${postOk ? '✓' : '✗'} parcel IDs are queried with IN, long lists posted`);
+
+console.log('\nTesting layer paging...');
+// A layer of five features that returns at most two per page
+const pagedFeatures = [1, 3, 5, 7, 9].map(id => ({ type: 'Feature', properties: { OBJECTID: id }, geometry: null }));
+const pagingServer = reportedCount => async url => {
+  const { pathname, searchParams } = new URL(url);
+  if (!pathname.endsWith('/query')) return { maxRecordCount: 2, objectIdField: 'OBJECTID' };
+  if (searchParams.get('returnCountOnly')) return { count: reportedCount };
+  if (searchParams.get('returnIdsOnly')) return { objectIdFieldName: 'OBJECTID', objectIds: [9, 1, 5, 3, 7] };
+
+  const range = searchParams.get('where').match(/OBJECTID BETWEEN (\d+) AND (\d+)/);
+  if (range) {
+    const [low, high] = [Number(range[1]), Number(range[2])];
+    return { features: pagedFeatures.filter(f => f.properties.OBJECTID >= low && f.properties.OBJECTID <= high) };
+  }
+
+  const offset = Number(searchParams.get('resultOffset'));
+  const size = Math.min(Number(searchParams.get('resultRecordCount')), 2);
+  return {
+    features: pagedFeatures.slice(offset, offset + size),
+    properties: { exceededTransferLimit: offset + size < pagedFeatures.length }
+  };
+};
+const pagingClient = (pageBy, reportedCount = 5) => new DetroitAPIClient({
+  endpoints: { parcels: 'https://example.com/parcels' },
+  cache: createResponseCache({ mode: 'passthrough' }),
+  fetchWithRetry: pagingServer(reportedCount),
+  pageBy
+});
+const collectPages = async (client, options) => {
+  const pages = [];
+  for await (const page of client.fetchAllParcels(where.ALL, options)) {
+    pages.push(page.map(f => f.properties.OBJECTID).join(','));
+  }
+  return pages.join(' | ');
+};
+const offsetPages = await collectPages(pagingClient('offset'), { verifyCount: true });
+console.log(`  ${offsetPages === '1,3 | 5,7 | 9' ? '✓' : '✗'} offset paging follows maxRecordCount and exceededTransferLimit: ${offsetPages}`);
+const idPages = await collectPages(pagingClient('objectid'), { verifyCount: true });
+console.log(`  ${idPages === '1,3 | 5,7 | 9' ? '✓' : '✗'} object ID paging queries sorted ID ranges: ${idPages}`);
+const countMismatch = await collectPages(pagingClient('offset', 6)).then(() => null, error => error.message);
+console.log(`  ${countMismatch?.includes('reports 6') ? '✓' : '✗'} a short parcel fetch fails the count check by default`);
+
+console.log('\nTesting change tracking...');
+const editedParcels = [
+  { type: 'Feature', properties: { parcel_id: '01001', last_edited_date: Date.UTC(2024, 4, 2) }, geometry: null },
+  { type: 'Feature', properties: { parcel_id: '01002', last_edited_date: Date.UTC(2024, 4, 9, 12) }, geometry: null }
+];
+const changeQueries = [];
+const changeClient = new DetroitAPIClient({
+  endpoints: { parcels: 'https://example.com/parcels' },
+  cache: createResponseCache({ mode: 'passthrough' }),
+  fetchWithRetry: async url => {
+    const { pathname, searchParams } = new URL(url);
+    if (!pathname.endsWith('/query')) {
+      return { fields: [{ name: 'OBJECTID', type: 'esriFieldTypeOID' }, { name: 'last_edited_date', type: 'esriFieldTypeDate' }] };
+    }
+    changeQueries.push(searchParams.get('where'));
+    if (searchParams.get('outStatistics')) return { features: [{ attributes: { latest_edit: Date.UTC(2024, 4, 9, 12) } }] };
+    return { features: searchParams.get('resultOffset') === '0' ? editedParcels : [] };
+  }
+});
+const changes = await changeClient.fetchParcelsEditedSince('2024-05-01T00:00:00.000Z');
+const latestEdit = await changeClient.getLatestEditDate(changeClient.endpoints.parcels);
+const changesOk = changes.editDateField === 'last_edited_date' && changes.features.length === 2 &&
+  changes.highWaterMark === '2024-05-09T12:00:00.000Z' && latestEdit === changes.highWaterMark &&
+  changeQueries[0] === "last_edited_date > TIMESTAMP '2024-05-01 00:00:00'";
+console.log(`  ${changesOk ? '✓' : '✗'} edited parcels fetched after the mark, new mark ${changes.highWaterMark}`);
+const unchanged = await new DetroitAPIClient({
+  endpoints: { parcels: 'https://example.com/parcels' },
+  cache: createResponseCache({ mode: 'passthrough' }),
+  fetchWithRetry: async url => new URL(url).pathname.endsWith('/query')
+    ? { features: [] }
+    : { editFieldsInfo: { editDateField: 'EditDate' } }
+}).fetchParcelsEditedSince('2024-05-01T00:00:00.000Z');
+const untrackedError = await new DetroitAPIClient({
+  endpoints: { parcels: 'https://example.com/parcels' },
+  cache: createResponseCache({ mode: 'passthrough' }),
+  fetchWithRetry: async () => ({ fields: [] })
+}).fetchParcelsEditedSince('2024-05-01').then(() => null, error => error.message);
+const markKeptOk = unchanged.features.length === 0 && unchanged.editDateField === 'EditDate' &&
+  unchanged.highWaterMark === '2024-05-01T00:00:00.000Z' && untrackedError?.includes('no edit date field');
+console.log(`  ${markKeptOk ? '✓' : '✗'} no changes keep the mark, layers without edit dates are refused`);
+
+console.log('\nTesting dataset adapters...');
+const testDatasets = createDatasets({
+  datasets: {
+    blight_tickets: { endpoint: 'https://example.com/blight', idField: 'ticket_id', dateField: 'violation_date', lookbackDays: 365 },
+    complaints_311: { idField: 'id', dateField: 'created_at', geometry: { x: 'longitude', y: 'latitude' }, endpointEnv: 'TEST_311_API_UNSET' },
+    broken: { dateField: 'created_at' }
+  }
+});
+const datasetConfigOk = testDatasets.size === 2 && testDatasets.get('blight_tickets').countColumn === 'blight_tickets_count' &&
+  testDatasets.get('complaints_311').geometry.type === 'xy';
+console.log(`  ${datasetConfigOk ? '✓' : '✗'} datasets without an idField are dropped, count columns default to <name>_count`);
+const xyRecord = toDatasetRecord(testDatasets.get('complaints_311'), {
+  properties: { id: 77, created_at: Date.UTC(2024, 2, 1), longitude: -83.05, latitude: 42.35 }, geometry: null
+});
+const unlocatedRecord = toDatasetRecord(testDatasets.get('complaints_311'), { properties: { id: 78, longitude: 0, latitude: 0 }, geometry: null });
+const polygonRecord = toDatasetRecord(testDatasets.get('blight_tickets'), {
+  type: 'Feature', properties: { ticket_id: 'T1' }, geometry: { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] }
+});
+const recordOk = xyRecord.geometry.coordinates.join(',') === '-83.05,42.35' && xyRecord.properties.record_id === 77 &&
+  xyRecord.properties.record_date === '2024-03-01T00:00:00.000Z' && unlocatedRecord === null &&
+  polygonRecord.geometry.type === 'Point' && polygonRecord.properties.record_id === 'T1';
+console.log(`  ${recordOk ? '✓' : '✗'} records become points from x/y fields or centroids; 0/0 locations are dropped`);
+const datasetQueries = [];
+const datasetClient = new DetroitAPIClient({
+  endpoints: { parcels: 'https://example.com/parcels' },
+  cache: createResponseCache({ mode: 'passthrough' }),
+  datasets: testDatasets,
+  fetchWithRetry: async url => {
+    const { pathname, searchParams } = new URL(url);
+    if (!pathname.endsWith('/query')) return { maxRecordCount: 1000 };
+    datasetQueries.push(searchParams.get('where'));
+    return {
+      features: searchParams.get('resultOffset') === '0'
+        ? [
+          { type: 'Feature', properties: { ticket_id: 'T1', violation_date: Date.UTC(2024, 4, 1) }, geometry: { type: 'Point', coordinates: [-83.05, 42.35] } },
+          { type: 'Feature', properties: { ticket_id: 'T2' }, geometry: null }
+        ]
+        : []
+    };
+  }
+});
+const tickets = await datasetClient.fetchDataset('blight_tickets', { since: '2024-01-01T00:00:00Z' });
+const missingEndpoint = (() => { try { datasetClient.getDataset('complaints_311'); return null; } catch (error) { return error.message; } })();
+const datasetFetchOk = tickets.length === 1 && tickets[0].properties.dataset === 'blight_tickets' &&
+  datasetQueries[0] === "violation_date >= TIMESTAMP '2024-01-01 00:00:00'" &&
+  datasetClient.availableDatasets().join(',') === 'blight_tickets' && missingEndpoint?.includes('TEST_311_API_UNSET');
+console.log(`  ${datasetFetchOk ? '✓' : '✗'} datasets are fetched by date through the generic client, unconfigured ones are skipped`);
+await datasetClient.fetchDataset('blight_tickets', { asOf: '2024-06-01T08:15:30Z' });
+await datasetClient.fetchDataset('blight_tickets', { asOf: '2024-06-01T23:59:59Z' });
+const lookbackOk = datasetQueries.slice(-2).every(query => query === "violation_date >= TIMESTAMP '2023-06-02 00:00:00'");
+console.log(`  ${lookbackOk ? '✓' : '✗'} look-back windows start at midnight of the as-of day, so queries repeat within a day`);
+
 // Performance test
 console.log('\nPerformance Test...');
 const largeParcels = [];
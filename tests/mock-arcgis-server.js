@@ -0,0 +1,494 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as turf from '@turf/turf';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const DEFAULT_MAX_RECORD_COUNT = 1000;
+
+/**
+ * Mock ArcGIS Server
+ *
+ * A local stand-in for the Detroit feature services, serving fixture layers
+ * the way the client uses them:
+ *
+ *   /<layer>/FeatureServer/0?f=json          layer info (maxRecordCount, fields, ...)
+ *   /<layer>/FeatureServer/0/query           GET or POST: where, geometry (GeoJSON or Esri
+ *                                            JSON, intersects only), resultOffset,
+ *                                            resultRecordCount, orderByFields, outFields,
+ *                                            returnGeometry, returnCountOnly, returnIdsOnly,
+ *                                            outStatistics, f=geojson|json
+ *   /geocoder/GeocodeServer/findAddressCandidates
+ *                                            singleLine, matched against the address
+ *                                            field of the parcels layer
+ *
+ * A fixture layer is a GeoJSON FeatureCollection; its optional "layer" member
+ * is merged into the layer info (maxRecordCount, fields, editFieldsInfo).
+ * Features without an OBJECTID are numbered in file order. Where clauses are
+ * parsed as the standardized SQL that lib/arcgis-query.js writes; anything
+ * else is answered with an ArcGIS error body, like the real server does.
+ */
+
+/**
+ * Load every fixture layer in a directory: <name>.json -> layers[name]
+ */
+export function loadFixtures(dir = FIXTURES_DIR) {
+  const layers = {};
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    layers[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  }
+
+  return layers;
+}
+
+// Where clause parsing
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'IN', 'BETWEEN', 'LIKE', 'ESCAPE', 'IS', 'NULL', 'TIMESTAMP', 'DATE']);
+const FUNCTIONS = { UPPER: value => value?.toString().toUpperCase(), LOWER: value => value?.toString().toLowerCase() };
+
+function tokenize(sql) {
+  const tokens = [];
+  const pattern = /\s*(?:(-?\d+(?:\.\d+)?)|'((?:[^']|'')*)'|([A-Za-z_][A-Za-z0-9_.]*)|(<>|!=|>=|<=|=|<|>|\(|\)|,))/y;
+  let match;
+
+  while (pattern.lastIndex < sql.length) {
+    const start = pattern.lastIndex;
+    if (/^\s*$/.test(sql.slice(start))) break;
+
+    match = pattern.exec(sql);
+    if (!match) {
+      throw new Error(`Unexpected input in where clause at ${start}: ${sql.slice(start, start + 20)}`);
+    }
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2].replace(/''/g, "'") });
+    else if (match[3] !== undefined) {
+      const upper = match[3].toUpperCase();
+      tokens.push(KEYWORDS.has(upper) || FUNCTIONS[upper]
+        ? { type: 'keyword', value: upper }
+        : { type: 'field', value: match[3] });
+    } else tokens.push({ type: 'symbol', value: match[4] });
+  }
+
+  return tokens;
+}
+
+/**
+ * Compile a where clause into a predicate over feature properties
+ */
+export function compileWhere(sql) {
+  const tokens = tokenize(sql || '1=1');
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const accept = value => {
+    if (peek()?.value === value && peek().type !== 'string') {
+      position++;
+      return true;
+    }
+    return false;
+  };
+  const expect = value => {
+    if (!accept(value)) throw new Error(`Expected ${value} in where clause: ${sql}`);
+  };
+
+  function operand() {
+    const token = tokens[position++];
+    if (!token) throw new Error(`Unexpected end of where clause: ${sql}`);
+
+    if (token.type === 'number' || token.type === 'string') return () => token.value;
+    if (token.type === 'field') return props => props[token.value];
+    if (token.value === 'NULL') return () => null;
+
+    if (token.value === 'TIMESTAMP' || token.value === 'DATE') {
+      const literal = tokens[position++];
+      const time = Date.parse(`${literal.value.replace(' ', 'T')}${literal.value.length > 10 ? 'Z' : 'T00:00:00Z'}`);
+      return () => time;
+    }
+
+    if (FUNCTIONS[token.value]) {
+      expect('(');
+      const inner = operand();
+      expect(')');
+      return props => FUNCTIONS[token.value](inner(props));
+    }
+
+    throw new Error(`Unexpected ${token.value} in where clause: ${sql}`);
+  }
+
+  function comparison() {
+    const left = operand();
+
+    if (accept('IS')) {
+      const negated = accept('NOT');
+      expect('NULL');
+      return props => (left(props) === null || left(props) === undefined) !== negated;
+    }
+
+    const negated = accept('NOT');
+
+    if (accept('IN')) {
+      expect('(');
+      const values = [operand()];
+      while (accept(',')) values.push(operand());
+      expect(')');
+      return props => values.some(value => compare(left(props), value(props)) === 0) !== negated;
+    }
+
+    if (accept('BETWEEN')) {
+      const low = operand();
+      expect('AND');
+      const high = operand();
+      return props => (compare(left(props), low(props)) >= 0 && compare(left(props), high(props)) <= 0) !== negated;
+    }
+
+    if (accept('LIKE')) {
+      const pattern = operand()();
+      const escape = accept('ESCAPE') ? operand()() : null;
+      const regex = likeToRegex(pattern, escape);
+      return props => (left(props) !== null && left(props) !== undefined && regex.test(String(left(props)))) !== negated;
+    }
+
+    const operator = tokens[position++]?.value;
+    const right = operand();
+    const tests = {
+      '=': c => c === 0,
+      '<>': c => c !== 0,
+      '!=': c => c !== 0,
+      '>': c => c > 0,
+      '>=': c => c >= 0,
+      '<': c => c < 0,
+      '<=': c => c <= 0
+    };
+    if (!tests[operator]) throw new Error(`Unknown operator ${operator} in where clause: ${sql}`);
+
+    return props => {
+      const result = compare(left(props), right(props));
+      return result !== null && tests[operator](result);
+    };
+  }
+
+  function primary() {
+    if (accept('NOT')) {
+      const inner = primary();
+      return props => !inner(props);
+    }
+    if (accept('(')) {
+      const inner = orExpression();
+      expect(')');
+      return inner;
+    }
+    return comparison();
+  }
+
+  function andExpression() {
+    const parts = [primary()];
+    while (accept('AND')) parts.push(primary());
+    return props => parts.every(part => part(props));
+  }
+
+  function orExpression() {
+    const parts = [andExpression()];
+    while (accept('OR')) parts.push(andExpression());
+    return props => parts.some(part => part(props));
+  }
+
+  const predicate = orExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${peek().value} in where clause: ${sql}`);
+  }
+  return predicate;
+}
+
+/**
+ * Compare two values the way SQL would: numbers as numbers, anything else as text
+ * @returns {number|null} Null when either side is null
+ */
+function compare(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  if (typeof a === 'number' || typeof b === 'number') {
+    const [x, y] = [Number(a), Number(b)];
+    if (!isNaN(x) && !isNaN(y)) return x === y ? 0 : x < y ? -1 : 1;
+  }
+  return String(a) === String(b) ? 0 : String(a) < String(b) ? -1 : 1;
+}
+
+function likeToRegex(pattern, escape) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (escape && char === escape && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+// Geometry filters
+
+/**
+ * Query geometry as GeoJSON, from GeoJSON or Esri JSON
+ */
+function parseQueryGeometry(value) {
+  const geometry = typeof value === 'string' ? JSON.parse(value) : value;
+
+  if (geometry.type) return geometry;
+  if (geometry.rings) return { type: 'Polygon', coordinates: geometry.rings };
+  if (geometry.paths) return { type: 'MultiLineString', coordinates: geometry.paths };
+  if (geometry.x !== undefined) return { type: 'Point', coordinates: [geometry.x, geometry.y] };
+  if (geometry.xmin !== undefined) {
+    return turf.bboxPolygon([geometry.xmin, geometry.ymin, geometry.xmax, geometry.ymax]).geometry;
+  }
+
+  throw new Error('Unsupported query geometry');
+}
+
+// Query handling
+
+class QueryError extends Error {
+  constructor(message, code = 400) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function layerInfo(name, layer, features) {
+  const info = layer.layer || {};
+  const sample = features[0]?.properties || {};
+  const fields = info.fields || Object.keys(sample)
+    .filter(field => field !== 'OBJECTID')
+    .map(field => ({
+      name: field,
+      type: typeof sample[field] === 'number' ? 'esriFieldTypeDouble' : 'esriFieldTypeString'
+    }));
+
+  return {
+    name,
+    type: 'Feature Layer',
+    objectIdField: 'OBJECTID',
+    maxRecordCount: DEFAULT_MAX_RECORD_COUNT,
+    ...info,
+    fields: [{ name: 'OBJECTID', type: 'esriFieldTypeOID' }, ...fields]
+  };
+}
+
+function sortFeatures(features, orderByFields) {
+  const order = orderByFields.split(',').map(part => {
+    const [field, direction = 'ASC'] = part.trim().split(/\s+/);
+    return { field, sign: direction.toUpperCase() === 'DESC' ? -1 : 1 };
+  });
+
+  return [...features].sort((a, b) => {
+    for (const { field, sign } of order) {
+      const result = compare(a.properties[field], b.properties[field]) ?? 0;
+      if (result !== 0) return result * sign;
+    }
+    return 0;
+  });
+}
+
+function pickFields(properties, outFields) {
+  if (!outFields || outFields === '*') return properties;
+  const fields = outFields.split(',').map(field => field.trim());
+  return Object.fromEntries(fields.filter(field => field in properties).map(field => [field, properties[field]]));
+}
+
+function runQuery(info, features, params) {
+  const predicate = compileWhere(params.get('where'));
+  let matches = features.filter(feature => predicate(feature.properties));
+
+  if (params.get('geometry')) {
+    const spatialRel = params.get('spatialRel') || 'esriSpatialRelIntersects';
+    if (spatialRel !== 'esriSpatialRelIntersects') {
+      throw new QueryError(`Unsupported spatialRel ${spatialRel}`);
+    }
+    const area = turf.feature(parseQueryGeometry(params.get('geometry')));
+    matches = matches.filter(feature => feature.geometry && turf.booleanIntersects(feature, area));
+  }
+
+  if (params.get('returnCountOnly') === 'true') {
+    return { count: matches.length };
+  }
+
+  if (params.get('returnIdsOnly') === 'true') {
+    return { objectIdFieldName: 'OBJECTID', objectIds: matches.map(feature => feature.properties.OBJECTID) };
+  }
+
+  if (params.get('outStatistics')) {
+    const attributes = {};
+    for (const { statisticType, onStatisticField, outStatisticFieldName } of JSON.parse(params.get('outStatistics'))) {
+      const values = matches.map(feature => feature.properties[onStatisticField]).filter(value => value !== null && value !== undefined);
+      const reducers = {
+        count: () => values.length,
+        max: () => (values.length ? values.reduce((a, b) => (compare(a, b) >= 0 ? a : b)) : null),
+        min: () => (values.length ? values.reduce((a, b) => (compare(a, b) <= 0 ? a : b)) : null)
+      };
+      if (!reducers[statisticType]) throw new QueryError(`Unsupported statistic ${statisticType}`);
+      attributes[outStatisticFieldName || `${statisticType}_${onStatisticField}`] = reducers[statisticType]();
+    }
+    return { features: [{ attributes }] };
+  }
+
+  if (params.get('orderByFields')) {
+    matches = sortFeatures(matches, params.get('orderByFields'));
+  }
+
+  // Pages never exceed maxRecordCount, whatever resultRecordCount asks for
+  const offset = Number(params.get('resultOffset')) || 0;
+  const pageSize = Math.min(Number(params.get('resultRecordCount')) || info.maxRecordCount, info.maxRecordCount);
+  const page = matches.slice(offset, offset + pageSize);
+  const exceededTransferLimit = offset + page.length < matches.length;
+  const returnGeometry = params.get('returnGeometry') !== 'false';
+
+  const output = page.map(feature => ({
+    type: 'Feature',
+    id: feature.properties.OBJECTID,
+    properties: pickFields(feature.properties, params.get('outFields')),
+    geometry: returnGeometry ? feature.geometry : null
+  }));
+
+  if (params.get('f') === 'json') {
+    return {
+      objectIdFieldName: 'OBJECTID',
+      features: output.map(feature => ({ attributes: feature.properties })),
+      ...(exceededTransferLimit ? { exceededTransferLimit } : {})
+    };
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: output,
+    ...(exceededTransferLimit ? { properties: { exceededTransferLimit } } : {})
+  };
+}
+
+function geocode(layer, params) {
+  const singleLine = (params.get('singleLine') || '').trim().toUpperCase();
+  const candidates = (layer?.features || [])
+    .filter(feature => feature.geometry && String(feature.properties.address || '').toUpperCase().startsWith(singleLine))
+    .map(feature => {
+      const [x, y] = turf.getCoord(turf.centroid(feature));
+      return {
+        address: feature.properties.address,
+        location: { x, y },
+        score: String(feature.properties.address).toUpperCase() === singleLine ? 100 : 90,
+        attributes: { parcel_id: feature.properties.parcel_id }
+      };
+    });
+
+  return { spatialReference: { wkid: 4326 }, candidates };
+}
+
+async function readParams(request) {
+  const url = new URL(request.url, 'http://localhost');
+  if (request.method !== 'POST') return url.searchParams;
+
+  let body = '';
+  for await (const chunk of request) body += chunk;
+  const params = new URLSearchParams(body);
+  for (const [key, value] of url.searchParams) params.set(key, value);
+  return params;
+}
+
+/**
+ * Create a mock ArcGIS server
+ * @param {Object} layers - name -> fixture FeatureCollection (see loadFixtures)
+ * @param {Object} options - geocodeLayer: layer the geocoder searches (default parcels)
+ * @returns {Object} { layers, requests, start(): base URL, stop(), endpoint(name), geocoderEndpoint() }
+ *   Fixture features can be edited between requests through layers[name].features.
+ */
+export function createMockArcGISServer(layers = loadFixtures(), options = {}) {
+  const { geocodeLayer = 'parcels' } = options;
+  const requests = [];
+  let baseUrl = null;
+
+  // Number the features once, keeping any OBJECTIDs the fixtures carry
+  for (const layer of Object.values(layers)) {
+    layer.features.forEach((feature, index) => {
+      feature.properties = { OBJECTID: index + 1, ...feature.properties };
+    });
+  }
+
+  const server = http.createServer(async (request, response) => {
+    const send = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+
+    try {
+      const { pathname } = new URL(request.url, 'http://localhost');
+      const params = await readParams(request);
+      requests.push({ method: request.method, pathname, params: Object.fromEntries(params) });
+
+      if (/^\/geocoder\/GeocodeServer\/?$/.test(pathname)) {
+        return send(200, { serviceDescription: 'Mock geocoder', spatialReference: { wkid: 4326 } });
+      }
+      if (/^\/geocoder\/GeocodeServer\/findAddressCandidates\/?$/.test(pathname)) {
+        return send(200, geocode(layers[geocodeLayer], params));
+      }
+
+      const match = pathname.match(/^\/([^/]+)\/FeatureServer\/0(\/query)?\/?$/);
+      const layer = match && layers[match[1]];
+      if (!layer) {
+        return send(404, { error: { code: 404, message: `No layer at ${pathname}` } });
+      }
+
+      const info = layerInfo(match[1], layer, layer.features);
+      if (!match[2]) return send(200, info);
+
+      try {
+        return send(200, runQuery(info, layer.features, params));
+      } catch (error) {
+        // ArcGIS reports bad queries as an error body with status 200
+        return send(200, { error: { code: error.code || 400, message: error.message, details: [] } });
+      }
+    } catch (error) {
+      return send(500, { error: { code: 500, message: error.message } });
+    }
+  });
+
+  return {
+    layers,
+    requests,
+
+    async start() {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return baseUrl;
+    },
+
+    async stop() {
+      await new Promise(resolve => server.close(resolve));
+    },
+
+    endpoint(name) {
+      return `${baseUrl}/${name}/FeatureServer/0`;
+    },
+
+    geocoderEndpoint() {
+      return `${baseUrl}/geocoder/GeocodeServer`;
+    }
+  };
+}
+
+export default {
+  FIXTURES_DIR,
+  loadFixtures,
+  compileWhere,
+  createMockArcGISServer
+};
@@ -0,0 +1,259 @@
+// End-to-end test: the full analytics pipeline against the mock ArcGIS server
+// and an in-memory database, without network access or Supabase credentials
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { createMockArcGISServer } = await import('./mock-arcgis-server.js');
+const { DetroitAPIClient } = await import('../lib/detroit-api-client.js');
+const { createResponseCache } = await import('../lib/response-cache.js');
+const { createDatasets } = await import('../lib/datasets.js');
+const { runBlockAnalytics } = await import('../scripts/process-block-analytics.js');
+
+console.log('Testing analytics pipeline against the mock ArcGIS server...\n');
+
+/**
+ * The database operations the pipeline uses, kept in memory
+ */
+function createMemoryDb() {
+  const tables = { blocks: new Map(), parcels: new Map(), analytics: new Map(), datasetRecords: new Map(), runs: [], adjacency: new Map() };
+
+  return {
+    tables,
+    blocks: {
+      async upsertBlock(row) {
+        const saved = { id: tables.blocks.get(row.block_id)?.id || `block-${tables.blocks.size + 1}`, ...row };
+        tables.blocks.set(row.block_id, saved);
+        return saved;
+      }
+    },
+    parcels: {
+      async insertParcels(rows) {
+        for (const row of rows) tables.parcels.set(`${row.block_id}|${row.parcel_id}`, row);
+      },
+      async deleteParcelsNotIn(blockId, parcelIds) {
+        for (const [key, row] of tables.parcels) {
+          if (row.block_id === blockId && !parcelIds.includes(row.parcel_id)) tables.parcels.delete(key);
+        }
+      },
+      async getBlocksOfParcels(parcelIds) {
+        const blocksById = new Map([...tables.blocks.values()].map(block => [block.id, block]));
+        return new Set([...tables.parcels.values()]
+          .filter(row => parcelIds.includes(row.parcel_id))
+          .map(row => blocksById.get(row.block_id))
+          .map(block => block.whole_block_id || block.block_id));
+      }
+    },
+    analytics: {
+      async upsertAnalytics(row) {
+        tables.analytics.set(row.block_id, row);
+      },
+      async getLatestAnalytics(blockId) {
+        return tables.analytics.get(blockId) || null;
+      }
+    },
+    datasetRecords: {
+      async replaceBlockRecords(blockId, rows) {
+        tables.datasetRecords.set(blockId, rows);
+      },
+      async getRecordBlocks() {
+        const recordBlocks = new Map();
+        for (const block of tables.blocks.values()) {
+          for (const row of tables.datasetRecords.get(block.id) || []) {
+            const key = `${row.dataset}|${row.record_id}`;
+            recordBlocks.set(key, [...(recordBlocks.get(key) || []),
+              { blockId: block.block_id, wholeBlockId: block.whole_block_id || block.block_id }]);
+          }
+        }
+        return recordBlocks;
+      }
+    },
+    adjacency: {
+      async upsertAdjacency(rows) {
+        for (const row of rows) tables.adjacency.set(`${row.block_id}|${row.neighbor_block_id}|${row.relation}`, row);
+      }
+    },
+    runs: {
+      async startRun(runType) {
+        const run = { id: `run-${tables.runs.length + 1}`, run_type: runType, status: 'running', blocks_processed: 0 };
+        tables.runs.push(run);
+        return { ...run };
+      },
+      async updateRun(runId, updates) {
+        return Object.assign(tables.runs.find(run => run.id === runId), updates);
+      },
+      async completeRun(runId, summary) {
+        return Object.assign(tables.runs.find(run => run.id === runId), { status: 'completed', ...summary });
+      },
+      async failRun(runId, errorDetails) {
+        return Object.assign(tables.runs.find(run => run.id === runId), { status: 'failed', error_details: errorDetails });
+      },
+      async getLatestHighWaterMark() {
+        const run = tables.runs.filter(r => r.status === 'completed' && r.metadata?.highWaterMark?.parcels).pop();
+        return run?.metadata.highWaterMark || null;
+      }
+    }
+  };
+}
+
+const check = (ok, message) => console.log(`  ${ok ? '✓' : '✗'} ${message}`);
+
+const server = createMockArcGISServer();
+await server.start();
+
+try {
+  const db = createMemoryDb();
+  const datasets = createDatasets({
+    datasets: {
+      blight_tickets: { idField: 'ticket_id', dateField: 'violation_date', countColumn: 'blight_tickets_count' }
+    }
+  });
+  const newClient = () => new DetroitAPIClient({
+    endpoints: {
+      parcels: server.endpoint('parcels'),
+      addresses: server.endpoint('parcels'),
+      buildings: server.endpoint('buildings'),
+      streets: server.endpoint('streets'),
+      geocoder: server.geocoderEndpoint(),
+      blight_tickets: server.endpoint('blight_tickets')
+    },
+    cache: createResponseCache({ mode: 'passthrough' }),
+    datasets
+  });
+
+  // Client against the server
+  console.log('Client:');
+  const client = newClient();
+  const ohara = await client.fetchStreetsByName("o'hara");
+  check(ohara.length === 1 && ohara[0].properties.street_name === "O'Hara St", "street names with apostrophes are queried safely");
+  const candidate = await client.geocodeAddress('105 Main St');
+  check(candidate?.attributes.parcel_id === '01000105.', `geocoder finds 105 Main St (${candidate?.attributes.parcel_id})`);
+  const buildings = await client.fetchBuildingsInArea({
+    type: 'Polygon',
+    coordinates: [[[-83.057, 42.3495], [-83.052, 42.3495], [-83.052, 42.3505], [-83.057, 42.3505], [-83.057, 42.3495]]]
+  });
+  check(buildings.length === 7, `buildings are found by area (${buildings.length})`);
+
+  // Full run
+  console.log('\nFull run:');
+  const fullRun = await runBlockAnalytics({ db, detroitAPI: newClient(), full: true });
+  const mainBlock = db.tables.blocks.get('main_st_first_st_second_st');
+  const mainAnalytics = mainBlock && db.tables.analytics.get(mainBlock.id);
+
+  check(fullRun.status === 'completed' && fullRun.metadata.streets === 5, `run completed over ${fullRun.metadata.streets} streets`);
+  const mainBlockIds = [...db.tables.blocks.keys()].filter(id => id.startsWith('main_st_')).sort();
+  check(
+    mainBlockIds.join(',') ===
+      'main_st_first_st_second_st,main_st_second_st_third_st,main_st_start_first_st,main_st_third_st_end',
+    `Main St is split at its cross streets (${mainBlockIds.join(', ')})`
+  );
+  check(
+    mainAnalytics?.total_parcels === 8 && mainAnalytics.commercial_parcels === 1 &&
+      mainAnalytics.vacant_parcels === 2 && mainAnalytics.condemned_buildings === 1 && mainAnalytics.tax_delinquent_count === 2,
+    `main_st_first_st_second_st analytics: ${mainAnalytics?.total_parcels} parcels, ${mainAnalytics?.vacant_parcels} vacant, ` +
+      `${mainAnalytics?.tax_delinquent_count} delinquent`
+  );
+  check(
+    mainAnalytics?.owner_occupied_count === 3 && mainAnalytics.land_bank_owned_count === 2 && mainAnalytics.city_owned_count === 1,
+    'ownership is counted from the taxpayer and homestead fields'
+  );
+  check(mainAnalytics?.blight_tickets_count === 3, `blight tickets are counted per block (${mainAnalytics?.blight_tickets_count})`);
+  const oharaBlock = [...db.tables.blocks.values()].find(block => block.street_name === "O'Hara St");
+  const oharaAnalytics = oharaBlock && db.tables.analytics.get(oharaBlock.id);
+  check(
+    oharaAnalytics?.total_parcels === 0 && oharaAnalytics.blight_tickets_count === 1,
+    'blocks without parcels still get the dataset records in them counted'
+  );
+
+  const mainParcels = [...db.tables.parcels.values()].filter(parcel => parcel.block_id === mainBlock?.id);
+  check(
+    mainParcels.length === 8 && new Set(mainParcels.map(parcel => parcel.block_side)).size === 2,
+    'parcels are stored with their block and the side of the street they are on'
+  );
+  check(
+    [...db.tables.adjacency.values()].some(row =>
+      row.block_id === 'main_st_first_st_second_st' && row.neighbor_block_id === 'main_st_second_st_third_st' && row.relation === 'same_street'),
+    'adjacency links the Main St blocks'
+  );
+  check(
+    fullRun.metadata.highWaterMark?.parcels === '2024-05-01T10:00:00.000Z',
+    `high-water mark recorded (${fullRun.metadata.highWaterMark?.parcels})`
+  );
+  const pagedStreets = server.requests.filter(request =>
+    request.pathname.endsWith('/streets/FeatureServer/0/query') && request.params.resultOffset !== undefined);
+  check(pagedStreets.length === 3, `streets are paged by the layer's maxRecordCount (${pagedStreets.length} pages)`);
+
+  // Incremental run after one parcel changed
+  console.log('\nIncremental run:');
+  const edited = server.layers.parcels.features.find(feature => feature.properties.parcel_id === '01000103.');
+  Object.assign(edited.properties, {
+    building_status: 'Occupied',
+    tax_status: 'Current',
+    last_edited_date: Date.parse('2024-06-01T00:00:00Z')
+  });
+  const savedBefore = db.tables.analytics.get(db.tables.blocks.get('main_st_second_st_third_st')?.id);
+
+  const incrementalRun = await runBlockAnalytics({ db, detroitAPI: newClient() });
+  const updated = db.tables.analytics.get(mainBlock?.id);
+
+  check(
+    incrementalRun.status === 'completed' && incrementalRun.metadata.incremental?.changedParcels === 1,
+    `only the edited parcel is fetched (${incrementalRun.metadata.incremental?.changedParcels})`
+  );
+  check(
+    incrementalRun.blocks_processed < fullRun.blocks_processed &&
+      db.tables.analytics.get(db.tables.blocks.get('main_st_second_st_third_st')?.id) === savedBefore,
+    `only blocks around it are recomputed (${incrementalRun.blocks_processed} of ${fullRun.blocks_processed})`
+  );
+  check(
+    updated?.tax_delinquent_count === 1 && updated.vacant_buildings === 0,
+    'the recomputed block reflects the edit'
+  );
+  check(
+    incrementalRun.metadata.highWaterMark?.parcels === '2024-06-01T00:00:00.000Z',
+    `high-water mark advanced (${incrementalRun.metadata.highWaterMark?.parcels})`
+  );
+
+  // Incremental run after the parcels of a block moved to another street
+  const movedIds = ['01000201.', '01000203.', '01000205.'];
+  for (const feature of server.layers.parcels.features.filter(f => movedIds.includes(f.properties.parcel_id))) {
+    feature.geometry.coordinates = feature.geometry.coordinates.map(ring => ring.map(([x, y]) => [x, y + 0.008]));
+    feature.properties.last_edited_date = Date.parse('2024-06-02T00:00:00Z');
+  }
+
+  const movedRun = await runBlockAnalytics({ db, detroitAPI: newClient() });
+  const secondBlock = db.tables.blocks.get('main_st_second_st_third_st');
+  const parcelsOf = block => [...db.tables.parcels.values()].filter(row => row.block_id === block?.id).map(row => row.parcel_id);
+
+  check(
+    movedRun.metadata.incremental?.changedParcels === 3 && parcelsOf(secondBlock).length === 0 &&
+      parcelsOf(oharaBlock).sort().join(',') === movedIds.join(','),
+    'moved parcels leave the block they were stored under for their new one'
+  );
+  check(
+    db.tables.analytics.get(secondBlock?.id)?.total_parcels === 0 && db.tables.analytics.get(oharaBlock?.id)?.total_parcels === 3,
+    'a block that lost its last parcel gets zeroed analytics'
+  );
+
+  // Incremental run after dataset records came and went, with no parcel edits
+  const tickets = server.layers.blight_tickets.features;
+  tickets.splice(tickets.findIndex(feature => feature.properties.ticket_id === 'T3'), 1);
+  tickets.push({
+    type: 'Feature',
+    properties: { OBJECTID: 99, ticket_id: 'T5', violation_date: Date.parse('2024-06-15T00:00:00Z') },
+    geometry: { type: 'Point', coordinates: [-83.046, 42.3502246] }
+  });
+
+  const datasetRun = await runBlockAnalytics({ db, detroitAPI: newClient() });
+
+  check(
+    datasetRun.metadata.incremental?.changedParcels === 0 && datasetRun.metadata.incremental.datasetBlocks === 2,
+    `blocks whose dataset records changed are recomputed (${datasetRun.metadata.incremental?.datasetBlocks})`
+  );
+  check(
+    db.tables.analytics.get(mainBlock?.id)?.blight_tickets_count === 2 &&
+      db.tables.analytics.get(secondBlock?.id)?.blight_tickets_count === 1,
+    'counts drop for records that are gone and rise for new ones'
+  );
+} finally {
+  await server.stop();
+}